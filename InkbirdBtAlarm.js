@@ -0,0 +1,166 @@
+// Implements the InkbirdBtAlarm class, a limit alarm on a value of the sensor
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// An alarm is configured with (see config.schema.json, "alarms" of a sensor):
+//    o name         name of the service in HomeKit
+//    o value        "temperature" or "humidity"
+//    o high / low   limits (at least one of them), the alarm trips if the value is above high or below low
+//    o hysteresis   the alarm is cleared if the value is hysteresis below high / above low (default 0)
+//    o duration     time in s the value has to be out of the limits before the alarm trips (default 0)
+//    o service      "contact" (default), "leak" or "motion": HomeKit service showing the alarm
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {Object} DSERVICES             HomeKit services for the alarm (names in hap Service / Characteristic, value if tripped / ok) */
+const DSERVICES =
+{
+   "contact"   : { strService: "ContactSensor", strCharacteristic: "ContactSensorState", xTripped: 1,    xOk: 0     },
+   "leak"      : { strService: "LeakSensor",    strCharacteristic: "LeakDetected",       xTripped: 1,    xOk: 0     },
+   "motion"    : { strService: "MotionSensor",  strCharacteristic: "MotionDetected",     xTripped: true, xOk: false }
+};
+/** @const {Array} ASTRVALUES             Values an alarm can be configured for */
+const ASTRVALUES = ["temperature", "humidity"];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for a limit alarm with hysteresis and minimum duration
+ */
+class cInkbirdBtAlarm
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor checks and stores the config
+    *
+    * @param {Object} dConfig             Config of the alarm (entry of "alarms")
+    * @param {function} fLog              Logging function (iLevel, strMessage)
+    * @returns {void}                     nothing, throws if the config is invalid
+    */
+   constructor(dConfig, fLog)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.strName                  = dConfig.name;
+      self.strValue                 = dConfig.value || "temperature";
+      self.fHigh                    = dConfig.high;
+      self.fLow                     = dConfig.low;
+      self.fHysteresis              = Math.max(0, dConfig.hysteresis || 0);
+      self.iDuration                = Math.max(0, dConfig.duration || 0);
+      self.dService                 = DSERVICES[dConfig.service || "contact"];
+      self.bTripped                 = false;                                                          // true if the alarm is active
+      self.iOutSince                = undefined;                                                      // Time the value left the limits (ms)
+
+      if (!self.strName)
+         throw new Error(`Alarm without name`);
+      if (!ASTRVALUES.includes(self.strValue))
+         throw new Error(`Alarm ${self.strName}: invalid value ${self.strValue} (${ASTRVALUES.join(", ")})`);
+      if ((typeof self.fHigh !== 'number') && (typeof self.fLow !== 'number'))
+         throw new Error(`Alarm ${self.strName}: high or low limit needed`);
+      if (self.dService == undefined)
+         throw new Error(`Alarm ${self.strName}: invalid service ${dConfig.service} (${Object.keys(DSERVICES).join(", ")})`);
+   }
+
+   /**
+    * HomeKit service of the alarm
+    *
+    * @returns {function}                 Constructor of the service
+    */
+   get cServiceType()
+   {
+      return global.cService[this.dService.strService];
+   }
+
+   /**
+    * HomeKit characteristic showing the alarm
+    *
+    * @returns {function}                 Constructor of the characteristic
+    */
+   get cCharacteristicType()
+   {
+      return global.cCharacteristic[this.dService.strCharacteristic];
+   }
+
+   /**
+    * Function to get the value of the characteristic
+    *
+    * @returns {*}                        Value for the characteristic
+    */
+   getState()
+   {
+      var self = this;
+
+      return self.bTripped ? self.dService.xTripped : self.dService.xOk;
+   }
+
+   /**
+    * Function to check a new reading against the limits
+    *
+    * @param {number} fValue              Reading (undefined if not available - the alarm keeps its state)
+    * @returns {boolean}                  true if the alarm tripped or was cleared
+    */
+   check(fValue)
+   {
+      var self = this;
+      var iNow = Date.now();
+      var bHigh;
+      var bLow;
+
+      if (fValue == undefined)
+         return false;
+
+      if (!self.bTripped)
+      {  // Out of the limits for the minimum duration?
+         bHigh = (self.fHigh != undefined) && (fValue > self.fHigh);
+         bLow  = (self.fLow  != undefined) && (fValue < self.fLow);
+         if ((!bHigh) && (!bLow))
+         {
+            self.iOutSince = undefined;
+            return false;
+         }
+         if (self.iOutSince == undefined)
+            self.iOutSince = iNow;
+         if (iNow - self.iOutSince < self.iDuration * 1000)
+            return false;
+         self.bTripped = true;
+         self.fLog(ELOGLEVEL.WARNING, `Alarm ${self.strName}: ${self.strValue} ${fValue} ${bHigh ? `above ${self.fHigh}` : `below ${self.fLow}`}`);
+         return true;
+      }
+
+      // Back in the limits (with hysteresis)?
+      if (((self.fHigh != undefined) && (fValue > self.fHigh - self.fHysteresis)) ||
+          ((self.fLow  != undefined) && (fValue < self.fLow  + self.fHysteresis)))
+         return false;
+      self.bTripped  = false;
+      self.iOutSince = undefined;
+      self.fLog(ELOGLEVEL.INFO, `Alarm ${self.strName} cleared: ${self.strValue} ${fValue}`);
+      return true;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtAlarm;
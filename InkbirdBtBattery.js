@@ -0,0 +1,257 @@
+// Implements the InkbirdBtBattery class, the battery model of a sensor (smoothing, low battery, remaining life)
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// The battery level reported by the sensor jumps around with the temperature, so it's smoothed with an
+// exponential moving average with a time constant (config option "battery_smoothing" in h).
+// Once a day the smoothed level is stored in the battery history (file inkbird-bt-thsensor-battery.json in the
+// homebridge storage directory, by MAC address or name of the sensor):
+//    { "50:51:a9:7d:fc:e9": { "history": [{ "time": 1792368000, "level": 87 }, ...], "warned": false } }
+// The remaining days are estimated by a linear regression over the history of the last IESTIMATEDAYS days. If
+// the battery is predicted to run out within "battery_warning_days", a warning is logged once per battery.
+// A level rising by more than IREPLACEDRISE % is taken as a new battery and the history starts again.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRBATTERYFILE        File name of the battery history in the storage directory */
+const STRBATTERYFILE    = "inkbird-bt-thsensor-battery.json";
+/** @const {number} IDEFLOWBATTERY        Default low battery threshold in % */
+const IDEFLOWBATTERY    = 10;
+/** @const {number} IDEFSMOOTHING         Default time constant of the smoothing in h */
+const IDEFSMOOTHING     = 6;
+/** @const {number} IDEFWARNINGDAYS       Default remaining days for the warning */
+const IDEFWARNINGDAYS   = 30;
+/** @const {number} IESTIMATEDAYS         Days of the history used for the estimation */
+const IESTIMATEDAYS     = 90;
+/** @const {number} IMINESTIMATEDAYS      Minimum time span of the history for an estimation in days */
+const IMINESTIMATEDAYS  = 7;
+/** @const {number} IMAXHISTORY           Maximum number of entries in the history (days) */
+const IMAXHISTORY       = 730;
+/** @const {number} IREPLACEDRISE         Rise of the level in % that is taken as a new battery */
+const IREPLACEDRISE     = 20;
+/** @const {number} IDAY                  Seconds of a day */
+const IDAY              = 86400;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const fs       = require('fs');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the battery model of a sensor
+ */
+class cInkbirdBtBattery
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor stores the config and loads the history of the sensor
+    *
+    * @param {Object} dConfig             Config of the sensor (low_battery, battery_smoothing, battery_warning_days)
+    * @param {function} fLog              Logging function of the accessory (iLevel, strMessage)
+    * @param {string} strStoragePath      Directory for the battery file
+    * @param {string} strId               MAC address (or name) of the sensor
+    * @returns {void}                     nothing
+    */
+   constructor(dConfig, fLog, strStoragePath, strId)
+   {
+      var self = this;
+      var dBattery;
+
+      self.fLog                     = fLog;
+      self.strBatteryFile           = path.join(strStoragePath, STRBATTERYFILE);
+      self.strId                    = strId.toLowerCase();
+      self.iLowBattery              = (dConfig.low_battery != undefined) ? dConfig.low_battery : IDEFLOWBATTERY;
+      self.fSmoothing               = Math.max(0, (dConfig.battery_smoothing != undefined) ? dConfig.battery_smoothing : IDEFSMOOTHING);
+      self.iWarningDays             = (dConfig.battery_warning_days != undefined) ? dConfig.battery_warning_days : IDEFWARNINGDAYS;
+      self.fLevel                   = undefined;                                                      // Smoothed level in %
+      self.iTime                    = undefined;                                                      // Time of the last level (ms)
+
+      dBattery                      = self.load()[self.strId] || {};
+      self.adHistory                = dBattery.history || [];                                         // Daily levels [{time (unix), level}]
+      self.bWarned                  = (dBattery.warned == true);                                      // true if the warning was logged for this battery
+   }
+
+   /**
+    * Function to take a new level from the sensor
+    *
+    * @param {number} iRawLevel           Battery level reported by the sensor in %
+    * @returns {number}                   Smoothed level in % (rounded)
+    */
+   update(iRawLevel)
+   {
+      var self = this;
+      var iNow = Date.now();
+      var fAlpha;
+
+      if ((self.fLevel == undefined) || (self.fSmoothing == 0))
+         self.fLevel = iRawLevel;
+      else
+      {  // Weight by the time since the last level, so the smoothing doesn't depend on the update interval
+         fAlpha      = 1 - Math.exp(-(iNow - self.iTime) / (self.fSmoothing * 3600000));
+         self.fLevel = self.fLevel + fAlpha * (iRawLevel - self.fLevel);
+      }
+      self.iTime = iNow;
+      self.updateHistory();
+      return self.getLevel();
+   }
+
+   /**
+    * Function to get the smoothed level
+    *
+    * @returns {number}                   Smoothed level in % (rounded, undefined if there's no level yet)
+    */
+   getLevel()
+   {
+      var self = this;
+
+      return (self.fLevel != undefined) ? Math.round(self.fLevel) : undefined;
+   }
+
+   /**
+    * Function to check if the battery is low
+    *
+    * @returns {boolean}                  true if the smoothed level is below the threshold (undefined without level)
+    */
+   isLow()
+   {
+      var self = this;
+
+      return (self.fLevel != undefined) ? (self.getLevel() < self.iLowBattery) : undefined;
+   }
+
+   /**
+    * Function to estimate the remaining days with a linear regression over the history
+    *
+    * @returns {number}                   Days until the battery is empty, undefined if no estimation is possible
+    *                                     (history too short or level not decreasing)
+    */
+   getDaysRemaining()
+   {
+      var self = this;
+      var iNow = Math.floor(Date.now() / 1000);
+      var adPoints = self.adHistory.filter(dPoint => dPoint.time >= iNow - IESTIMATEDAYS * IDAY);
+      var fMeanTime;
+      var fMeanLevel;
+      var fCovariance = 0;
+      var fVariance = 0;
+      var fSlope;
+
+      if ((self.fLevel == undefined) || (adPoints.length < 2) ||
+          (adPoints[adPoints.length - 1].time - adPoints[0].time < IMINESTIMATEDAYS * IDAY))
+         return undefined;
+
+      fMeanTime  = adPoints.reduce((fSum, dPoint) => fSum + dPoint.time / IDAY, 0) / adPoints.length;
+      fMeanLevel = adPoints.reduce((fSum, dPoint) => fSum + dPoint.level, 0) / adPoints.length;
+      adPoints.forEach(dPoint =>
+      {
+         fCovariance += (dPoint.time / IDAY - fMeanTime) * (dPoint.level - fMeanLevel);
+         fVariance   += (dPoint.time / IDAY - fMeanTime) * (dPoint.time / IDAY - fMeanTime);
+      });
+      fSlope = fCovariance / fVariance;                                                               // % per day
+      if (fSlope >= 0)
+         return undefined;
+      return Math.max(0, Math.round(self.fLevel / -fSlope));
+   }
+
+   /**
+    * Function to store the level once a day, detect a new battery and log the warning
+    *
+    * @returns {void}                     Nothing
+    */
+   updateHistory()
+   {
+      var self = this;
+      var iDay = Math.floor(Date.now() / 1000 / IDAY) * IDAY;
+      var dLast = self.adHistory[self.adHistory.length - 1];
+      var iDays;
+
+      if ((dLast != undefined) && (dLast.time >= iDay))
+         return;
+
+      if ((dLast != undefined) && (self.getLevel() > dLast.level + IREPLACEDRISE))
+      {
+         self.fLog(ELOGLEVEL.INFO, `Battery level rose from ${dLast.level}% to ${self.getLevel()}%, new battery - battery history started again`);
+         self.adHistory = [];
+         self.bWarned   = false;
+      }
+      self.adHistory.push({ time: iDay, level: self.getLevel() });
+      self.adHistory = self.adHistory.slice(-IMAXHISTORY);
+
+      iDays = self.getDaysRemaining();
+      if ((!self.bWarned) && (iDays != undefined) && (iDays <= self.iWarningDays))
+      {
+         self.fLog(ELOGLEVEL.WARNING, `Battery (${self.getLevel()}%) is predicted to run out in ${iDays} days. Please replace it soon!`);
+         self.bWarned = true;
+      }
+      self.save();
+      return;
+   }
+
+   /**
+    * Function to load the battery file
+    *
+    * @returns {Object}                   Battery data by sensor (empty if there is no file)
+    */
+   load()
+   {
+      var self = this;
+
+      try
+      {
+         return JSON.parse(fs.readFileSync(self.strBatteryFile, 'utf8'));
+      }
+      catch (cError)
+      {
+         if (cError.code != 'ENOENT')
+            self.fLog(ELOGLEVEL.WARNING, `Battery history ${self.strBatteryFile} not readable: ${cError.message}`);
+         return {};
+      }
+   }
+
+   /**
+    * Function to save the battery data of the sensor to the battery file
+    *
+    * @returns {void}                     Nothing
+    */
+   save()
+   {
+      var self = this;
+      var dcBatteries = self.load();
+
+      dcBatteries[self.strId] = { history: self.adHistory, warned: self.bWarned };
+      try
+      {
+         fs.writeFileSync(self.strBatteryFile, JSON.stringify(dcBatteries, null, 3));
+      }
+      catch (cError)
+      {
+         self.fLog(ELOGLEVEL.WARNING, `Battery history ${self.strBatteryFile} not writable: ${cError.message}`);
+      }
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtBattery;
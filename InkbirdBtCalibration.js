@@ -0,0 +1,89 @@
+// Implements the InkbirdBtCalibration class, a calibration table with linear interpolation
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// A calibration table has two or more reference points [{ measured, actual }, ...] in °C or %. Between the
+// points the value is interpolated linearly, outside the range of the points the first / last segment is
+// extended.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for a calibration table
+ */
+class cInkbirdBtCalibration
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor checks and sorts the reference points
+    *
+    * @param {Array} adPoints             Reference points [{ measured, actual }]
+    * @returns {void}                     nothing, throws if the table is invalid
+    */
+   constructor(adPoints)
+   {
+      var self = this;
+
+      if ((!Array.isArray(adPoints)) || (adPoints.length < 2))
+         throw new Error(`At least two reference points needed`);
+      adPoints.forEach(dPoint =>
+      {
+         if ((dPoint == null) || (typeof dPoint.measured !== 'number') || (typeof dPoint.actual !== 'number'))
+            throw new Error(`Reference point ${JSON.stringify(dPoint)} needs measured and actual value`);
+      });
+
+      self.adPoints = adPoints.map(dPoint => ({ measured: dPoint.measured, actual: dPoint.actual }))
+                              .sort((dA, dB) => dA.measured - dB.measured);
+      for (let iIndex = 1; iIndex < self.adPoints.length; iIndex++)
+         if (self.adPoints[iIndex].measured == self.adPoints[iIndex - 1].measured)
+            throw new Error(`Two reference points with measured value ${self.adPoints[iIndex].measured}`);
+   }
+
+   /**
+    * Function to calibrate a value
+    *
+    * @param {number} fValue              Measured value
+    * @returns {number}                   Calibrated value
+    */
+   apply(fValue)
+   {
+      var self = this;
+      var iIndex = 1;
+      var dLow;
+      var dHigh;
+
+      // Segment of the value (first / last one outside of the points)
+      while ((iIndex < self.adPoints.length - 1) && (fValue > self.adPoints[iIndex].measured))
+         iIndex++;
+      dLow  = self.adPoints[iIndex - 1];
+      dHigh = self.adPoints[iIndex];
+      return dLow.actual + (fValue - dLow.measured) * (dHigh.actual - dLow.actual) / (dHigh.measured - dLow.measured);
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtCalibration;
@@ -0,0 +1,142 @@
+// Implements the InkbirdBtCaptureFile class to read and write recorded advertisements
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// A capture file has one advertisement per line as JSON:
+//    {"time":1697712345123,"mac":"50:51:a9:7d:fc:e9","rssi":-60,"data":"9c077215005be33f08","name":"sps","uuids":["fff0"]}
+//    o time      timestamp in ms
+//    o mac       MAC address of the sensor
+//    o rssi      signal strength in dBm
+//    o data      manufacturer data as hex string
+//    o name      local name (optional, default "sps")
+//    o uuids     service UUIDs (optional, default ["fff0"])
+// Empty lines and lines starting with # are ignored, so captures can be commented.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRDEFNAME            Default local name (IBS-TH1) */
+const STRDEFNAME  = "sps";
+/** @const {Array} ASTRDEFUUIDS           Default service UUIDs (IBS-TH1) */
+const ASTRDEFUUIDS = ["fff0"];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const fs       = require('fs');
+
+// from InkbirdBtTHSensor
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class to read and write capture files
+ */
+class cInkbirdBtCaptureFile
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class
+    *
+    * @param {string} strFile             Path of the capture file
+    * @returns {void}                     nothing
+    */
+   constructor(strFile)
+   {
+      var self = this;
+
+      self.strFile                  = strFile;
+      self.cStream                  = undefined;                                                      // Stream for the recording (opened with the first write)
+   }
+
+   /**
+    * Function to read all captures of the file
+    *
+    * @returns {Array}                    Captures [{time, mac, rssi, data, name, uuids}] sorted by time, throws if the file is invalid
+    */
+   read()
+   {
+      var self = this;
+      var adCaptures = [];
+
+      fs.readFileSync(self.strFile, 'utf8').split(/\r?\n/).forEach((strLine, iIndex) =>
+      {
+         var dCapture;
+
+         strLine = strLine.trim();
+         if ((strLine == "") || (strLine.startsWith("#")))
+            return;
+         try
+         {
+            dCapture = JSON.parse(strLine);
+         }
+         catch (cError)
+         {
+            throw new Error(`${self.strFile} line ${iIndex + 1}: ${cError.message}`);
+         }
+         if ((typeof dCapture.mac !== 'string') || (typeof dCapture.data !== 'string') || (typeof dCapture.time !== 'number'))
+            throw new Error(`${self.strFile} line ${iIndex + 1}: time, mac and data needed`);
+         adCaptures.push(dCapture);
+      });
+      return adCaptures.sort((dA, dB) => dA.time - dB.time);
+   }
+
+   /**
+    * Function to append an advertisement to the file
+    *
+    * @param {Object} cPeripheral         Peripheral object of the transport
+    * @returns {void}                     Nothing
+    */
+   write(cPeripheral)
+   {
+      var self = this;
+      var cAdvertisement = cPeripheral.advertisement;
+
+      if (self.cStream == undefined)
+         self.cStream = fs.createWriteStream(self.strFile, { flags: 'a' });
+      self.cStream.write(JSON.stringify(
+      {
+         time  : Date.now(),
+         mac   : (cPeripheral.address || "").toLowerCase(),
+         rssi  : cPeripheral.rssi,
+         data  : (cAdvertisement.manufacturerData || Buffer.alloc(0)).toString('hex'),
+         name  : cAdvertisement.localName,
+         uuids : cAdvertisement.serviceUuids
+      }) + "\n");
+      return;
+   }
+
+   /**
+    * Function to build the advertisement (as reported by noble) of a capture
+    *
+    * @param {Object} dCapture            Capture read from the file
+    * @returns {Object}                   Advertisement
+    */
+   static toAdvertisement(dCapture)
+   {
+      return {
+         localName         : (dCapture.name  != undefined) ? dCapture.name  : STRDEFNAME,
+         serviceUuids      : (dCapture.uuids != undefined) ? dCapture.uuids : ASTRDEFUUIDS,
+         manufacturerData  : Buffer.from(dCapture.data, 'hex'),
+         serviceData       : []
+      };
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtCaptureFile;
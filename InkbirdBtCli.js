@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// Command line tool to find the Inkbird sensors around and to decode manufacturer data
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Scan results reported while scanning (custom UI)
+//                         Ambiguous model shown as such
+//-----------------------------------------------------------------------
+
+// Usage:
+//    inkbird-bt-thsensor scan [seconds]          Scans for the given time (default 10s) and prints a table of the
+//                                                Inkbird sensors found (MAC, RSSI, model, values, CRC)
+//    inkbird-bt-thsensor decode <hex> [model]    Decodes manufacturer data (i.e. from the debug log) with the
+//                                                decoder of the model (default IBS-TH1) and checks the CRC
+// The values are decoded like in parseStatus (without calibration and filter). Scanning needs the same rights as
+// homebridge (see README.md, setcap).
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IDEFSCANTIME          Default scan time in s */
+const IDEFSCANTIME = 10;
+/** @const {number} IPOWERONTIMEOUT       Time to wait for the bluetooth hardware in s */
+const IPOWERONTIMEOUT = 10;
+/** @const {string} STRDEFMODEL           Model used for decoding if none is given */
+const STRDEFMODEL = "IBS-TH1";
+/** @const {Array} ADCOLUMNS              Columns of the scan table (title, function to get the text from a result) */
+const ADCOLUMNS =
+[
+   { strTitle: "MAC",         fText: dResult => dResult.strMAC },
+   { strTitle: "RSSI",        fText: dResult => `${dResult.iRSSI}dBm` },
+   { strTitle: "Model",       fText: dResult => formatModel(dResult.strModel) },
+   { strTitle: "Temperature", fText: dResult => formatTemperature(dResult.dValues) },
+   { strTitle: "Humidity",    fText: dResult => (dResult.dValues && (dResult.dValues.iIntHumidity != undefined)) ? `${dResult.dValues.iIntHumidity / 100}%` : "-" },
+   { strTitle: "Battery",     fText: dResult => dResult.dValues ? `${dResult.dValues.iBatteryLevel}%` : "-" },
+   { strTitle: "CRC",         fText: dResult => dResult.strCRC }
+];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from InkbirdBtTHSensor
+const { DDMODELS, STRAMBIGUOUS, findModelByName, detectModel, isCompatible, getDecodeCfg } = require('./InkbirdBtModels')
+const cInkbirdBtNobleTransport = require('./InkbirdBtNobleTransport')
+
+//-----------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------
+
+/**
+ * Function to decode manufacturer data and check the CRC (like parseStatus)
+ *
+ * @param {Buffer} cData                  Manufacturer data
+ * @param {string} strModel               Model (entry of DDMODELS, undefined for the default decoder)
+ * @returns {Object}                      Result {dValues (undefined if invalid), strCRC ("ok", "error", "no CRC (dual view)"
+ *                                       or the reason why the data is invalid)}
+ */
+function decodeFrame(cData, strModel)
+{
+   var dDecodeCfg = getDecodeCfg(DDMODELS[strModel]);
+   var dValues;
+
+   if (cData.length < 8)
+      return { dValues: undefined, strCRC: `data too short (${cData.length} bytes)` };
+   try
+   {
+      dValues = dDecodeCfg.decode(cData, dDecodeCfg, true);
+      return { dValues: dValues, strCRC: dValues.strInfo.startsWith("CRC Ok") ? "ok" : "no CRC (dual view)" };
+   }
+   catch (cError)
+   {
+      return { dValues: undefined, strCRC: (cError.code == "ECRC") ? "error" : cError.message };
+   }
+}
+
+/**
+ * Function to format the detected model
+ *
+ * @param {string} strModel               Detected model (STRAMBIGUOUS or undefined for a compatible, but unknown sensor)
+ * @returns {string}                      Model
+ */
+function formatModel(strModel)
+{
+   if (strModel == STRAMBIGUOUS)
+      return "IBS-TH (ambiguous)";
+   return strModel || "compatible (unknown)";
+}
+
+/**
+ * Function to format the temperatures of decoded values
+ *
+ * @param {Object} dValues                Decoded values (undefined if invalid)
+ * @returns {string}                      Temperature(s) in °C
+ */
+function formatTemperature(dValues)
+{
+   var astrTemperatures = [];
+
+   if (dValues == undefined)
+      return "-";
+   if (dValues.iIntTemperature != undefined)
+      astrTemperatures.push(`${dValues.iIntTemperature / 100}°C`);
+   if (dValues.iExtTemperature != undefined)
+      astrTemperatures.push(`${dValues.iExtTemperature / 100}°C (probe)`);
+   return astrTemperatures.join(" / ") || "-";
+}
+
+/**
+ * Function to build the table of the sensors found
+ *
+ * @param {Array} adResults               Results [{strMAC, iRSSI, strModel, dValues, strCRC}]
+ * @returns {string}                      Table
+ */
+function formatTable(adResults)
+{
+   var aastrRows = [ADCOLUMNS.map(dColumn => dColumn.strTitle)].concat(adResults.map(dResult => ADCOLUMNS.map(dColumn => dColumn.fText(dResult))));
+   var aiWidths = ADCOLUMNS.map((dColumn, iColumn) => Math.max(...aastrRows.map(astrRow => astrRow[iColumn].length)));
+
+   return aastrRows.map(astrRow => astrRow.map((strText, iColumn) => strText.padEnd(aiWidths[iColumn])).join("  ").trimEnd()).join("\n");
+}
+
+/**
+ * Function to scan for the Inkbird sensors
+ *
+ * @param {Object} cTransport             Transport to the bluetooth hardware (see InkbirdBtNobleTransport.js)
+ * @param {number} iSeconds               Scan time in s
+ * @param {function} fOnResult            Function called with every advertisement of a sensor (dResult, optional)
+ * @returns {Promise}                     Results [{strMAC, iRSSI, strModel, dValues, strCRC}] sorted by RSSI, rejects if
+ *                                        the bluetooth hardware doesn't power on
+ */
+function scan(cTransport, iSeconds, fOnResult)
+{
+   return new Promise((fResolve, fReject) =>
+   {
+      var dcResults = {};
+      var iTimeoutId;
+      var fOnDiscover;
+      var fOnStateChange;
+      var fStart;
+      var fEnd;
+
+      fOnDiscover = (cPeripheral =>
+      {
+         var cAdvertisement = cPeripheral.advertisement;
+         var strModel = detectModel(cAdvertisement);
+
+         if ((strModel == undefined) && (!isCompatible(cAdvertisement)))
+            return;
+         dcResults[cPeripheral.address] = Object.assign({ strMAC: cPeripheral.address, iRSSI: cPeripheral.rssi, strModel: strModel },
+                                                        decodeFrame(cAdvertisement.manufacturerData, strModel));
+         if (fOnResult != undefined)
+            fOnResult(dcResults[cPeripheral.address]);
+      });
+      fOnStateChange = (strState =>
+      {
+         if ((strState == "poweredOn") && (iTimeoutId != undefined))
+            fStart();
+      });
+      fStart = (() =>
+      {
+         clearTimeout(iTimeoutId);
+         iTimeoutId = undefined;
+         cTransport.startScanning([], true);
+         setTimeout(() =>
+         {
+            cTransport.stopScanning();
+            fEnd();
+            fResolve(Object.values(dcResults).sort((dA, dB) => dB.iRSSI - dA.iRSSI));
+         }, iSeconds * 1000);
+      });
+      fEnd = (() =>
+      {  // The transport may be used again (custom UI)
+         cTransport.removeListener('discover', fOnDiscover);
+         cTransport.removeListener('stateChange', fOnStateChange);
+      });
+
+      cTransport.on('discover', fOnDiscover);
+      if (cTransport.state == "poweredOn")
+         fStart();
+      else
+      {
+         iTimeoutId = setTimeout(() =>
+         {
+            fEnd();
+            fReject(new Error(`Bluetooth low energy hardware not powered on (state ${cTransport.state})`));
+         }, IPOWERONTIMEOUT * 1000);
+         cTransport.on('stateChange', fOnStateChange);
+      }
+   });
+}
+
+/**
+ * Main function of the command line tool
+ *
+ * @param {Array} astrArgs                Arguments (without node and script)
+ * @returns {Promise}                     Exit code (0 = ok, 1 = CRC error / invalid data, 2 = usage / hardware error)
+ */
+async function main(astrArgs)
+{
+   var strModel;
+   var dResult;
+   var adResults;
+   var iSeconds;
+
+   switch (astrArgs[0])
+   {
+      case "scan":
+         iSeconds = (astrArgs[1] != undefined) ? parseFloat(astrArgs[1]) : IDEFSCANTIME;
+         if (!(iSeconds > 0))
+            break;
+         console.log(`Scanning for ${iSeconds}s ...`);
+         try
+         {
+            adResults = await scan(new cInkbirdBtNobleTransport(), iSeconds);
+         }
+         catch (cError)
+         {
+            console.error(cError.message);
+            return 2;
+         }
+         console.log((adResults.length > 0) ? formatTable(adResults) : "No Inkbird sensor found");
+         return 0;
+
+      case "decode":
+         if ((astrArgs[1] == undefined) || (!/^([0-9a-fA-F]{2})+$/.test(astrArgs[1])))
+            break;
+         strModel = findModelByName(astrArgs[2] || STRDEFMODEL);
+         if (strModel == undefined)
+         {
+            console.error(`Unknown model ${astrArgs[2]} (${Object.keys(DDMODELS).filter(strKey => DDMODELS[strKey] != 0).join(", ")})`);
+            return 2;
+         }
+         dResult = decodeFrame(Buffer.from(astrArgs[1], 'hex'), strModel);
+         console.log(`Model:       ${strModel}`);
+         console.log(`Temperature: ${formatTemperature(dResult.dValues)}`);
+         console.log(`Humidity:    ${(dResult.dValues && (dResult.dValues.iIntHumidity != undefined)) ? `${dResult.dValues.iIntHumidity / 100}%` : "-"}`);
+         console.log(`Probe:       ${dResult.dValues ? (dResult.dValues.bExternalSensor ? "connected" : "not connected") : "-"}`);
+         console.log(`Battery:     ${dResult.dValues ? `${dResult.dValues.iBatteryLevel}%` : "-"}`);
+         console.log(`CRC:         ${dResult.strCRC}`);
+         return (dResult.dValues != undefined) ? 0 : 1;
+   }
+   console.error(`Usage: inkbird-bt-thsensor scan [seconds]\n       inkbird-bt-thsensor decode <hex> [model]`);
+   return 2;
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = { decodeFrame, formatModel, formatTable, scan, main };
+
+if (require.main === module)
+   main(process.argv.slice(2)).then(iExitCode => process.exit(iExitCode));
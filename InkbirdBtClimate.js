@@ -0,0 +1,121 @@
+// Climate values derived from the temperature and the relative humidity
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// All functions take the temperature in °C and the relative humidity in %.
+// The saturation vapour pressure is calculated with the Magnus formula (constants over water, -45°C .. 60°C):
+//    E(T) = 6.112 hPa * exp(17.62 * T / (243.12°C + T))
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} FMAGNUSA              Magnus constant a */
+const FMAGNUSA = 17.62;
+/** @const {number} FMAGNUSB              Magnus constant b in °C */
+const FMAGNUSB = 243.12;
+/** @const {number} FMAGNUSE0             Saturation vapour pressure at 0°C in hPa */
+const FMAGNUSE0 = 6.112;
+/** @const {Array} ASTRCLIMATEVALUES      Values that can be configured (config option "climate") */
+const ASTRCLIMATEVALUES = ["dew_point", "absolute_humidity", "heat_index", "vpd", "condensation_risk"];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+
+//-----------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------
+
+/**
+ * Function to calculate the saturation vapour pressure
+ *
+ * @param {number} fTemperature           Temperature in °C
+ * @returns {number}                      Saturation vapour pressure in hPa
+ */
+function saturationVapourPressure(fTemperature)
+{
+   return FMAGNUSE0 * Math.exp(FMAGNUSA * fTemperature / (FMAGNUSB + fTemperature));
+}
+
+/**
+ * Function to calculate the dew point
+ *
+ * @param {number} fTemperature           Temperature in °C
+ * @param {number} fHumidity              Relative humidity in %
+ * @returns {number}                      Dew point in °C
+ */
+function dewPoint(fTemperature, fHumidity)
+{
+   var fGamma = Math.log(Math.max(fHumidity, 0.01) / 100) + FMAGNUSA * fTemperature / (FMAGNUSB + fTemperature);
+
+   return FMAGNUSB * fGamma / (FMAGNUSA - fGamma);
+}
+
+/**
+ * Function to calculate the absolute humidity
+ *
+ * @param {number} fTemperature           Temperature in °C
+ * @param {number} fHumidity              Relative humidity in %
+ * @returns {number}                      Absolute humidity in g/m³
+ */
+function absoluteHumidity(fTemperature, fHumidity)
+{
+   // Water vapour: 216.7 g K / (m³ hPa) = 100 / 461.5 J/(kg K) * 1000 g/kg
+   return 216.7 * (fHumidity / 100) * saturationVapourPressure(fTemperature) / (273.15 + fTemperature);
+}
+
+/**
+ * Function to calculate the heat index (felt temperature) with the regression of Rothfusz (NWS). Below 26.7°C
+ * (80°F) the simple formula of Steadman is used.
+ *
+ * @param {number} fTemperature           Temperature in °C
+ * @param {number} fHumidity              Relative humidity in %
+ * @returns {number}                      Heat index in °C
+ */
+function heatIndex(fTemperature, fHumidity)
+{
+   var fT = fTemperature * 9 / 5 + 32;
+   var fR = fHumidity;
+   var fHI = 0.5 * (fT + 61.0 + (fT - 68.0) * 1.2 + fR * 0.094);
+
+   if ((fHI + fT) / 2 >= 80)
+   {  // Rothfusz regression with the adjustments for low and high humidity
+      fHI = -42.379 + 2.04901523 * fT + 10.14333127 * fR - 0.22475541 * fT * fR - 0.00683783 * fT * fT -
+            0.05481717 * fR * fR + 0.00122874 * fT * fT * fR + 0.00085282 * fT * fR * fR - 0.00000199 * fT * fT * fR * fR;
+      if ((fR < 13) && (fT >= 80) && (fT <= 112))
+         fHI -= (13 - fR) / 4 * Math.sqrt((17 - Math.abs(fT - 95)) / 17);
+      else if ((fR > 85) && (fT >= 80) && (fT <= 87))
+         fHI += (fR - 85) / 10 * (87 - fT) / 5;
+   }
+   return (fHI - 32) * 5 / 9;
+}
+
+/**
+ * Function to calculate the vapour-pressure deficit
+ *
+ * @param {number} fTemperature           Temperature in °C
+ * @param {number} fHumidity              Relative humidity in %
+ * @returns {number}                      Vapour-pressure deficit in kPa
+ */
+function vapourPressureDeficit(fTemperature, fHumidity)
+{
+   return saturationVapourPressure(fTemperature) * (1 - fHumidity / 100) / 10;
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = { ASTRCLIMATEVALUES, saturationVapourPressure, dewPoint, absoluteHumidity, heatIndex, vapourPressureDeficit };
@@ -0,0 +1,103 @@
+// Decoders for the manufacturer data of the advertisements of the different models
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created (moved from parseStatus in InkbirdBtTHSensorAccessory.js)
+// 19.10.2026  D. Steidl   CRC errors marked with code ECRC (counted for the metrics)
+//-----------------------------------------------------------------------
+
+// A decoder is called with the manufacturer data, the config data of the model (entry of DDMODELS) and the
+// flag if the CRC has to be checked. It returns the values in the units of the sensor:
+//    o iIntTemperature    internal temperature in 0,01°C (undefined if not available)
+//    o iExtTemperature    external temperature in 0,01°C (undefined if not available)
+//    o iIntHumidity       internal relative humidity in 0,01% (undefined if the model has no humidity sensor)
+//    o bExternalSensor    true if the external sensor is connected
+//    o iBatteryLevel      battery level in %
+//    o strInfo            description of the decoding for the debug log
+// If the data is invalid, an Error is thrown (with code ECRC if the CRC doesn't fit).
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+const CRC16_0x18005 = require('./CRC16_0x18005')
+
+//-----------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------
+
+/**
+ * Function to check the CRC of the data (bytes 0..4, CRC in bytes 5..6)
+ *
+ * @param {Buffer} cData                  Manufacturer data
+ * @returns {number}                      Calculated CRC, throws if it doesn't fit
+ */
+function checkCRC(cData)
+{
+   var iCRC = CRC16_0x18005(cData, 0, 4, true, true, 0xFFFF, 0x0);
+   var cError;
+
+   if (iCRC != cData.readUIntLE(5, 2))
+   {
+      cError      = new Error(`CRC Error (expected ${iCRC.toString(16)}, found ${cData.readUIntLE(5, 2).toString(16)})`);
+      cError.code = "ECRC";
+      throw cError;
+   }
+   return iCRC;
+}
+
+/**
+ * Decoder of the temperature and humidity sensors (IBS-TH1, IBS-TH2 and the Plus models)
+ * - 0xtttt (temperature in 0,01°C)
+ * - 0xhhhh (humidity in 0,01%)
+ * - 0xss   (sensor: 0x00 internal sensor, 0x01 external sensor)
+ * - 0xcccc (CRC, or the internal temperature on the Plus models with external sensor)
+ * - 0xbb   (battery value in %)
+ *
+ * @param {Buffer} cData                  Manufacturer data
+ * @param {Object} dSensorCfg             Config data of the model (entry of DDMODELS)
+ * @param {boolean} bCheckCRC             true if the CRC has to be checked
+ * @returns {Object}                      Decoded values (see above)
+ */
+function decodeTH(cData, dSensorCfg, bCheckCRC)
+{
+   var dValues =
+   {
+      bExternalSensor   : cData.readUIntLE(4, 1) == 1,
+      iIntHumidity      : cData.readUIntLE(2, 2),
+      iBatteryLevel     : cData.readUIntLE(7, 1)
+   };
+
+   if ((dSensorCfg.dualView) && (dValues.bExternalSensor))
+   {
+      dValues.iIntTemperature = cData.readIntLE(5, 2);
+      dValues.iExtTemperature = cData.readIntLE(0, 2);
+      dValues.strInfo         = `Dual view sensor - no CRC`;
+   }
+   else
+   {
+      dValues.strInfo         = bCheckCRC ? `CRC Ok (${checkCRC(cData).toString(16)})` : `CRC not checked`;
+      if (dValues.bExternalSensor)
+         dValues.iExtTemperature = cData.readIntLE(0, 2);
+      else
+         dValues.iIntTemperature = cData.readIntLE(0, 2);
+   }
+   return dValues;
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = { decodeTH, checkCRC };
@@ -0,0 +1,173 @@
+// Implements the InkbirdBtDeviceConfig class that reads and writes the configuration of the sensor over GATT
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// Configuration of the sensor (see index.js for the characteristics):
+// - 0xFFF1 (cfg data, 20 bytes): bytes 4..7 are the recording interval in s (big endian, i.e. 0x0000003c = 60s)
+//   Changing the interval is done like the Inkbird app does it:
+//    o read cfg data, change the interval and write it back
+//    o read back and check cfg data
+//    o write 06 to 0xFFF9 (reset?) to activate it
+// - 0xFFF7 (run/stop recorder): 0x00 = recorder stopped, 0x01 = recorder running, writing 0x02 clears the
+//   stored records (only tested with the IBS-TH1)
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRSERVICE            UUID of the manufacturer specific service */
+const STRSERVICE        = "fff0";
+/** @const {string} STRCFGDATA            UUID of the cfg data characteristic */
+const STRCFGDATA        = "fff1";
+/** @const {string} STRRECORDER           UUID of the run/stop recorder characteristic */
+const STRRECORDER       = "fff7";
+/** @const {string} STRRESET              UUID of the reset characteristic */
+const STRRESET          = "fff9";
+/** @const {number} IINTERVALOFFSET       Offset of the recording interval in the cfg data */
+const IINTERVALOFFSET   = 4;
+/** @const {Object} DRECORDERCMDS         Values written to the run/stop recorder characteristic */
+const DRECORDERCMDS     = {stop: 0x00, run: 0x01, clear: 0x02};
+/** @const {number} IRESET                Value written to the reset characteristic to activate the cfg data */
+const IRESET            = 0x06;
+/** @const {number} IMININTERVAL          Minimum recording interval in s */
+const IMININTERVAL      = 10;
+/** @const {number} IMAXINTERVAL          Maximum recording interval in s */
+const IMAXINTERVAL      = 86400;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+const cInkbirdBtGattClient = require('./InkbirdBtGattClient')
+const { ELOGLEVEL }        = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class to read and write the recording interval and the recorder state of the sensor
+ */
+class cInkbirdBtDeviceConfig
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class
+    *
+    * @param {function} fLog              Logging function of the accessory (iLevel, strMessage)
+    * @param {Object} cScanCoordinator    Shared BLE scanner
+    * @returns {void}                     nothing
+    */
+   constructor(fLog, cScanCoordinator)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.cScanCoordinator         = cScanCoordinator;
+   }
+
+   /**
+    * Function to read the configuration of the sensor
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {Promise}                  Resolves with {iInterval (s), bRunning}
+    */
+   read(strMAC)
+   {
+      var self = this;
+
+      return cInkbirdBtGattClient.runConnected(self.cScanCoordinator, strMAC, async cClient =>
+      {
+         var cCfgData  = await cClient.read(STRSERVICE, STRCFGDATA);
+         var cRecorder = await cClient.read(STRSERVICE, STRRECORDER);
+
+         self.fLog(ELOGLEVEL.DEBUG, `Device config: cfg data ${cCfgData.toString('hex')}, recorder ${cRecorder.toString('hex')}`);
+         return { iInterval: cCfgData.readUInt32BE(IINTERVALOFFSET), bRunning: (cRecorder.readUInt8(0) == DRECORDERCMDS.run) };
+      });
+   }
+
+   /**
+    * Function to set the recording interval of the sensor. The written cfg data is read back and checked.
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @param {number} iInterval           Recording interval in s
+    * @returns {Promise}                  Resolves with the interval read back, rejects if it couldn't be set
+    */
+   setInterval(strMAC, iInterval)
+   {
+      var self = this;
+
+      iInterval = Math.round(iInterval);
+      if ((!(iInterval >= IMININTERVAL)) || (iInterval > IMAXINTERVAL))
+         return Promise.reject(new Error(`Recording interval ${iInterval}s out of range (${IMININTERVAL}..${IMAXINTERVAL}s)`));
+
+      return cInkbirdBtGattClient.runConnected(self.cScanCoordinator, strMAC, async cClient =>
+      {
+         var cCfgData = await cClient.read(STRSERVICE, STRCFGDATA);
+         var cReadBack;
+
+         if (cCfgData.readUInt32BE(IINTERVALOFFSET) == iInterval)
+            return iInterval;
+
+         cCfgData = Buffer.from(cCfgData);
+         cCfgData.writeUInt32BE(iInterval, IINTERVALOFFSET);
+         self.fLog(ELOGLEVEL.DEBUG, `Device config: writing cfg data ${cCfgData.toString('hex')}`);
+         await cClient.write(STRSERVICE, STRCFGDATA, cCfgData);
+
+         // Read back and check
+         cReadBack = await cClient.read(STRSERVICE, STRCFGDATA);
+         if (!cReadBack.equals(cCfgData))
+            throw new Error(`Check of cfg data failed (written ${cCfgData.toString('hex')}, read ${cReadBack.toString('hex')})`);
+
+         await cClient.write(STRSERVICE, STRRESET, Buffer.from([IRESET]));
+         return cReadBack.readUInt32BE(IINTERVALOFFSET);
+      });
+   }
+
+   /**
+    * Function to run, stop or clear the recorder of the sensor
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @param {string} strCommand          "run", "stop" or "clear"
+    * @returns {Promise}                  Resolves with true if the recorder is running afterwards
+    */
+   setRecorder(strMAC, strCommand)
+   {
+      var self = this;
+
+      if (DRECORDERCMDS[strCommand] == undefined)
+         return Promise.reject(new Error(`Invalid recorder command ${strCommand}`));
+
+      return cInkbirdBtGattClient.runConnected(self.cScanCoordinator, strMAC, async cClient =>
+      {
+         var cRecorder;
+
+         self.fLog(ELOGLEVEL.DEBUG, `Device config: recorder ${strCommand}`);
+         await cClient.write(STRSERVICE, STRRECORDER, Buffer.from([DRECORDERCMDS[strCommand]]));
+
+         // Read back and check
+         cRecorder = await cClient.read(STRSERVICE, STRRECORDER);
+         if ((strCommand != "clear") && (cRecorder.readUInt8(0) != DRECORDERCMDS[strCommand]))
+            throw new Error(`Check of recorder failed (written ${DRECORDERCMDS[strCommand]}, read ${cRecorder.toString('hex')})`);
+         return (cRecorder.readUInt8(0) == DRECORDERCMDS.run);
+      });
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtDeviceConfig;
+module.exports.IMININTERVAL = IMININTERVAL;
+module.exports.IMAXINTERVAL = IMAXINTERVAL;
@@ -0,0 +1,201 @@
+// Implements the InkbirdBtDeviceInfo class that reads the Device Information service of the sensor over GATT
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// The sensor has the standard Device Information service 0x180A (see index.js for the characteristics).
+// It's read once per sensor, the results are cached per MAC in the homebridge storage directory.
+// Some sensors only report the names of the characteristics (i.e. "Model Number"), these values are ignored.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRSERVICE            UUID of the Device Information service */
+const STRSERVICE        = "180a";
+/** @const {string} STRCACHEFILE          File name of the cache in the storage directory */
+const STRCACHEFILE      = "inkbird-bt-thsensor-deviceinfo.json";
+/** @const {Object} DDCHARACTERISTICS     Characteristics to be read (key in result: UUID and placeholder value) */
+const DDCHARACTERISTICS =
+{
+   system_id         : { strUuid: "2a23", strPlaceholder: undefined },
+   model             : { strUuid: "2a24", strPlaceholder: "Model Number" },
+   serial_number     : { strUuid: "2a25", strPlaceholder: "Serial Number" },
+   firmware_revision : { strUuid: "2a26", strPlaceholder: "Firmware Revision" },
+   software_revision : { strUuid: "2a28", strPlaceholder: "Software Revision" },
+   manufacturer      : { strUuid: "2a29", strPlaceholder: "Manufacturer Name" }
+};
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const fs       = require('fs');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const cInkbirdBtGattClient = require('./InkbirdBtGattClient')
+const { ELOGLEVEL }        = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class to read the Device Information service of the sensor and cache it on disk
+ */
+class cInkbirdBtDeviceInfo
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class
+    *
+    * @param {function} fLog              Logging function of the accessory (iLevel, strMessage)
+    * @param {Object} cScanCoordinator    Shared BLE scanner
+    * @param {string} strStoragePath      Directory for the cache file
+    * @returns {void}                     nothing
+    */
+   constructor(fLog, cScanCoordinator, strStoragePath)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.cScanCoordinator         = cScanCoordinator;
+      self.strCacheFile             = path.join(strStoragePath, STRCACHEFILE);
+   }
+
+   /**
+    * Function to get the cached device information of a sensor
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {Object}                   Device information (see read), undefined if not cached
+    */
+   getCached(strMAC)
+   {
+      var self = this;
+
+      return self.loadCache()[strMAC.toLowerCase()];
+   }
+
+   /**
+    * Function to read the device information from the sensor and store it in the cache
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {Promise}                  Resolves with {system_id, model, serial_number, firmware_revision, software_revision,
+    *                                     manufacturer} (values not reported by the sensor are missing)
+    */
+   read(strMAC)
+   {
+      var self = this;
+
+      return cInkbirdBtGattClient.runConnected(self.cScanCoordinator, strMAC, async cClient =>
+      {
+         var dDeviceInfo = {};
+         var dcCache;
+
+         for (let strKey of Object.keys(DDCHARACTERISTICS))
+         {
+            let strValue = await self.readCharacteristic(cClient, strKey);
+
+            if (strValue != undefined)
+               dDeviceInfo[strKey] = strValue;
+         }
+
+         dcCache = self.loadCache();
+         dcCache[strMAC.toLowerCase()] = dDeviceInfo;
+         self.saveCache(dcCache);
+         return dDeviceInfo;
+      });
+   }
+
+   /**
+    * Function to read one characteristic of the Device Information service
+    *
+    * @param {Object} cClient             Connected GATT client
+    * @param {string} strKey              Key of the characteristic in DDCHARACTERISTICS
+    * @returns {Promise}                  Resolves with the value as string, undefined if not available
+    */
+   async readCharacteristic(cClient, strKey)
+   {
+      var self = this;
+      var dCharacteristic = DDCHARACTERISTICS[strKey];
+      var cData;
+      var strValue;
+
+      try
+      {
+         cData = await cClient.read(STRSERVICE, dCharacteristic.strUuid);
+      }
+      catch (cError)
+      {
+         self.fLog(ELOGLEVEL.DEBUG, `Device info: ${strKey} not readable (${cError.message})`);
+         return undefined;
+      }
+
+      if (strKey == "system_id")
+      {  // Binary, shown like 0xE9-FC-7D-00-00-A9-51-50
+         strValue = cData.toString('hex').toUpperCase().match(/../g);
+         strValue = (strValue != null) ? strValue.join('-') : "";
+      }
+      else
+         strValue = cData.toString('utf8').replace(/\0/g, "").trim();
+
+      self.fLog(ELOGLEVEL.DEBUG, `Device info: ${strKey} "${strValue}"`);
+      return ((strValue == "") || (strValue == dCharacteristic.strPlaceholder)) ? undefined : strValue;
+   }
+
+   /**
+    * Function to load the cache file
+    *
+    * @returns {Object}                   Cached device information by MAC (empty if there is no cache file)
+    */
+   loadCache()
+   {
+      var self = this;
+
+      try
+      {
+         return JSON.parse(fs.readFileSync(self.strCacheFile, 'utf8'));
+      }
+      catch (cError)
+      {
+         if (cError.code != 'ENOENT')
+            self.fLog(ELOGLEVEL.WARNING, `Device info cache ${self.strCacheFile} not readable: ${cError.message}`);
+         return {};
+      }
+   }
+
+   /**
+    * Function to save the cache file
+    *
+    * @param {Object} dcCache             Cached device information by MAC
+    * @returns {void}                     nothing
+    */
+   saveCache(dcCache)
+   {
+      var self = this;
+
+      try
+      {
+         fs.writeFileSync(self.strCacheFile, JSON.stringify(dcCache, null, 3));
+      }
+      catch (cError)
+      {
+         self.fLog(ELOGLEVEL.WARNING, `Device info cache ${self.strCacheFile} not writable: ${cError.message}`);
+      }
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtDeviceInfo;
@@ -0,0 +1,159 @@
+// Implements the InkbirdBtFilter class, the filter stage for a value between decoding and publishing
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// The filter works on the decoded values (°C / %, before the calibration):
+// - Physically impossible values are rejected (always, limits see DLIMITS)
+// - A change faster than the maximum rate is rejected. After IMAXREJECTIONS rejections in a row the value is
+//   taken as the new level (i.e. the probe was put into the freezer).
+// - The accepted values are smoothed with the median of the last values or an exponential moving average.
+// The filter config (config option "filter" of a sensor):
+//    o max_rate_temperature  maximum change of a temperature in °C per minute (default: no check)
+//    o max_rate_humidity     maximum change of the humidity in % per minute (default: no check)
+//    o smoothing             "none" (default), "median" or "ema"
+//    o median_size           number of values for the median (default 3)
+//    o ema_factor            weight of a new value for the exponential moving average (default 0.3)
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {Object} DLIMITS               Possible values of the sensors (°C / %) */
+const DLIMITS =
+{
+   temperature : { fMin: -50.0, fMax: 125.0 },
+   humidity    : { fMin:   0.0, fMax: 100.0 }
+};
+/** @const {number} IMAXREJECTIONS        Rejections by the rate in a row after which the value is taken as new level */
+const IMAXREJECTIONS = 3;
+/** @const {number} IDEFMEDIANSIZE        Default number of values for the median */
+const IDEFMEDIANSIZE = 3;
+/** @const {number} FDEFEMAFACTOR         Default weight of a new value for the exponential moving average */
+const FDEFEMAFACTOR = 0.3;
+/** @const {Array} ASTRSMOOTHING          Possible smoothings */
+const ASTRSMOOTHING = ["none", "median", "ema"];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the filter of one value (i.e. the internal temperature)
+ */
+class cInkbirdBtFilter
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor checks and stores the config
+    *
+    * @param {Object} dConfig             Filter config of the sensor (see above, undefined = only the limits)
+    * @param {string} strValue            "temperature" or "humidity"
+    * @returns {void}                     nothing, throws if the config is invalid
+    */
+   constructor(dConfig, strValue)
+   {
+      var self = this;
+
+      dConfig = dConfig || {};
+      self.dLimits                  = DLIMITS[strValue];
+      self.fMaxRate                 = dConfig[`max_rate_${strValue}`];                                // Maximum change per minute (undefined = no check)
+      self.strSmoothing             = dConfig.smoothing || "none";
+      self.iMedianSize              = Math.max(1, Math.round(dConfig.median_size || IDEFMEDIANSIZE));
+      self.fEmaFactor               = (dConfig.ema_factor != undefined) ? dConfig.ema_factor : FDEFEMAFACTOR;
+      self.fLastValue               = undefined;                                                      // Last accepted value (unfiltered)
+      self.iLastTime                = undefined;                                                      // Time of the last accepted value (ms)
+      self.iRejections              = 0;                                                              // Rejections by the rate in a row
+      self.afValues                 = [];                                                             // Last accepted values for the median
+      self.fSmoothed                = undefined;                                                      // Exponential moving average
+
+      if (!ASTRSMOOTHING.includes(self.strSmoothing))
+         throw new Error(`Invalid smoothing ${self.strSmoothing} (${ASTRSMOOTHING.join(", ")})`);
+      if ((self.fEmaFactor <= 0) || (self.fEmaFactor > 1))
+         throw new Error(`Invalid ema_factor ${self.fEmaFactor} (0 < ema_factor <= 1)`);
+   }
+
+   /**
+    * Function to check if a value is plausible
+    *
+    * @param {number} fValue              Decoded value
+    * @returns {string}                   Reason for the rejection, undefined if the value is ok
+    */
+   check(fValue)
+   {
+      var self = this;
+      var fMinutes;
+
+      if ((fValue < self.dLimits.fMin) || (fValue > self.dLimits.fMax))
+         return `impossible value ${fValue}`;
+      if ((self.fMaxRate == undefined) || (self.fLastValue == undefined) || (self.iRejections >= IMAXREJECTIONS))
+         return undefined;
+
+      // Changes within less than a minute are compared with the rate per minute, so frames close together are no spikes
+      fMinutes = Math.max(60000, Date.now() - self.iLastTime) / 60000;
+      if (Math.abs(fValue - self.fLastValue) / fMinutes > self.fMaxRate)
+      {
+         self.iRejections++;
+         return `change from ${self.fLastValue} to ${fValue} faster than ${self.fMaxRate}/min`;
+      }
+      return undefined;
+   }
+
+   /**
+    * Function to take an accepted value and smooth it
+    *
+    * @param {number} fValue              Decoded value (checked)
+    * @returns {number}                   Smoothed value
+    */
+   apply(fValue)
+   {
+      var self = this;
+      var afSorted;
+      var iMiddle;
+
+      if (self.iRejections >= IMAXREJECTIONS)
+      {  // New level - start again
+         self.afValues  = [];
+         self.fSmoothed = undefined;
+      }
+      self.fLastValue  = fValue;
+      self.iLastTime   = Date.now();
+      self.iRejections = 0;
+
+      switch (self.strSmoothing)
+      {
+         case "median":
+            self.afValues.push(fValue);
+            if (self.afValues.length > self.iMedianSize)
+               self.afValues.shift();
+            afSorted = self.afValues.slice().sort((fA, fB) => fA - fB);
+            iMiddle  = Math.floor(afSorted.length / 2);
+            return (afSorted.length % 2) ? afSorted[iMiddle] : (afSorted[iMiddle - 1] + afSorted[iMiddle]) / 2;
+         case "ema":
+            self.fSmoothed = (self.fSmoothed == undefined) ? fValue : self.fEmaFactor * fValue + (1 - self.fEmaFactor) * self.fSmoothed;
+            return self.fSmoothed;
+         default:
+            return fValue;
+      }
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtFilter;
@@ -0,0 +1,211 @@
+// Implements the InkbirdBtGattClient class for reading and writing characteristics of a connected sensor
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IDEFTIMEOUT           Default timeout for a single GATT operation in ms */
+const IDEFTIMEOUT = 10000;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class wrapping a noble peripheral for the GATT operations. Use it only inside a GATT job of the scan coordinator.
+ */
+class cInkbirdBtGattClient
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class
+    *
+    * @param {Object} cPeripheral         Noble peripheral object
+    * @param {number} iTimeout            Timeout for a single GATT operation in ms (optional)
+    * @returns {void}                     nothing
+    */
+   constructor(cPeripheral, iTimeout)
+   {
+      var self = this;
+
+      self.cPeripheral              = cPeripheral;
+      self.iTimeout                 = iTimeout || IDEFTIMEOUT;
+      self.dcCharacteristics        = {};                                                             // Discovered characteristics (by service and characteristic UUID)
+   }
+
+   /**
+    * Function to run a GATT job of the scan coordinator with a connected client. Disconnects afterwards.
+    *
+    * @param {Object} cScanCoordinator    Shared BLE scanner
+    * @param {string} strMAC              MAC address of the sensor
+    * @param {function} fJob              Async function called with the connected GATT client
+    * @returns {Promise}                  Resolves with the result of the job
+    */
+   static runConnected(cScanCoordinator, strMAC, fJob)
+   {
+      return cScanCoordinator.runGattJob(strMAC, async cPeripheral =>
+      {
+         var cClient = new cInkbirdBtGattClient(cPeripheral);
+
+         try
+         {
+            await cClient.connect();
+            return await fJob(cClient);
+         }
+         finally
+         {
+            await cClient.disconnect();
+         }
+      });
+   }
+
+   /**
+    * Function to run an operation with timeout
+    *
+    * @param {Promise} cOperation         Running operation
+    * @param {string} strWhat             Description of the operation for the error message
+    * @returns {Promise}                  Result of the operation, rejects after the timeout
+    */
+   withTimeout(cOperation, strWhat)
+   {
+      var self = this;
+      var iTimeoutId;
+      var cTimeout = new Promise((fResolve, fReject) =>
+      {
+         iTimeoutId = setTimeout(() => fReject(new Error(`Timeout ${strWhat}`)), self.iTimeout);
+      });
+
+      return Promise.race([cOperation, cTimeout]).finally(() => clearTimeout(iTimeoutId));
+   }
+
+   /**
+    * Function to connect to the peripheral
+    *
+    * @returns {Promise}                  Resolves when connected
+    */
+   async connect()
+   {
+      var self = this;
+
+      if (self.cPeripheral.state !== 'connected')
+         await self.withTimeout(self.cPeripheral.connectAsync(), `connecting to ${self.cPeripheral.address}`);
+      return;
+   }
+
+   /**
+    * Function to disconnect from the peripheral. Errors are ignored.
+    *
+    * @returns {Promise}                  Resolves when disconnected
+    */
+   async disconnect()
+   {
+      var self = this;
+
+      self.dcCharacteristics = {};
+      try
+      {
+         if (self.cPeripheral.state === 'connected')
+            await self.withTimeout(self.cPeripheral.disconnectAsync(), `disconnecting from ${self.cPeripheral.address}`);
+      }
+      catch (cError)
+      {  // Nothing to do, the peripheral will drop the connection anyway
+      }
+      return;
+   }
+
+   /**
+    * Function to get a characteristic. The characteristics of a service are discovered on first use.
+    *
+    * @param {string} strServiceUuid      UUID of the service (i.e. "fff0")
+    * @param {string} strCharUuid         UUID of the characteristic (i.e. "fff1")
+    * @returns {Promise}                  Resolves with the noble characteristic object
+    */
+   async getCharacteristic(strServiceUuid, strCharUuid)
+   {
+      var self = this;
+      var strKey = `${strServiceUuid}.${strCharUuid}`;
+
+      if (self.dcCharacteristics[strKey] == undefined)
+      {  // Discover all characteristics of the service
+         let dResult = await self.withTimeout(self.cPeripheral.discoverSomeServicesAndCharacteristicsAsync([strServiceUuid], []),
+                                              `discovering service ${strServiceUuid}`);
+         dResult.characteristics.forEach(cCharacteristic => self.dcCharacteristics[`${strServiceUuid}.${cCharacteristic.uuid}`] = cCharacteristic);
+      }
+      if (self.dcCharacteristics[strKey] == undefined)
+         throw new Error(`Characteristic ${strCharUuid} of service ${strServiceUuid} not found`);
+      return self.dcCharacteristics[strKey];
+   }
+
+   /**
+    * Function to read a characteristic
+    *
+    * @param {string} strServiceUuid      UUID of the service
+    * @param {string} strCharUuid         UUID of the characteristic
+    * @returns {Promise}                  Resolves with the value (Buffer)
+    */
+   async read(strServiceUuid, strCharUuid)
+   {
+      var self = this;
+      var cCharacteristic = await self.getCharacteristic(strServiceUuid, strCharUuid);
+
+      return await self.withTimeout(cCharacteristic.readAsync(), `reading ${strCharUuid}`);
+   }
+
+   /**
+    * Function to write a characteristic (with response)
+    *
+    * @param {string} strServiceUuid      UUID of the service
+    * @param {string} strCharUuid         UUID of the characteristic
+    * @param {Buffer} cData               Value to be written
+    * @returns {Promise}                  Resolves when written
+    */
+   async write(strServiceUuid, strCharUuid, cData)
+   {
+      var self = this;
+      var cCharacteristic = await self.getCharacteristic(strServiceUuid, strCharUuid);
+
+      await self.withTimeout(cCharacteristic.writeAsync(cData, false), `writing ${strCharUuid}`);
+      return;
+   }
+
+   /**
+    * Function to subscribe to the notifications of a characteristic
+    *
+    * @param {string} strServiceUuid      UUID of the service
+    * @param {string} strCharUuid         UUID of the characteristic
+    * @param {function} fOnData           Function called with the data (Buffer) of every notification
+    * @returns {Promise}                  Resolves when subscribed
+    */
+   async subscribe(strServiceUuid, strCharUuid, fOnData)
+   {
+      var self = this;
+      var cCharacteristic = await self.getCharacteristic(strServiceUuid, strCharUuid);
+
+      cCharacteristic.on('data', fOnData);
+      await self.withTimeout(cCharacteristic.subscribeAsync(), `subscribing ${strCharUuid}`);
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtGattClient;
@@ -0,0 +1,252 @@
+// Implements the InkbirdBtHistoryExport class that exports the Eve history to CSV / InfluxDB line protocol and
+// reads it back from CSV
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// CSV (header line, time as ISO date or unix time in s when importing):
+//    time,temperature,humidity
+//    2026-10-19T10:00:00.000Z,21.5,45.3
+// InfluxDB line protocol (time in ns):
+//    inkbird,name=Living\ room,mac=50:51:a9:7d:fc:e9,model=IBS-TH1,part=sensor temperature=21.5,humidity=45.3 1792404000000000000
+// The scheduled export (config option "history_export" of the platform) writes the whole history of every sensor
+// to <directory>/<id>.csv and / or <id>.lp (<id> = MAC address without colons or name, "-probe" for the
+// external probe of sensor "both") every interval and when homebridge shuts down.
+// Entries without temperature (i.e. sensor "external" with the probe unplugged) are not exported, such lines of
+// older exports (temperature empty, "undefined" or "NaN") are skipped when importing.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRCSVHEADER          Header line of the CSV files */
+const STRCSVHEADER = "time,temperature,humidity";
+/** @const {string} STRMEASUREMENT        Measurement of the InfluxDB line protocol */
+const STRMEASUREMENT = "inkbird";
+/** @const {number} IDEFINTERVAL          Default interval of the scheduled export in h */
+const IDEFINTERVAL = 24;
+/** @const {number} IMAXINTERVAL          Maximum interval of the scheduled export in h (timers are limited to 2^31-1 ms) */
+const IMAXINTERVAL = Math.floor((Math.pow(2, 31) - 1) / 3600000);
+/** @const {Array} ASTRNOVALUE            Fields of older exports for a missing temperature or humidity */
+const ASTRNOVALUE = ["", "undefined", "NaN", "null"];
+/** @const {Object} DEXTENSIONS           File extensions by format */
+const DEXTENSIONS = { csv: "csv", influx: "lp" };
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const fs       = require('fs');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the export and import of the Eve history
+ */
+class cInkbirdBtHistoryExport
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor stores the config of the scheduled export. The export is started with start.
+    *
+    * @param {Object} dConfig             Config "history_export" of the platform (directory, interval, formats)
+    * @param {function} fLog              Logging function (iLevel, strMessage)
+    * @param {function} fGetSensors       Function returning the sensor accessories
+    * @returns {void}                     nothing
+    */
+   constructor(dConfig, fLog, fGetSensors)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.fGetSensors              = fGetSensors;
+      self.strDirectory             = dConfig.directory;
+      self.iInterval                = Math.min(IMAXINTERVAL, Math.max(1, dConfig.interval || IDEFINTERVAL));
+      self.astrFormats              = (dConfig.formats || ["csv"]).filter(strFormat =>
+      {
+         if (DEXTENSIONS[strFormat] != undefined)
+            return true;
+         self.fLog(ELOGLEVEL.ERROR, `Invalid history export format ${strFormat} (${Object.keys(DEXTENSIONS).join(", ")}). Ignored!`);
+         return false;
+      });
+      self.iIntervalId              = undefined;                                                      // Interval of the scheduled export
+   }
+
+   /**
+    * Function to start the scheduled export
+    *
+    * @returns {void}                     Nothing
+    */
+   start()
+   {
+      var self = this;
+
+      self.fLog(ELOGLEVEL.INFO, `Exporting the history (${self.astrFormats.join(", ")}) to ${self.strDirectory} every ${self.iInterval}h`);
+      self.iIntervalId = setInterval(() => self.exportAll(), self.iInterval * 3600000);
+      return;
+   }
+
+   /**
+    * Function to stop the scheduled export, the history is exported a last time (homebridge shuts down)
+    *
+    * @returns {void}                     Nothing
+    */
+   stop()
+   {
+      var self = this;
+
+      if (self.iIntervalId != undefined)
+         clearInterval(self.iIntervalId);
+      self.iIntervalId = undefined;
+      self.exportAll();
+      return;
+   }
+
+   /**
+    * Function to export the history of all sensors to the directory
+    *
+    * @returns {void}                     Nothing
+    */
+   exportAll()
+   {
+      var self = this;
+
+      try
+      {
+         fs.mkdirSync(self.strDirectory, { recursive: true });
+      }
+      catch (cError)
+      {
+         self.fLog(ELOGLEVEL.ERROR, `History export directory ${self.strDirectory} not possible: ${cError.message}`);
+         return;
+      }
+      self.fGetSensors().forEach(cSensor =>
+      {
+         [false, true].forEach(bProbe =>
+         {
+            var adEntries = cSensor.getHistory(0, Infinity, bProbe);
+            var strFile = path.join(self.strDirectory, cInkbirdBtHistoryExport.getFileId(cSensor, bProbe));
+
+            if (adEntries == undefined)
+               return;
+            self.astrFormats.forEach(strFormat =>
+            {
+               try
+               {
+                  fs.writeFileSync(`${strFile}.${DEXTENSIONS[strFormat]}`, (strFormat == "csv") ?
+                     cInkbirdBtHistoryExport.toCSV(adEntries) : cInkbirdBtHistoryExport.toInflux(adEntries, cSensor, bProbe));
+               }
+               catch (cError)
+               {
+                  self.fLog(ELOGLEVEL.ERROR, `History export to ${strFile}.${DEXTENSIONS[strFormat]} failed: ${cError.message}`);
+               }
+            });
+         });
+      });
+      self.fLog(ELOGLEVEL.DEBUG, `History exported to ${self.strDirectory}`);
+      return;
+   }
+
+   /**
+    * Function to get the file name (without extension) for the history of a sensor
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @param {boolean} bProbe             true for the history of the external probe
+    * @returns {string}                   File name
+    */
+   static getFileId(cSensor, bProbe)
+   {
+      var strId = (cSensor.strMAC != "") ? cSensor.strMAC.replace(/:/g, "") : cSensor.strName.replace(/[^A-Za-z0-9_-]+/g, "_");
+
+      return bProbe ? `${strId}-probe` : strId;
+   }
+
+   /**
+    * Function to get the history entries with a temperature
+    *
+    * @param {Array} adEntries            Entries [{time, temp, humidity}]
+    * @returns {Array}                    Entries without the ones with an undefined temperature
+    */
+   static getValidEntries(adEntries)
+   {
+      return adEntries.filter(dEntry => (typeof dEntry.temp == "number") && (!isNaN(dEntry.temp)));
+   }
+
+   /**
+    * Function to convert history entries to CSV
+    *
+    * @param {Array} adEntries            Entries [{time, temp, humidity}]
+    * @returns {string}                   CSV
+    */
+   static toCSV(adEntries)
+   {
+      return [STRCSVHEADER].concat(cInkbirdBtHistoryExport.getValidEntries(adEntries).map(dEntry => `${new Date(dEntry.time * 1000).toISOString()},${dEntry.temp},${dEntry.humidity}`))
+                           .join("\n") + "\n";
+   }
+
+   /**
+    * Function to convert history entries to the InfluxDB line protocol
+    *
+    * @param {Array} adEntries            Entries [{time, temp, humidity}]
+    * @param {Object} cSensor             Sensor accessory (for the tags name, mac and model)
+    * @param {boolean} bProbe             true for the history of the external probe (tag part)
+    * @returns {string}                   Lines
+    */
+   static toInflux(adEntries, cSensor, bProbe)
+   {
+      var fEscape = (strValue => String(strValue || "-").replace(/([,= \\])/g, "\\$1"));
+      var strTags = `name=${fEscape(cSensor.strName)},mac=${fEscape(cSensor.strMAC)},model=${fEscape(cSensor.strModel)},part=${bProbe ? "probe" : "sensor"}`;
+
+      return cInkbirdBtHistoryExport.getValidEntries(adEntries).map(dEntry => `${STRMEASUREMENT},${strTags} temperature=${dEntry.temp},humidity=${dEntry.humidity} ${dEntry.time}000000000`)
+                      .join("\n") + "\n";
+   }
+
+   /**
+    * Function to read history entries from CSV (header line optional, lines without temperature are skipped, a missing
+    * humidity is 0)
+    *
+    * @param {string} strCSV              CSV
+    * @returns {Array}                    Entries [{time, temp, humidity}] sorted by time, throws if a line is invalid
+    */
+   static parseCSV(strCSV)
+   {
+      var adEntries = [];
+
+      strCSV.split(/\r?\n/).forEach((strLine, iIndex) =>
+      {
+         var astrFields = strLine.trim().split(",");
+         var iTime;
+         var fTemp;
+         var fHumidity;
+
+         if ((astrFields[0] == "") || (strLine.trim() == STRCSVHEADER) || (ASTRNOVALUE.includes((astrFields[1] || "").trim())))
+            return;
+         iTime     = /^\d+$/.test(astrFields[0]) ? parseInt(astrFields[0]) : Math.floor(Date.parse(astrFields[0]) / 1000);
+         fTemp     = parseFloat(astrFields[1]);
+         fHumidity = ((astrFields.length > 2) && (!ASTRNOVALUE.includes(astrFields[2].trim()))) ? parseFloat(astrFields[2]) : 0.0;
+         if ((isNaN(iTime)) || (isNaN(fTemp)) || (isNaN(fHumidity)))
+            throw new Error(`Invalid line ${iIndex + 1}: ${strLine}`);
+         adEntries.push({ time: iTime, temp: fTemp, humidity: fHumidity });
+      });
+      return adEntries.sort((dA, dB) => dA.time - dB.time);
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtHistoryExport;
@@ -0,0 +1,382 @@
+// Implements the InkbirdBtHistoryReader class that reads the history logged by the sensor itself over GATT
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+// 19.10.2026  D. Steidl   Entries of the Eve history for a time range (REST API)
+//                         Timestamps anchored to the recorder state of the last read
+//                         Full memory of the sensor used as ring buffer
+//-----------------------------------------------------------------------
+
+// The sensor records the temperature and humidity in its own memory (see index.js for the characteristics).
+// Reading the history:
+// - connect and read 0xFFF1 (cfg data): bytes 4..7 are the recording interval in s (big endian, i.e. 0x0000003c = 60s)
+// - read 0xFFF5 (recorder frame): bytes 0..1 are the number of stored records (little endian)
+// - read 0xFFF7 (run/stop recorder): 0x01 = recorder running
+// - subscribe to 0xFFF6 (history data) and write 0x00 (temperature and humidity) to 0xFFF8 (his data type)
+// - the sensor notifies the records, oldest first, every record 4 bytes:
+//    o 0xtttt (temperature in 0,01°C)
+//    o 0xhhhh (humidity in 0,01%)
+// - the records don't have a timestamp. The newest record is the actual one (accurate to one recording interval),
+//   the others are one recording interval apart each.
+// This is only true while the recorder runs all the time. The recorder state (number of records, interval) is
+// stored after every read (file inkbird-bt-thsensor-recorder.json in the homebridge storage directory, by MAC):
+//    { "50:51:a9:7d:fc:e9": { "count": 1234, "interval": 600, "time": 1792404000 } }
+// The next read only takes the records recorded since then, and only if the number of new records fits the time
+// passed. If the recorder is stopped, was cleared, the interval was changed or records are missing (sensor
+// switched off), the time of the records is unknown and nothing is read. The first read of a sensor takes all
+// records, assuming that the recorder was running all the time.
+// If the memory of the sensor is full (IMAXRECORDS), the number of records doesn't grow anymore: the sensor overwrites
+// the oldest records. Then the newest records for the time passed since the last read are taken (missing records
+// can't be detected in this case).
+// The layout of the recorder frame and the history type is only known from the IBS-TH1 so far. If your sensor
+// behaves differently, please report the debug output.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRSERVICE            UUID of the manufacturer specific service */
+const STRSERVICE        = "fff0";
+/** @const {string} STRCFGDATA            UUID of the cfg data characteristic */
+const STRCFGDATA        = "fff1";
+/** @const {string} STRRECORDERFRAME      UUID of the recorder frame characteristic */
+const STRRECORDERFRAME  = "fff5";
+/** @const {string} STRRECORDER           UUID of the run/stop recorder characteristic */
+const STRRECORDER       = "fff7";
+/** @const {number} IRECORDERRUNNING      Value of the run/stop recorder characteristic if the recorder is running */
+const IRECORDERRUNNING  = 0x01;
+/** @const {string} STRHISTORYDATA        UUID of the history data characteristic (notify) */
+const STRHISTORYDATA    = "fff6";
+/** @const {string} STRHISTORYTYPE        UUID of the history data type characteristic */
+const STRHISTORYTYPE    = "fff8";
+/** @const {number} IRECORDSIZE           Size of a history record in bytes */
+const IRECORDSIZE       = 4;
+/** @const {number} IIDLETIMEOUT          Time without notification after which the transfer is regarded as finished in ms */
+const IIDLETIMEOUT      = 5000;
+/** @const {number} ILOADTIMEOUT          Maximum time to wait for the Eve history to be loaded in ms */
+const ILOADTIMEOUT      = 10000;
+/** @const {number} IMAXRECORDS           Number of records the memory of the sensor holds (IBS-TH1) */
+const IMAXRECORDS       = 16000;
+/** @const {string} STRSTATEFILE          File name of the recorder states in the storage directory */
+const STRSTATEFILE      = "inkbird-bt-thsensor-recorder.json";
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const moment   = require('moment');                                                                // for timestamps for Eve history
+const fs       = require('fs');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const cInkbirdBtGattClient = require('./InkbirdBtGattClient')
+const { ELOGLEVEL }        = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class to read the history stored in the sensor and add it to the Eve history
+ */
+class cInkbirdBtHistoryReader
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class
+    *
+    * @param {function} fLog              Logging function of the accessory (iLevel, strMessage)
+    * @param {Object} cScanCoordinator    Shared BLE scanner
+    * @param {string} strStoragePath      Directory for the recorder state file
+    * @returns {void}                     nothing
+    */
+   constructor(fLog, cScanCoordinator, strStoragePath)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.cScanCoordinator         = cScanCoordinator;
+      self.strStateFile             = path.join(strStoragePath, STRSTATEFILE);
+   }
+
+   /**
+    * Function to read the history stored in the sensor
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {Promise}                  Resolves with the records [{time (unix), iTemperature (0.01°C), iHumidity (0.01%)}], oldest first
+    *                                     (empty if the time of the records is unknown)
+    */
+   read(strMAC)
+   {
+      var self = this;
+
+      return cInkbirdBtGattClient.runConnected(self.cScanCoordinator, strMAC, cClient => self.readRecords(cClient, strMAC));
+   }
+
+   /**
+    * Function to read the records from the connected sensor
+    *
+    * @param {Object} cClient             Connected GATT client
+    * @param {string} strMAC              MAC address of the sensor (key of the recorder state)
+    * @returns {Promise}                  Resolves with the records (see read)
+    */
+   async readRecords(cClient, strMAC)
+   {
+      var self = this;
+      var cCfgData      = await cClient.read(STRSERVICE, STRCFGDATA);
+      var cFrame        = await cClient.read(STRSERVICE, STRRECORDERFRAME);
+      var cRecorder     = await cClient.read(STRSERVICE, STRRECORDER);
+      var iInterval     = cCfgData.readUInt32BE(4);
+      var iCount        = cFrame.readUInt16LE(0);
+      var bRunning      = (cRecorder.readUInt8(0) == IRECORDERRUNNING);
+      var iNow          = moment().unix();
+      var dcStates      = self.loadStates();
+      var dLastState    = dcStates[strMAC.toLowerCase()];
+      var iFirst        = 0;
+      var acData        = [];
+      var iReceived     = 0;
+      var strUnknown;
+      var cData;
+
+      self.fLog(ELOGLEVEL.DEBUG, `History: cfg data ${cCfgData.toString('hex')}, recorder frame ${cFrame.toString('hex')}, ` +
+                                 `recorder ${cRecorder.toString('hex')}, ${iCount} records every ${iInterval}s`);
+
+      // Check the records against the state of the last read, the next read starts from the actual state
+      strUnknown = cInkbirdBtHistoryReader.checkRecorderState(dLastState, iCount, iInterval, bRunning, iNow);
+      dcStates[strMAC.toLowerCase()] = { count: iCount, interval: iInterval, time: iNow };
+      if (strUnknown != undefined)
+      {
+         self.fLog(ELOGLEVEL.INFO, `History: ${strUnknown}, time of the records unknown - history of the sensor not used`);
+         self.saveStates(dcStates);
+         return [];
+      }
+      iFirst = cInkbirdBtHistoryReader.getFirstRecord(dLastState, iCount, iInterval, iNow);           // Only the records since the last read
+      if ((iCount == 0) || (iInterval == 0) || (iFirst >= iCount))
+      {
+         self.saveStates(dcStates);
+         return [];
+      }
+
+      // Subscribe, start the transfer and wait until all records are there (or no more data comes)
+      await new Promise((fResolve, fReject) =>
+      {
+         var iIdleId;
+         var fRestartIdle = () =>
+         {
+            clearTimeout(iIdleId);
+            iIdleId = setTimeout(fResolve, IIDLETIMEOUT);
+         };
+
+         fRestartIdle();
+         cClient.subscribe(STRSERVICE, STRHISTORYDATA, cNotification =>
+         {
+            acData.push(cNotification);
+            iReceived += cNotification.length;
+            if (iReceived >= iCount * IRECORDSIZE)
+            {
+               clearTimeout(iIdleId);
+               fResolve();
+            }
+            else
+               fRestartIdle();
+         })
+         .then(() => cClient.write(STRSERVICE, STRHISTORYTYPE, Buffer.from([0x00])))
+         .catch(cError =>
+         {
+            clearTimeout(iIdleId);
+            fReject(cError);
+         });
+      });
+
+      // The newest record is the actual one (an incomplete transfer misses the newest records, so their time is unknown)
+      cData = Buffer.concat(acData);
+      self.fLog(ELOGLEVEL.DEBUG, `History: ${cData.length} bytes received, ${Math.floor(cData.length / IRECORDSIZE)} records`);
+      if (cData.length < iCount * IRECORDSIZE)
+         throw new Error(`Transfer incomplete (${Math.floor(cData.length / IRECORDSIZE)} of ${iCount} records)`);
+      self.saveStates(dcStates);
+
+      return Array.from({ length: iCount - iFirst }, (_, iIndex) => (
+      {
+         time           : iNow - (iCount - 1 - iFirst - iIndex) * iInterval,
+         iTemperature   : cData.readInt16LE((iFirst + iIndex) * IRECORDSIZE),
+         iHumidity      : cData.readUInt16LE((iFirst + iIndex) * IRECORDSIZE + 2)
+      }));
+   }
+
+   /**
+    * Function to check if the newest record is the actual one and the records are one interval apart each
+    *
+    * @param {Object} dLastState          Recorder state of the last read {count, interval, time}, undefined if there was none
+    * @param {number} iCount              Number of stored records
+    * @param {number} iInterval           Recording interval in s
+    * @param {boolean} bRunning           true if the recorder is running
+    * @param {number} iNow                Actual time (unix)
+    * @returns {string}                   Why the time of the records is unknown, undefined if it's known
+    */
+   static checkRecorderState(dLastState, iCount, iInterval, bRunning, iNow)
+   {
+      var iExpected;
+
+      if (!bRunning)
+         return `recorder of the sensor stopped`;
+      if (dLastState == undefined)
+         return undefined;
+      if (dLastState.interval != iInterval)
+         return `recording interval changed from ${dLastState.interval}s to ${iInterval}s`;
+      if (iCount < dLastState.count)
+         return `records cleared (${iCount} records, ${dLastState.count} at the last read)`;
+
+      // One record more or less, depending on the time of the records within the interval. With the memory full the
+      // oldest records are overwritten, so there may be less new records than expected.
+      iExpected = Math.floor((iNow - dLastState.time) / iInterval);
+      if ((iCount >= IMAXRECORDS) && ((iCount - dLastState.count) <= iExpected + 1))
+         return undefined;
+      if (Math.abs((iCount - dLastState.count) - iExpected) > 1)
+         return `${iCount - dLastState.count} new records, ${iExpected} expected (recorder stopped or sensor switched off)`;
+      return undefined;
+   }
+
+   /**
+    * Function to get the first record recorded since the last read (the recorder state must be checked before)
+    *
+    * @param {Object} dLastState          Recorder state of the last read {count, interval, time}, undefined if there was none
+    * @param {number} iCount              Number of stored records
+    * @param {number} iInterval           Recording interval in s
+    * @param {number} iNow                Actual time (unix)
+    * @returns {number}                   Index of the first new record (iCount if there is none)
+    */
+   static getFirstRecord(dLastState, iCount, iInterval, iNow)
+   {
+      if (dLastState == undefined)
+         return 0;
+      if (iCount >= IMAXRECORDS)
+      {  // Memory full - the newest records for the time passed are new
+         return Math.max(0, iCount - Math.floor((iNow - dLastState.time) / iInterval));
+      }
+      return dLastState.count;
+   }
+
+   /**
+    * Function to add entries to the Eve history. Only entries newer than the last entry of the history are added,
+    * so entries that are already there (recorded live or by an earlier backfill) are not added twice.
+    *
+    * @param {Object} cEveHistoryService  Fakegato history service
+    * @param {Array} adEntries            Entries [{time, temp, humidity}], sorted by time
+    * @returns {Promise}                  Resolves with the number of entries added
+    */
+   async addToHistory(cEveHistoryService, adEntries)
+   {
+      var iLastTime;
+      var iWaited = 0;
+
+      // The history is loaded asynchronously at start
+      while ((!cEveHistoryService.isHistoryLoaded()) && (iWaited < ILOADTIMEOUT))
+      {
+         await new Promise(fResolve => setTimeout(fResolve, 100));
+         iWaited += 100;
+      }
+      if (!cEveHistoryService.isHistoryLoaded())
+         throw new Error(`Eve history not loaded`);
+
+      iLastTime = cInkbirdBtHistoryReader.getLastEntryTime(cEveHistoryService);
+      adEntries = adEntries.filter(dEntry => dEntry.time > iLastTime);
+      // fakegato has no interface to add entries with an own time, so use the internal one (the timer would use the
+      // actual time). _addEntry is private, so fakegato-history is pinned in package.json (0.5.6) - check it on an update.
+      adEntries.forEach(dEntry => cEveHistoryService._addEntry({ time: dEntry.time, temp: dEntry.temp, humidity: dEntry.humidity, pressure: 0.0 }));
+      return adEntries.length;
+   }
+
+   /**
+    * Function to load the recorder state file
+    *
+    * @returns {Object}                   Recorder states by MAC (empty if there is no state file)
+    */
+   loadStates()
+   {
+      var self = this;
+
+      try
+      {
+         return JSON.parse(fs.readFileSync(self.strStateFile, 'utf8'));
+      }
+      catch (cError)
+      {
+         if (cError.code != 'ENOENT')
+            self.fLog(ELOGLEVEL.WARNING, `Recorder state ${self.strStateFile} not readable: ${cError.message}`);
+         return {};
+      }
+   }
+
+   /**
+    * Function to save the recorder state file
+    *
+    * @param {Object} dcStates            Recorder states by MAC
+    * @returns {void}                     nothing
+    */
+   saveStates(dcStates)
+   {
+      var self = this;
+
+      try
+      {
+         fs.writeFileSync(self.strStateFile, JSON.stringify(dcStates, null, 3));
+      }
+      catch (cError)
+      {
+         self.fLog(ELOGLEVEL.WARNING, `Recorder state ${self.strStateFile} not writable: ${cError.message}`);
+      }
+      return;
+   }
+
+   /**
+    * Function to get the time of the last entry in the Eve history
+    *
+    * @param {Object} cEveHistoryService  Fakegato history service
+    * @returns {number}                   Time of the last entry (unix), 0 if the history is empty
+    */
+   static getLastEntryTime(cEveHistoryService)
+   {
+      var dEntry;
+
+      if (cEveHistoryService.lastEntry == 0)
+         return 0;
+      dEntry = cEveHistoryService.history[cEveHistoryService.lastEntry % cEveHistoryService.memorySize];
+      return ((dEntry != undefined) && (dEntry.time != undefined)) ? dEntry.time : 0;
+   }
+
+   /**
+    * Function to get the entries of the Eve history in a time range, oldest first. The entries setting the
+    * reference time are left out.
+    *
+    * @param {Object} cEveHistoryService  Fakegato history service
+    * @param {number} iFrom               Start of the range (unix, inclusive)
+    * @param {number} iTo                 End of the range (unix, inclusive)
+    * @returns {Array}                    Entries [{time, temp, humidity}]
+    */
+   static getEntries(cEveHistoryService, iFrom, iTo)
+   {
+      var adEntries = [];
+      var dEntry;
+
+      for (let iEntry = cEveHistoryService.firstEntry + 1; iEntry <= cEveHistoryService.lastEntry; iEntry++)
+      {
+         dEntry = cEveHistoryService.history[iEntry % cEveHistoryService.memorySize];
+         if ((dEntry == undefined) || (dEntry.time == undefined) || (dEntry.setRefTime == 1) || (dEntry.time < iFrom) || (dEntry.time > iTo))
+            continue;
+         adEntries.push({ time: dEntry.time, temp: dEntry.temp, humidity: dEntry.humidity });
+      }
+      return adEntries;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtHistoryReader;
@@ -0,0 +1,166 @@
+// Implements the InkbirdBtLinkQuality class that tracks the signal strength and the reception rate of a sensor
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// The signal strength (RSSI) of every frame of the sensor is recorded. The frames are counted per interval
+// (cyclic mode: one scan, 1 frame expected; continuous mode: the check for missing frames every minute,
+// interval / advertising_interval frames expected). The reception rate is the sum of the frames seen divided by the
+// sum of the frames expected over the last "window" intervals (max. 100%). If the window is full and the
+// reception rate or the average RSSI of the window is below the config "link_quality" (min_reception_rate,
+// min_rssi), a warning is logged once until the link quality is good again.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IDEFADVINTERVAL       Default advertising interval of the sensor in s (continuous mode) */
+const IDEFADVINTERVAL   = 10;
+/** @const {number} IDEFWINDOW            Default number of intervals of the reception rate */
+const IDEFWINDOW        = 10;
+/** @const {number} IDEFMINRSSI           Default minimum average signal strength in dBm */
+const IDEFMINRSSI       = -90;
+/** @const {number} IDEFMINRATE           Default minimum reception rate in % */
+const IDEFMINRATE       = 50;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the link quality of a sensor
+ */
+class cInkbirdBtLinkQuality
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor stores the config
+    *
+    * @param {Object} dConfig             Config "link_quality" of the sensor (advertising_interval, window, min_rssi,
+    *                                     min_reception_rate), may be undefined
+    * @param {function} fLog              Logging function of the accessory (iLevel, strMessage)
+    * @returns {void}                     nothing
+    */
+   constructor(dConfig, fLog)
+   {
+      var self = this;
+
+      dConfig                       = dConfig || {};
+      self.fLog                     = fLog;
+      self.iAdvInterval             = Math.max(1, dConfig.advertising_interval || IDEFADVINTERVAL);
+      self.iWindow                  = Math.max(1, dConfig.window || IDEFWINDOW);
+      self.iMinRSSI                 = (dConfig.min_rssi != undefined) ? dConfig.min_rssi : IDEFMINRSSI;
+      self.iMinRate                 = (dConfig.min_reception_rate != undefined) ? dConfig.min_reception_rate : IDEFMINRATE;
+      self.iRSSI                    = undefined;                                                      // Signal strength of the last frame in dBm
+      self.iFrames                  = 0;                                                              // Frames seen in the running interval
+      self.afRSSI                   = [];                                                             // RSSI of the frames in the running interval
+      self.adIntervals              = [];                                                             // Finished intervals [{iSeen, fExpected, fRSSI}]
+      self.bWarned                  = false;                                                          // true while the link quality is too low
+   }
+
+   /**
+    * Function to record a frame of the sensor
+    *
+    * @param {number} iRSSI               Signal strength of the frame in dBm
+    * @returns {void}                     Nothing
+    */
+   addFrame(iRSSI)
+   {
+      var self = this;
+
+      self.iRSSI = iRSSI;
+      self.iFrames++;
+      if (iRSSI != undefined)
+         self.afRSSI.push(iRSSI);
+      return;
+   }
+
+   /**
+    * Function to finish an interval, log the link quality and check it against the minimum
+    *
+    * @param {number} iSeconds            Length of the interval in s (undefined for a scan, 1 frame expected)
+    * @returns {void}                     Nothing
+    */
+   endInterval(iSeconds)
+   {
+      var self = this;
+      var fExpected = (iSeconds != undefined) ? iSeconds / self.iAdvInterval : 1;
+      var fRSSI = (self.afRSSI.length > 0) ? self.afRSSI.reduce((fSum, iValue) => fSum + iValue, 0) / self.afRSSI.length : undefined;
+      var iRate;
+      var strAvgRSSI;
+
+      // A scan ends with the first frame, more than expected is no better reception
+      self.adIntervals.push({ iSeen: Math.min(self.iFrames, Math.ceil(fExpected)), fExpected: fExpected, fRSSI: fRSSI });
+      self.adIntervals = self.adIntervals.slice(-self.iWindow);
+      self.iFrames     = 0;
+      self.afRSSI      = [];
+
+      iRate      = self.getReceptionRate();
+      fRSSI      = self.getAverageRSSI();
+      strAvgRSSI = (fRSSI != undefined) ? `${Math.round(fRSSI)}dBm` : `-`;
+      self.fLog(ELOGLEVEL.DEBUG, `Link quality: RSSI ${(self.iRSSI != undefined) ? `${self.iRSSI}dBm` : `-`} (average ${strAvgRSSI}), ` +
+                                 `reception rate ${iRate}% over ${self.adIntervals.length} intervals`);
+      if (self.adIntervals.length < self.iWindow)
+         return;
+      if ((iRate < self.iMinRate) || ((fRSSI != undefined) && (fRSSI < self.iMinRSSI)))
+      {
+         if (!self.bWarned)
+            self.fLog(ELOGLEVEL.WARNING, `Poor link quality: reception rate ${iRate}% (minimum ${self.iMinRate}%), average RSSI ` +
+                                         `${strAvgRSSI} (minimum ${self.iMinRSSI}dBm). ` +
+                                         `Move the sensor closer to the bluetooth adapter!`);
+         self.bWarned = true;
+      }
+      else if (self.bWarned)
+      {
+         self.fLog(ELOGLEVEL.INFO, `Link quality good again: reception rate ${iRate}%, average RSSI ${strAvgRSSI}`);
+         self.bWarned = false;
+      }
+      return;
+   }
+
+   /**
+    * Function to get the reception rate over the window
+    *
+    * @returns {number}                   Reception rate in % (rounded, undefined before the first interval)
+    */
+   getReceptionRate()
+   {
+      var self = this;
+      var iSeen = self.adIntervals.reduce((iSum, dInterval) => iSum + dInterval.iSeen, 0);
+      var fExpected = self.adIntervals.reduce((fSum, dInterval) => fSum + dInterval.fExpected, 0);
+
+      return (fExpected > 0) ? Math.min(100, Math.round(iSeen / fExpected * 100)) : undefined;
+   }
+
+   /**
+    * Function to get the average signal strength over the window
+    *
+    * @returns {number}                   Average RSSI in dBm (undefined without frames)
+    */
+   getAverageRSSI()
+   {
+      var self = this;
+      var afRSSI = self.adIntervals.filter(dInterval => dInterval.fRSSI != undefined).map(dInterval => dInterval.fRSSI);
+
+      return (afRSSI.length > 0) ? afRSSI.reduce((fSum, fValue) => fSum + fValue, 0) / afRSSI.length : undefined;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtLinkQuality;
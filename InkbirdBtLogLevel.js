@@ -0,0 +1,25 @@
+// Log levels used by the platform and the accessories
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created (moved from InkbirdBtTHSensorAccessory.js)
+//-----------------------------------------------------------------------
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {Object} ELOGLEVEL              Enumeration for log levels */
+const ELOGLEVEL = {MIN:0, FATAL: 0, ERROR: 1, WARNING: 2, INFO: 3, DEBUG: 4, MAX:4}
+/** @const {Object} STRLOGLEVEL            Strings for log levels */
+const STRLOGLEVEL = ["Fatal", "Error", "Warning", "Info", "Debug"];
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = { ELOGLEVEL, STRLOGLEVEL };
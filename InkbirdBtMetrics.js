@@ -0,0 +1,175 @@
+// Implements the InkbirdBtMetrics class, a HTTP listener exposing the readings and counters for Prometheus
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Reception rate
+//-----------------------------------------------------------------------
+
+// GET /metrics returns the metrics of all sensors in the Prometheus text format, labelled by name, MAC and model:
+//    # HELP inkbird_temperature_celsius Temperature of the sensor
+//    # TYPE inkbird_temperature_celsius gauge
+//    inkbird_temperature_celsius{name="Living room",mac="50:51:a9:7d:fc:e9",model="IBS-TH1"} 21.5
+// Gauges without value (i.e. no reading yet) are left out.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IDEFPORT              Default port of the listener */
+const IDEFPORT = 9189;
+/** @const {string} STRDEFINTERFACE       Default interface of the listener (local only) */
+const STRDEFINTERFACE = "127.0.0.1";
+/** @const {Array} ADGAUGES               Gauges (name, help, function to get the value from the reading) */
+const ADGAUGES =
+[
+   { strName: "inkbird_temperature_celsius",             strHelp: "Temperature of the sensor",                fValue: dReading => dReading.temperature },
+   { strName: "inkbird_humidity_percent",                strHelp: "Relative humidity of the sensor",          fValue: dReading => dReading.humidity },
+   { strName: "inkbird_battery_percent",                 strHelp: "Battery level of the sensor",              fValue: dReading => dReading.battery },
+   { strName: "inkbird_rssi_dbm",                        strHelp: "Signal strength of the last frame",        fValue: dReading => dReading.rssi },
+   { strName: "inkbird_reception_rate_percent",          strHelp: "Frames seen / frames expected",            fValue: dReading => dReading.reception_rate },
+   { strName: "inkbird_last_reading_timestamp_seconds",  strHelp: "Time of the last valid reading",           fValue: dReading => (dReading.time != null) ? Date.parse(dReading.time) / 1000 : null }
+];
+/** @const {Array} ADCOUNTERS             Counters (name, help, key of the counters of the sensor) */
+const ADCOUNTERS =
+[
+   { strName: "inkbird_scans_started_total",             strHelp: "Scans started",                            strKey: "scans_started" },
+   { strName: "inkbird_scan_timeouts_total",             strHelp: "Scans that ended without the sensor",      strKey: "scan_timeouts" },
+   { strName: "inkbird_crc_errors_total",                strHelp: "Frames with CRC error",                    strKey: "crc_errors" },
+   { strName: "inkbird_plausibility_failures_total",     strHelp: "Failed plausibility checks",               strKey: "plausibility_failures" },
+   { strName: "inkbird_rejected_frames_total",           strHelp: "Frames rejected by the filter",            strKey: "rejected_frames" }
+];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const http     = require('http');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the HTTP listener exposing the metrics
+ */
+class cInkbirdBtMetrics
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor stores the config. The listener is started with start.
+    *
+    * @param {Object} dConfig             Config "metrics" of the platform (port, interface)
+    * @param {function} fLog              Logging function (iLevel, strMessage)
+    * @param {function} fGetSensors       Function returning the sensor accessories
+    * @returns {void}                     nothing
+    */
+   constructor(dConfig, fLog, fGetSensors)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.fGetSensors              = fGetSensors;
+      self.iPort                    = dConfig.port || IDEFPORT;
+      self.strInterface             = dConfig.interface || STRDEFINTERFACE;
+      self.cServer                  = undefined;                                                      // HTTP server
+   }
+
+   /**
+    * Function to start the HTTP listener
+    *
+    * @returns {void}                     Nothing
+    */
+   start()
+   {
+      var self = this;
+
+      self.cServer = http.createServer((cRequest, cResponse) =>
+      {
+         if ((cRequest.method != "GET") || (cRequest.url.split("?")[0] != "/metrics"))
+         {
+            cResponse.writeHead(404, { "Content-Type": "text/plain" });
+            cResponse.end("Not found\n");
+            return;
+         }
+         cResponse.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+         cResponse.end(self.getMetrics());
+      });
+      self.cServer.on('error', cError => self.fLog(ELOGLEVEL.ERROR, `Metrics listener on ${self.strInterface}:${self.iPort} failed: ${cError.message}`));
+      self.cServer.listen(self.iPort, self.strInterface, () =>
+         self.fLog(ELOGLEVEL.INFO, `Metrics available on http://${self.strInterface}:${self.iPort}/metrics`));
+      return;
+   }
+
+   /**
+    * Function to stop the HTTP listener (homebridge shuts down)
+    *
+    * @returns {void}                     Nothing
+    */
+   stop()
+   {
+      var self = this;
+
+      if (self.cServer != undefined)
+         self.cServer.close();
+      self.cServer = undefined;
+      return;
+   }
+
+   /**
+    * Function to build the metrics of all sensors in the Prometheus text format
+    *
+    * @returns {string}                   Metrics
+    */
+   getMetrics()
+   {
+      var self = this;
+      var acSensors = self.fGetSensors();
+      var astrLines = [];
+
+      ADGAUGES.forEach(dGauge =>
+      {
+         astrLines.push(`# HELP ${dGauge.strName} ${dGauge.strHelp}`, `# TYPE ${dGauge.strName} gauge`);
+         acSensors.forEach(cSensor =>
+         {
+            var xValue = dGauge.fValue(cSensor.getReading());
+
+            if (xValue != null)
+               astrLines.push(`${dGauge.strName}${self.getLabels(cSensor)} ${xValue}`);
+         });
+      });
+      ADCOUNTERS.forEach(dCounter =>
+      {
+         astrLines.push(`# HELP ${dCounter.strName} ${dCounter.strHelp}`, `# TYPE ${dCounter.strName} counter`);
+         acSensors.forEach(cSensor => astrLines.push(`${dCounter.strName}${self.getLabels(cSensor)} ${cSensor.getCounters()[dCounter.strKey]}`));
+      });
+      return astrLines.join("\n") + "\n";
+   }
+
+   /**
+    * Function to get the labels of a sensor
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @returns {string}                   Labels {name="...",mac="...",model="..."}
+    */
+   getLabels(cSensor)
+   {
+      var fEscape = (strValue => String(strValue || "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n"));
+
+      return `{name="${fEscape(cSensor.strName)}",mac="${fEscape(cSensor.strMAC)}",model="${fEscape(cSensor.strModel)}"}`;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtMetrics;
@@ -0,0 +1,230 @@
+// Supported sensor models and the plausibility check of their advertisements
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created (moved from InkbirdBtTHSensorAccessory.js), model search for discovery
+//                         Detection of the model from the advertisement (and the model string of the device information)
+//                         Registry of the models with matcher, decoder and the services needed
+//                         Ambiguous detection reported as such instead of the first candidate
+//-----------------------------------------------------------------------
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRANYMODEL           Model name to switch off the plausibility checks */
+const STRANYMODEL = "not in list - try it anyway";
+/** @const {string} STRAMBIGUOUS          Result of the detection if several models fit to the advertisement */
+const STRAMBIGUOUS = "ambiguous";
+/** @const {Array} ASTRTHSERVICES         Services of the temperature and humidity sensors */
+const ASTRTHSERVICES = ["temperature", "humidity", "battery"];
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+const CRC16_0x18005                   = require('./CRC16_0x18005')
+const { decodeTH, checkCRC }          = require('./InkbirdBtDecoders')
+
+//-----------------------------------------------------------------------
+// Models
+//-----------------------------------------------------------------------
+
+// Config data of a model:
+//    o datalength, localName, serviceDat, serviceUuids: expected values of the advertisement (see isPlausible)
+//    o match              function (cAdvertisement) => boolean instead of the values above (optional)
+//    o dualView           true if the model has the layout of the Plus models with external sensor
+//    o decode             decoder of the manufacturer data (see InkbirdBtDecoders.js)
+//    o services           HomeKit services the model needs ("temperature", "humidity", "battery")
+
+/** @const {Object} DDMODELS              Dictionary of models containing a dictionary with the config data of a model */
+const DDMODELS = {"IBS-TH1"                     : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : false, decode : decodeTH, services : ASTRTHSERVICES},
+                  "IBS-TH1-Plus"                : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : true,  decode : decodeTH, services : ASTRTHSERVICES},
+                  "IBS-TH2"                     : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : false, decode : decodeTH, services : ASTRTHSERVICES},
+                  "IBS-TH2-Plus"                : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : true,  decode : decodeTH, services : ASTRTHSERVICES},
+                  [STRANYMODEL]                 : 0}
+/** @const {Object} DDEFAULTCFG           Config data used for decoding if the model is not known (STRANYMODEL or not detected yet) */
+const DDEFAULTCFG = {dualView : false, decode : decodeTH, services : ASTRTHSERVICES};
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+/**
+ * Function to check an advertisement for plausibility against the config data of a model
+ *
+ * @param {Object} dSensorCfg             Config data of the model (entry of DDMODELS)
+ * @param {Object} cAdvertisement         Advertisement of the discovered peripheral
+ * @returns {boolean}                     true if the advertisement fits to the model
+ */
+function isPlausible(dSensorCfg, cAdvertisement)
+{
+   if (dSensorCfg == 0)
+      return true;
+   if (dSensorCfg.match != undefined)
+      return dSensorCfg.match(cAdvertisement);
+
+   return ((cAdvertisement.manufacturerData != undefined) &&
+           (cAdvertisement.manufacturerData.length  == dSensorCfg.datalength) &&
+           (cAdvertisement.localName                == dSensorCfg.localName) &&
+           (cAdvertisement.serviceDat               == dSensorCfg.serviceDat) &&
+           (cAdvertisement.serviceUuids             == dSensorCfg.serviceUuids));
+}
+
+/**
+ * Function to check if the manufacturer data has the layout of the dual view sensors (Plus models). With the
+ * external probe connected, they send the internal temperature instead of the CRC. Without the external probe
+ * both layouts are the same.
+ *
+ * @param {Buffer} cManufacturerData      Manufacturer data of the advertisement (9 bytes)
+ * @returns {boolean}                     true = dual view, false = CRC, undefined = can't be told
+ */
+function isDualViewLayout(cManufacturerData)
+{
+   if ((cManufacturerData == undefined) || (cManufacturerData.length < 7) || (cManufacturerData.readUIntLE(4, 1) != 1))
+      return undefined;
+   return (CRC16_0x18005(cManufacturerData, 0, 4, true, true, 0xFFFF, 0x0) != cManufacturerData.readUIntLE(5, 2));
+}
+
+/**
+ * Function to find the model for a model name as reported by the sensor (i.e. "IBS-TH2" or "IBSTH2")
+ *
+ * @param {string} strName                Model name
+ * @returns {string}                      Name of the model in DDMODELS (undefined if not found)
+ */
+function findModelByName(strName)
+{
+   var fNormalize = (strValue => strValue.toUpperCase().replace(/[^A-Z0-9]/g, ""));
+
+   if (!strName)
+      return undefined;
+   return Object.keys(DDMODELS).find(strModel => (DDMODELS[strModel] != 0) && (fNormalize(strModel) == fNormalize(strName)));
+}
+
+/**
+ * Function to detect the model of a sensor. All models the advertisement is plausible for are candidates,
+ * they are narrowed down by the layout of the data (dual view or not) and the model name reported by the
+ * sensor (device information, if known). The advertisements of the IBS-TH1 and the IBS-TH2 are the same, and
+ * the ones of the Plus models too as long as the external probe isn't plugged in, so without the model name
+ * the result is ambiguous in most cases.
+ *
+ * @param {Object} cAdvertisement         Advertisement of the discovered peripheral
+ * @param {string} strReportedModel       Model name reported by the sensor (optional)
+ * @param {string} strPreferred           Model detected before, kept if it's still a candidate (optional)
+ * @returns {string}                      Name of the model, STRAMBIGUOUS if several models fit (undefined if it's no
+ *                                        known Inkbird sensor)
+ */
+function detectModel(cAdvertisement, strReportedModel, strPreferred)
+{
+   var astrCandidates = getCandidates(cAdvertisement);
+   var strReported    = findModelByName(strReportedModel);
+
+   if (astrCandidates.includes(strReported))
+      return strReported;
+   if (astrCandidates.includes(strPreferred))
+      return strPreferred;
+   if (astrCandidates.length > 1)
+      return STRAMBIGUOUS;
+   return astrCandidates[0];
+}
+
+/**
+ * Function to get the models an advertisement fits to: all models the advertisement is plausible for, narrowed down
+ * by the layout of the data (dual view or not)
+ *
+ * @param {Object} cAdvertisement         Advertisement of the discovered peripheral
+ * @returns {Array}                       Names of the models
+ */
+function getCandidates(cAdvertisement)
+{
+   var astrCandidates = Object.keys(DDMODELS).filter(strModel => (DDMODELS[strModel] != 0) && isPlausible(DDMODELS[strModel], cAdvertisement));
+   var bDualView      = isDualViewLayout(cAdvertisement.manufacturerData);
+
+   if (bDualView != undefined)
+      astrCandidates = astrCandidates.filter(strModel => DDMODELS[strModel].dualView == bDualView);
+   return astrCandidates;
+}
+
+/**
+ * Function to get the config data to decode an advertisement while the model is ambiguous. The layout of the data
+ * is part of the detection, so all models fitting to the advertisement decode it the same way.
+ *
+ * @param {Object} cAdvertisement         Advertisement of the discovered peripheral
+ * @returns {Object}                      Config data of the first model fitting (undefined if none fits)
+ */
+function getCandidateCfg(cAdvertisement)
+{
+   return DDMODELS[getCandidates(cAdvertisement)[0]];
+}
+
+/**
+ * Function to check if an advertisement comes from a compatible sensor that is not in DDMODELS. That is
+ * the case if the manufacturer data has the length and the CRC of the known models.
+ *
+ * @param {Object} cAdvertisement         Advertisement of the discovered peripheral
+ * @returns {boolean}                     true if the sensor looks compatible
+ */
+function isCompatible(cAdvertisement)
+{
+   var cData = cAdvertisement.manufacturerData;
+
+   if ((cData == undefined) || (cData.length != 9))
+      return false;
+   try
+   {
+      checkCRC(cData);
+      return true;
+   }
+   catch (cError)
+   {
+      return false;
+   }
+}
+
+/**
+ * Function to build a DDMODELS entry for a compatible, but unknown sensor (to be reported by the user)
+ *
+ * @param {Object} cAdvertisement         Advertisement of the discovered peripheral
+ * @returns {string}                      DDMODELS entry
+ */
+function getModelEntry(cAdvertisement)
+{
+   return `"${cAdvertisement.localName || "<model>"}" : {datalength : ${cAdvertisement.manufacturerData.length}, ` +
+          `localName : ${JSON.stringify(cAdvertisement.localName)}, serviceDat : ${JSON.stringify(cAdvertisement.serviceDat)}, ` +
+          `serviceUuids : ${JSON.stringify((cAdvertisement.serviceUuids || []).join(","))}, dualView : false}`;
+}
+
+/**
+ * Function to add a model to the registry (i.e. another Inkbird device with a different payload)
+ *
+ * @param {string} strModel               Name of the model
+ * @param {Object} dSensorCfg             Config data of the model (see DDMODELS)
+ * @returns {void}                        nothing
+ */
+function registerModel(strModel, dSensorCfg)
+{
+   if (typeof dSensorCfg.decode !== 'function')
+      throw new Error(`Model ${strModel} without decoder`);
+   DDMODELS[strModel] = Object.assign({ dualView : false, services : ASTRTHSERVICES }, dSensorCfg);
+   return;
+}
+
+/**
+ * Function to get the config data for decoding and the services of a model
+ *
+ * @param {Object} dSensorCfg             Config data of the model (entry of DDMODELS, 0 or undefined)
+ * @returns {Object}                      Config data of the model or the default config
+ */
+function getDecodeCfg(dSensorCfg)
+{
+   return (dSensorCfg) ? dSensorCfg : DDEFAULTCFG;
+}
+
+module.exports = { DDMODELS, STRANYMODEL, STRAMBIGUOUS, isPlausible, findModelByName, detectModel, getCandidateCfg, isCompatible, getModelEntry, registerModel, getDecodeCfg };
@@ -0,0 +1,225 @@
+// Implements the InkbirdBtMqtt class that publishes the readings of all sensors to a MQTT broker
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Reception rate
+//-----------------------------------------------------------------------
+
+// Every valid reading of a sensor is published as JSON (retained) to <topic_prefix>/<topic of the sensor>:
+//    {"temperature":21.5,"int_temperature":21.5,"ext_temperature":null,"humidity":45.3,"battery":80,
+//     "external_sensor":false,"rssi":-60,"reception_rate":100,"time":"2026-10-19T10:00:00.000Z"}
+// The topic of a sensor is its "mqtt_topic", else its MAC address without colons (or its name without MAC).
+// The availability of the plugin is published to <topic_prefix>/status ("online", "offline" as last will).
+// With Home Assistant discovery the config of an entity is published (retained) to
+//    <discovery_prefix>/<component>/inkbird_<id>/<value>/config
+// for every value a sensor delivers. If Home Assistant is restarted (birth message "online" on
+// <discovery_prefix>/status) the configs are published again with the next readings.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRDEFTOPICPREFIX     Default prefix of the topics */
+const STRDEFTOPICPREFIX = "inkbird";
+/** @const {string} STRDEFDISCOVERYPREFIX Default prefix of the Home Assistant discovery topics */
+const STRDEFDISCOVERYPREFIX = "homeassistant";
+/** @const {Object} DENTITIES             Home Assistant entities by value of the reading (component, name, config) */
+const DENTITIES =
+{
+   temperature       : { strComponent: "sensor",        strName: "Temperature",          dConfig: { device_class: "temperature",     unit_of_measurement: "°C",  state_class: "measurement" } },
+   int_temperature   : { strComponent: "sensor",        strName: "Internal temperature", dConfig: { device_class: "temperature",     unit_of_measurement: "°C",  state_class: "measurement" } },
+   ext_temperature   : { strComponent: "sensor",        strName: "External temperature", dConfig: { device_class: "temperature",     unit_of_measurement: "°C",  state_class: "measurement" } },
+   humidity          : { strComponent: "sensor",        strName: "Humidity",             dConfig: { device_class: "humidity",        unit_of_measurement: "%",   state_class: "measurement" } },
+   battery           : { strComponent: "sensor",        strName: "Battery",              dConfig: { device_class: "battery",         unit_of_measurement: "%",   state_class: "measurement", entity_category: "diagnostic" } },
+   rssi              : { strComponent: "sensor",        strName: "Signal strength",      dConfig: { device_class: "signal_strength", unit_of_measurement: "dBm", state_class: "measurement", entity_category: "diagnostic" } },
+   reception_rate    : { strComponent: "sensor",        strName: "Reception rate",       dConfig: {                                  unit_of_measurement: "%",   state_class: "measurement", entity_category: "diagnostic" } },
+   external_sensor   : { strComponent: "binary_sensor", strName: "External probe",       dConfig: { payload_on: "ON", payload_off: "OFF" } }
+};
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const mqtt     = require('mqtt');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class that publishes the readings to a MQTT broker
+ */
+class cInkbirdBtMqtt
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor stores the config. The connection is opened with connect.
+    *
+    * @param {Object} dConfig             Config "mqtt" of the platform (url, username, password, topic_prefix, retain,
+    *                                     discovery, discovery_prefix)
+    * @param {function} fLog              Logging function (iLevel, strMessage)
+    * @returns {void}                     nothing
+    */
+   constructor(dConfig, fLog)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.strUrl                   = dConfig.url;
+      self.strUsername              = dConfig.username;
+      self.strPassword              = dConfig.password;
+      self.strTopicPrefix           = dConfig.topic_prefix || STRDEFTOPICPREFIX;
+      self.bRetain                  = (dConfig.retain != false);
+      self.bDiscovery               = (dConfig.discovery != false);
+      self.strDiscoveryPrefix       = dConfig.discovery_prefix || STRDEFDISCOVERYPREFIX;
+      self.strAvailabilityTopic     = `${self.strTopicPrefix}/status`;
+      self.cClient                  = undefined;                                                      // MQTT client
+      self.bConnected               = false;                                                          // true while connected to the broker
+      self.dscAnnounced             = {};                                                             // Values with published discovery config (Set by sensor id)
+   }
+
+   /**
+    * Function to connect to the broker. The client reconnects by itself if the connection is lost.
+    *
+    * @returns {void}                     Nothing
+    */
+   connect()
+   {
+      var self = this;
+
+      self.fLog(ELOGLEVEL.INFO, `Publishing the readings to MQTT broker ${self.strUrl}, topic ${self.strTopicPrefix}/...`);
+      self.cClient = mqtt.connect(self.strUrl,
+      {
+         username : self.strUsername,
+         password : self.strPassword,
+         will     : { topic: self.strAvailabilityTopic, payload: "offline", qos: 1, retain: true }
+      });
+
+      self.cClient.on('connect', () =>
+      {
+         self.fLog(ELOGLEVEL.INFO, `Connected to MQTT broker ${self.strUrl}`);
+         self.bConnected   = true;
+         self.dscAnnounced = {};
+         self.cClient.publish(self.strAvailabilityTopic, "online", { qos: 1, retain: true });
+         if (self.bDiscovery)
+            self.cClient.subscribe(`${self.strDiscoveryPrefix}/status`);
+      });
+      self.cClient.on('message', (strTopic, cPayload) =>
+      {  // Home Assistant restarted - announce the entities again
+         if ((strTopic == `${self.strDiscoveryPrefix}/status`) && (cPayload.toString() == "online"))
+            self.dscAnnounced = {};
+      });
+      self.cClient.on('offline', () =>
+      {
+         if (self.bConnected)
+            self.fLog(ELOGLEVEL.WARNING, `Connection to MQTT broker ${self.strUrl} lost, reconnecting`);
+         self.bConnected = false;
+      });
+      self.cClient.on('error', cError => self.fLog(ELOGLEVEL.WARNING, `MQTT: ${cError.message}`));
+      return;
+   }
+
+   /**
+    * Function to publish "offline" and close the connection (homebridge shuts down)
+    *
+    * @returns {void}                     Nothing
+    */
+   close()
+   {
+      var self = this;
+
+      if (self.cClient == undefined)
+         return;
+      if (self.bConnected)
+         self.cClient.publish(self.strAvailabilityTopic, "offline", { qos: 1, retain: true });
+      self.cClient.end();
+      self.cClient = undefined;
+      return;
+   }
+
+   /**
+    * Function to publish a reading of a sensor (listener of the sensor accessory)
+    *
+    * @param {Object} cSensor             Sensor accessory (strName, strMAC, strModel, strMqttTopic)
+    * @param {Object} dReading            Reading of the sensor (see InkbirdBtTHSensorAccessory.getReading)
+    * @returns {void}                     Nothing
+    */
+   publish(cSensor, dReading)
+   {
+      var self = this;
+      var strId = self.getSensorId(cSensor);
+      var strStateTopic = `${self.strTopicPrefix}/${cSensor.strMqttTopic || strId}`;
+
+      if (!self.bConnected)
+         return;
+
+      if (self.bDiscovery)
+         self.announce(cSensor, strId, strStateTopic, dReading);
+      self.cClient.publish(strStateTopic, JSON.stringify(dReading), { retain: self.bRetain });
+      return;
+   }
+
+   /**
+    * Function to publish the Home Assistant discovery config for the values of the reading that weren't
+    * announced yet (i.e. the external temperature after the probe was plugged in)
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @param {string} strId               Id of the sensor
+    * @param {string} strStateTopic       Topic of the readings
+    * @param {Object} dReading            Reading of the sensor
+    * @returns {void}                     Nothing
+    */
+   announce(cSensor, strId, strStateTopic, dReading)
+   {
+      var self = this;
+      var scAnnounced = self.dscAnnounced[strId] = self.dscAnnounced[strId] || new Set();
+
+      Object.keys(DENTITIES).forEach(strValue =>
+      {
+         var dEntity = DENTITIES[strValue];
+         var dConfig;
+
+         if ((dReading[strValue] == undefined) || (scAnnounced.has(strValue)))
+            return;
+         scAnnounced.add(strValue);
+
+         dConfig = Object.assign(
+         {
+            name                 : `${cSensor.strName} ${dEntity.strName}`,
+            unique_id            : `inkbird_${strId}_${strValue}`,
+            state_topic          : strStateTopic,
+            value_template       : (dEntity.strComponent == "binary_sensor") ? `{{ 'ON' if value_json.${strValue} else 'OFF' }}` : `{{ value_json.${strValue} }}`,
+            availability_topic   : self.strAvailabilityTopic,
+            device               : { identifiers: [`inkbird_${strId}`], name: cSensor.strName, manufacturer: "Inkbird", model: cSensor.strModel || "Inkbird sensor" }
+         }, dEntity.dConfig);
+         self.cClient.publish(`${self.strDiscoveryPrefix}/${dEntity.strComponent}/inkbird_${strId}/${strValue}/config`, JSON.stringify(dConfig), { qos: 1, retain: true });
+      });
+      return;
+   }
+
+   /**
+    * Function to get the id of a sensor for the topics (MAC address without colons, name if no MAC is configured)
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @returns {string}                   Id of the sensor
+    */
+   getSensorId(cSensor)
+   {
+      return (cSensor.strMAC != "") ? cSensor.strMAC.replace(/:/g, "") : cSensor.strName.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtMqtt;
@@ -0,0 +1,103 @@
+// Implements the InkbirdBtNobleTransport class, the transport to the bluetooth hardware via noble
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Event scanStop forwarded (scan stopped by another program)
+//-----------------------------------------------------------------------
+
+// A transport is everything the scan coordinator needs from the bluetooth layer:
+// - state                                  "poweredOn" if the hardware is ready
+// - startScanning(astrServiceUuids, bAllowDuplicates), stopScanning()
+// - event 'stateChange' (strState)         the state of the hardware changed
+// - event 'discover' (cPeripheral)         an advertisement was received. The peripheral object has the
+//                                          properties and Async methods of a noble peripheral (address, rssi,
+//                                          advertisement, connectAsync, ...)
+// - event 'scanStop' (optional)            the scanning stopped. Noble also reports it if another program on the
+//                                          same adapter (i.e. the settings page) stopped the scanning
+// Transports: this one (noble) and the simulation (InkbirdBtSimTransport.js)
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const EventEmitter = require('events');
+
+// from InkbirdBtTHSensor
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Transport using noble. Noble is loaded with the first instance, so the simulation works without the
+ * bluetooth bindings.
+ */
+class cInkbirdBtNobleTransport extends EventEmitter
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor loads noble and forwards its events
+    *
+    * @returns {void}                     nothing
+    */
+   constructor()
+   {
+      super();
+      var self = this;
+
+      self.cNoble = require('@abandonware/noble/index');                                              // for bluetooth low energy
+      self.cNoble.on('stateChange', strState => self.emit('stateChange', strState));
+      self.cNoble.on('discover', cPeripheral => self.emit('discover', cPeripheral));
+      self.cNoble.on('scanStop', () => self.emit('scanStop'));
+   }
+
+   /**
+    * State of the hardware
+    *
+    * @returns {string}                   State of noble ("poweredOn" if ready)
+    */
+   get state()
+   {
+      return this.cNoble.state;
+   }
+
+   /**
+    * Function to start the scanning
+    *
+    * @param {Array} astrServiceUuids     UUIDs of the services to scan for (empty = all)
+    * @param {boolean} bAllowDuplicates   true to report every advertisement
+    * @returns {void}                     Nothing
+    */
+   startScanning(astrServiceUuids, bAllowDuplicates)
+   {
+      this.cNoble.startScanning(astrServiceUuids, bAllowDuplicates);
+      return;
+   }
+
+   /**
+    * Function to stop the scanning
+    *
+    * @returns {void}                     Nothing
+    */
+   stopScanning()
+   {
+      this.cNoble.stopScanning();
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtNobleTransport;
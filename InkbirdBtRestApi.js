@@ -0,0 +1,402 @@
+// Implements the InkbirdBtRestApi class, a local HTTP API with the readings and the history of the sensors
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+// 19.10.2026  D. Steidl   History as CSV / InfluxDB line protocol, import of CSV
+//-----------------------------------------------------------------------
+
+// Endpoints (answers JSON unless another format is requested, errors as { "error": "..." }):
+//    o GET  /sensors                      all sensors with their latest reading
+//    o GET  /sensors/<id>                 latest reading of a sensor with its age in s
+//    o GET  /sensors/<id>/history         entries of the Eve history, query parameters from / to (unix time or
+//                                         ISO date, default the last 24h), probe=true for the external probe and
+//                                         format=csv or influx (see InkbirdBtHistoryExport.js) instead of JSON
+//    o POST /sensors/<id>/history         imports the CSV in the body into the Eve history (probe=true for the
+//                                         external probe), only entries newer than the last one are added
+//    o POST /sensors/<id>/refresh         reads the sensor now and answers with the new reading (503 if there's no
+//                                         new valid reading in time, see refresh in InkbirdBtTHSensorAccessory.js)
+// <id> is the MAC address of the sensor (with or without colons) or its name for sensors without MAC.
+// If a token is configured, every request needs the header "Authorization: Bearer <token>".
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IDEFPORT              Default port of the listener */
+const IDEFPORT = 9190;
+/** @const {string} STRDEFINTERFACE       Default interface of the listener (local only) */
+const STRDEFINTERFACE = "127.0.0.1";
+/** @const {number} IDEFHISTORYRANGE      Default time range of the history in s (24h) */
+const IDEFHISTORYRANGE = 86400;
+/** @const {number} IMAXBODYSIZE          Maximum size of a request body in bytes */
+const IMAXBODYSIZE = 10 * 1024 * 1024;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const http     = require('http');
+const crypto   = require('crypto');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL } = require('./InkbirdBtLogLevel')
+const cInkbirdBtHistoryExport = require('./InkbirdBtHistoryExport')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the HTTP listener of the REST API
+ */
+class cInkbirdBtRestApi
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor stores the config. The listener is started with start.
+    *
+    * @param {Object} dConfig             Config "api" of the platform (port, interface, token)
+    * @param {function} fLog              Logging function (iLevel, strMessage)
+    * @param {function} fGetSensors       Function returning the sensor accessories
+    * @returns {void}                     nothing
+    */
+   constructor(dConfig, fLog, fGetSensors)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.fGetSensors              = fGetSensors;
+      self.iPort                    = dConfig.port || IDEFPORT;
+      self.strInterface             = dConfig.interface || STRDEFINTERFACE;
+      self.strToken                 = dConfig.token;
+      self.cServer                  = undefined;                                                      // HTTP server
+   }
+
+   /**
+    * Function to start the HTTP listener
+    *
+    * @returns {void}                     Nothing
+    */
+   start()
+   {
+      var self = this;
+
+      self.cServer = http.createServer((cRequest, cResponse) =>
+         self.handleRequest(cRequest)
+            .then(xResult => (typeof xResult == "string") ? self.sendText(cResponse, xResult) : self.sendJSON(cResponse, 200, xResult))
+            .catch(cError => self.sendJSON(cResponse, cError.iStatus || 500, { error: cError.message })));
+      self.cServer.on('error', cError => self.fLog(ELOGLEVEL.ERROR, `REST API listener on ${self.strInterface}:${self.iPort} failed: ${cError.message}`));
+      self.cServer.listen(self.iPort, self.strInterface, () =>
+         self.fLog(ELOGLEVEL.INFO, `REST API available on http://${self.strInterface}:${self.iPort}/sensors${self.strToken ? ` (token needed)` : ``}`));
+      return;
+   }
+
+   /**
+    * Function to stop the HTTP listener (homebridge shuts down)
+    *
+    * @returns {void}                     Nothing
+    */
+   stop()
+   {
+      var self = this;
+
+      if (self.cServer != undefined)
+         self.cServer.close();
+      self.cServer = undefined;
+      return;
+   }
+
+   /**
+    * Function to handle a request
+    *
+    * @param {Object} cRequest            HTTP request
+    * @returns {Promise}                  Resolves with the answer (object for JSON, string for text), rejects with an
+    *                                     Error with iStatus (HTTP status)
+    */
+   async handleRequest(cRequest)
+   {
+      var self = this;
+      var cUrl = new URL(cRequest.url, "http://localhost");
+      var astrPath = cUrl.pathname.split("/").filter(strPart => strPart != "").map(decodeURIComponent);
+      var cSensor;
+
+      if (!self.isAuthorized(cRequest))
+         throw self.getError(401, `Unauthorized`);
+      if (astrPath[0] != "sensors")
+         throw self.getError(404, `Not found`);
+
+      if (astrPath.length == 1)
+      {
+         self.checkMethod(cRequest, "GET");
+         return self.fGetSensors().map(cSensor => self.getSensorInfo(cSensor));
+      }
+
+      cSensor = self.findSensor(astrPath[1]);
+      if (cSensor == undefined)
+         throw self.getError(404, `Sensor ${astrPath[1]} not found`);
+
+      switch (astrPath.slice(2).join("/"))
+      {
+         case "":
+            self.checkMethod(cRequest, "GET");
+            return self.getSensorInfo(cSensor);
+         case "history":
+            if (cRequest.method == "POST")
+               return self.importHistory(cSensor, cUrl.searchParams, await self.readBody(cRequest));
+            self.checkMethod(cRequest, "GET");
+            return self.getHistory(cSensor, cUrl.searchParams);
+         case "refresh":
+            self.checkMethod(cRequest, "POST");
+            await self.refreshSensor(cSensor);
+            return self.getSensorInfo(cSensor);
+         default:
+            throw self.getError(404, `Not found`);
+      }
+   }
+
+   /**
+    * Function to read a sensor now (the sensor may not answer, i.e. no valid frame in continuous mode)
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @returns {Promise}                  Resolves with the new reading, rejects with an Error with iStatus 503 if there's
+    *                                     no new valid reading in time
+    */
+   refreshSensor(cSensor)
+   {
+      var self = this;
+
+      return cSensor.refresh().catch(() => { throw self.getError(503, `No valid values from sensor`); });
+   }
+
+   /**
+    * Function to get the name, MAC, model and the latest reading of a sensor
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @returns {Object}                   {name, mac, model, reading, age (s, null without reading)}
+    */
+   getSensorInfo(cSensor)
+   {
+      var dReading = cSensor.getReading();
+
+      return {
+         name     : cSensor.strName,
+         mac      : cSensor.strMAC,
+         model    : cSensor.strModel,
+         reading  : dReading,
+         age      : (dReading.time != null) ? Math.round((Date.now() - Date.parse(dReading.time)) / 1000) : null
+      };
+   }
+
+   /**
+    * Function to get the history of a sensor for the time range of the query parameters
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @param {Object} cParams             Query parameters (from, to, probe, format)
+    * @returns {Object}                   {name, mac, from, to, entries: [{time, temperature, humidity}]}, or the
+    *                                     entries as string for format csv / influx
+    */
+   getHistory(cSensor, cParams)
+   {
+      var self = this;
+      var iTo   = cParams.has("to")   ? self.parseTime(cParams.get("to"))   : Math.floor(Date.now() / 1000);
+      var iFrom = cParams.has("from") ? self.parseTime(cParams.get("from")) : iTo - IDEFHISTORYRANGE;
+      var bProbe = (cParams.get("probe") == "true");
+      var adEntries = cSensor.getHistory(iFrom, iTo, bProbe);
+
+      if (adEntries == undefined)
+         throw self.getError(404, `Sensor ${cSensor.strName} has no history${bProbe ? ` of an external probe` : ``}`);
+      switch (cParams.get("format") || "json")
+      {
+         case "csv":
+            return cInkbirdBtHistoryExport.toCSV(adEntries);
+         case "influx":
+            return cInkbirdBtHistoryExport.toInflux(adEntries, cSensor, bProbe);
+         case "json":
+            break;
+         default:
+            throw self.getError(400, `Invalid format ${cParams.get("format")} (json, csv, influx)`);
+      }
+      return {
+         name     : cSensor.strName,
+         mac      : cSensor.strMAC,
+         from     : new Date(iFrom * 1000).toISOString(),
+         to       : new Date(iTo * 1000).toISOString(),
+         entries  : adEntries.map(dEntry => ({ time: new Date(dEntry.time * 1000).toISOString(), temperature: dEntry.temp, humidity: dEntry.humidity }))
+      };
+   }
+
+   /**
+    * Function to import CSV into the history of a sensor
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @param {Object} cParams             Query parameters (probe)
+    * @param {string} strCSV              CSV (see InkbirdBtHistoryExport.js)
+    * @returns {Promise}                  Resolves with {name, mac, entries, added}
+    */
+   async importHistory(cSensor, cParams, strCSV)
+   {
+      var self = this;
+      var adEntries;
+      var iAdded;
+
+      try
+      {
+         adEntries = cInkbirdBtHistoryExport.parseCSV(strCSV);
+         iAdded    = await cSensor.importHistory(adEntries, (cParams.get("probe") == "true"));
+      }
+      catch (cError)
+      {
+         throw self.getError(400, cError.message);
+      }
+      self.fLog(ELOGLEVEL.INFO, `History of ${cSensor.strName} imported, ${iAdded} of ${adEntries.length} entries added to Eve history`);
+      return { name: cSensor.strName, mac: cSensor.strMAC, entries: adEntries.length, added: iAdded };
+   }
+
+   /**
+    * Function to read the body of a request
+    *
+    * @param {Object} cRequest            HTTP request
+    * @returns {Promise}                  Resolves with the body, rejects with an Error with iStatus 413 if it's too big
+    */
+   readBody(cRequest)
+   {
+      var self = this;
+
+      return new Promise((fResolve, fReject) =>
+      {
+         var acChunks = [];
+         var iSize = 0;
+
+         cRequest.on('data', cChunk =>
+         {
+            iSize += cChunk.length;
+            if (iSize <= IMAXBODYSIZE)
+               acChunks.push(cChunk);
+         });
+         cRequest.on('end', () => (iSize <= IMAXBODYSIZE) ? fResolve(Buffer.concat(acChunks).toString('utf8')) : fReject(self.getError(413, `Body too large`)));
+         cRequest.on('error', fReject);
+      });
+   }
+
+   /**
+    * Function to find a sensor by MAC address (with or without colons) or by name
+    *
+    * @param {string} strId               MAC address or name
+    * @returns {Object}                   Sensor accessory, undefined if not found
+    */
+   findSensor(strId)
+   {
+      var self = this;
+      var strMAC = strId.toLowerCase().replace(/:/g, "");
+
+      return self.fGetSensors().find(cSensor =>
+         ((cSensor.strMAC != "") && (cSensor.strMAC.replace(/:/g, "") == strMAC)) || (cSensor.strName == strId));
+   }
+
+   /**
+    * Function to parse a time of the query parameters
+    *
+    * @param {string} strTime             Unix time in s or ISO date
+    * @returns {number}                   Unix time in s, throws an Error with iStatus 400 if invalid
+    */
+   parseTime(strTime)
+   {
+      var self = this;
+      var iTime = /^\d+$/.test(strTime) ? parseInt(strTime) : Math.floor(Date.parse(strTime) / 1000);
+
+      if (isNaN(iTime))
+         throw self.getError(400, `Invalid time ${strTime}`);
+      return iTime;
+   }
+
+   /**
+    * Function to check the token of a request
+    *
+    * @param {Object} cRequest            HTTP request
+    * @returns {boolean}                  true if no token is configured or the request has the right one
+    */
+   isAuthorized(cRequest)
+   {
+      var self = this;
+      var cExpected;
+      var cGiven;
+
+      if (!self.strToken)
+         return true;
+      cExpected = Buffer.from(`Bearer ${self.strToken}`);
+      cGiven    = Buffer.from(cRequest.headers.authorization || "");
+      return (cGiven.length == cExpected.length) && (crypto.timingSafeEqual(cGiven, cExpected));
+   }
+
+   /**
+    * Function to check the method of a request
+    *
+    * @param {Object} cRequest            HTTP request
+    * @param {string} strMethod           Allowed method
+    * @returns {void}                     Nothing, throws an Error with iStatus 405 if the method is wrong
+    */
+   checkMethod(cRequest, strMethod)
+   {
+      var self = this;
+
+      if (cRequest.method != strMethod)
+         throw self.getError(405, `Method ${cRequest.method} not allowed, use ${strMethod}`);
+      return;
+   }
+
+   /**
+    * Function to create an Error with HTTP status
+    *
+    * @param {number} iStatus             HTTP status
+    * @param {string} strMessage          Message
+    * @returns {Object}                   Error with iStatus
+    */
+   getError(iStatus, strMessage)
+   {
+      var cError = new Error(strMessage);
+
+      cError.iStatus = iStatus;
+      return cError;
+   }
+
+   /**
+    * Function to send a JSON answer
+    *
+    * @param {Object} cResponse           HTTP response
+    * @param {number} iStatus             HTTP status
+    * @param {Object} xBody               Answer
+    * @returns {void}                     Nothing
+    */
+   sendJSON(cResponse, iStatus, xBody)
+   {
+      cResponse.writeHead(iStatus, { "Content-Type": "application/json; charset=utf-8" });
+      cResponse.end(JSON.stringify(xBody));
+      return;
+   }
+
+   /**
+    * Function to send a text answer (CSV / InfluxDB line protocol)
+    *
+    * @param {Object} cResponse           HTTP response
+    * @param {string} strBody             Answer
+    * @returns {void}                     Nothing
+    */
+   sendText(cResponse, strBody)
+   {
+      cResponse.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+      cResponse.end(strBody);
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtRestApi;
@@ -0,0 +1,323 @@
+// Implements the InkbirdBtScanCoordinator class that shares one BLE scanner between all sensors
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+// 19.10.2026  D. Steidl   GATT jobs (exclusive connection to a peripheral, scanning paused meanwhile)
+//                         Transport (noble or simulation) exchangeable, recording of the advertisements
+// 19.10.2026  D. Steidl   Scanning restarted if another program stopped it
+//-----------------------------------------------------------------------
+
+// Noble is a singleton. If every sensor starts and stops the scanning on its own, the sensors stop each
+// other's scans. The coordinator is the only one talking to noble (or to the transport replacing it, see
+// InkbirdBtNobleTransport.js):
+// - Every sensor registers itself as client with its MAC address (empty MAC = take any sensor)
+// - A client that needs values requests the scanning, when it has its values it releases the scanning again
+// - The adapter scans as long as at least one client requested the scanning (duplicates allowed, so a
+//   sensor that was already seen in a running scan will be reported again to the client that joins later)
+// - Every advertisement is dispatched to the scanning client(s) with the matching MAC address. Advertisements
+//   of peripherals no client is configured for are dispatched to the scanning clients without MAC address
+// - Connections to a peripheral (GATT jobs) are done one after the other. Many adapters can't scan and connect
+//   at the same time, so the scanning is paused while a job is running
+// - The scanning of the adapter is shared with the other programs using it. If another program (i.e. the settings
+//   page or the command line tool) stops the scanning while clients need it, it is restarted after IRESTARTDELAY
+// - If a record file is set, the advertisements of the Inkbird sensors are written to it (see InkbirdBtCaptureFile.js)
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IRESTARTDELAY         Delay to restart the scanning after another program stopped it in s */
+const IRESTARTDELAY = 1;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+
+// from InkbirdBtTHSensor
+const cInkbirdBtNobleTransport      = require('./InkbirdBtNobleTransport')
+const cInkbirdBtCaptureFile         = require('./InkbirdBtCaptureFile')
+const { detectModel, isCompatible } = require('./InkbirdBtModels')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class that shares the bluetooth low energy scanner between all sensors
+ */
+class cInkbirdBtScanCoordinator
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class. The events of the transport are set with the first client registering.
+    *
+    * @returns {void}                     nothing
+    */
+   constructor()
+   {
+      var self = this;
+
+      self.acClients                = [];                                                             // All registered clients
+      self.scScanClients            = new Set();                                                      // Clients that requested the scanning
+      self.bScanning                = false;                                                          // true if the adapter is scanning
+      self.bHWReady                 = false;                                                          // Shows if hardware is ready
+      self.bEventsSet               = false;                                                          // true if the events of the transport are set
+      self.cTransport               = undefined;                                                      // Transport (noble by default)
+      self.cRecordFile              = undefined;                                                      // Capture file the advertisements are recorded to
+      self.dcPeripherals            = {};                                                             // Last discovered peripheral objects (by MAC)
+      self.cGattQueue               = Promise.resolve();                                              // Chain of the GATT jobs
+      self.bGattActive              = false;                                                          // true while a GATT job is running (scanning paused)
+      self.iRestartId               = undefined;                                                      // Timer to restart the scanning stopped by another program
+   }
+
+   /**
+    * Function to set the transport (i.e. the simulation). Only possible before the first client registers.
+    *
+    * @param {Object} cTransport          Transport with state, startScanning, stopScanning and the events stateChange and discover
+    * @returns {void}                     Nothing
+    */
+   setTransport(cTransport)
+   {
+      var self = this;
+
+      if (self.bEventsSet)
+         throw new Error(`Transport can't be changed after the first sensor registered`);
+      self.cTransport = cTransport;
+      return;
+   }
+
+   /**
+    * Function to start the recording of the advertisements of the Inkbird sensors
+    *
+    * @param {Object} cRecordFile         Capture file to record to
+    * @returns {void}                     Nothing
+    */
+   setRecordFile(cRecordFile)
+   {
+      var self = this;
+
+      self.cRecordFile = cRecordFile;
+      return;
+   }
+
+   /**
+    * Function to register a client. The client will be informed about the state of the hardware and all
+    * advertisements of its sensor.
+    *
+    * @param {Object} cClient             Client with strMAC, onStateChange(bHWReady) and onDiscover(cPeripheral)
+    * @returns {void}                     Nothing
+    */
+   register(cClient)
+   {
+      var self = this;
+
+      if (!self.bEventsSet)
+      {  // Set the events of the transport with the first client
+         self.bEventsSet = true;
+         self.cTransport = self.cTransport || new cInkbirdBtNobleTransport();
+         self.bHWReady   = (self.cTransport.state === 'poweredOn');
+         self.cTransport.on('stateChange', self.onStateChange.bind(self));
+         self.cTransport.on('discover', self.onDiscover.bind(self));
+         self.cTransport.on('scanStop', self.onScanStop.bind(self));
+      }
+
+      if (self.acClients.indexOf(cClient) < 0)
+         self.acClients.push(cClient);
+      cClient.onStateChange(self.bHWReady);
+      return;
+   }
+
+   /**
+    * Function to unregister a client. A scan requested by the client will be released.
+    *
+    * @param {Object} cClient             Client that was registered before
+    * @returns {void}                     Nothing
+    */
+   unregister(cClient)
+   {
+      var self = this;
+
+      self.stopScanning(cClient);
+      self.acClients = self.acClients.filter(cRegistered => cRegistered !== cClient);
+      return;
+   }
+
+   /**
+    * Function called by a client to request the scanning. Scanning starts if it's not already running.
+    *
+    * @param {Object} cClient             Client that needs the scanning
+    * @returns {void}                     Nothing
+    */
+   startScanning(cClient)
+   {
+      var self = this;
+
+      self.scScanClients.add(cClient);
+      self.resumeScanning();
+      return;
+   }
+
+   /**
+    * Function called by a client to release the scanning. Scanning stops if no other client needs it anymore.
+    *
+    * @param {Object} cClient             Client that doesn't need the scanning anymore
+    * @returns {void}                     Nothing
+    */
+   stopScanning(cClient)
+   {
+      var self = this;
+
+      self.scScanClients.delete(cClient);
+      if ((self.bScanning) && (self.scScanClients.size == 0))
+      {  // Last client released the scan - stop it
+         self.bScanning = false;
+         self.cTransport.stopScanning();
+      }
+      return;
+   }
+
+   /**
+    * Function called by the transport if the state of the hardware changes
+    *
+    * @param {string} strState            New state of the hardware
+    * @returns {void}                     Nothing
+    */
+   onStateChange(strState)
+   {
+      var self = this;
+
+      self.bHWReady = (strState === 'poweredOn');
+      if (!self.bHWReady)
+         self.bScanning = false;
+      else
+         self.resumeScanning();
+
+      self.acClients.forEach(cClient => cClient.onStateChange(self.bHWReady));
+      return;
+   }
+
+   /**
+    * Function called by the transport if a peripheral was discovered. Dispatches the advertisement to the scanning
+    * clients with the matching MAC address or (if none is configured for it) to the ones without MAC address.
+    *
+    * @param {Object} cPeripheral         Object with the data of the discovered peripheral
+    * @returns {void}                     Nothing
+    */
+   onDiscover(cPeripheral)
+   {
+      var self = this;
+      var strAddress = (cPeripheral.address || "").toLowerCase();
+      var acReceivers;
+
+      self.dcPeripherals[strAddress] = cPeripheral;
+      if ((self.cRecordFile != undefined) && (cPeripheral.advertisement != undefined) &&
+          ((detectModel(cPeripheral.advertisement) != undefined) || (isCompatible(cPeripheral.advertisement))))
+         self.cRecordFile.write(cPeripheral);
+
+      acReceivers = self.acClients.filter(cClient => cClient.strMAC === strAddress);
+      if (acReceivers.length == 0)
+         acReceivers = self.acClients.filter(cClient => cClient.strMAC == "");
+
+      acReceivers.filter(cClient => self.scScanClients.has(cClient)).forEach(cClient => cClient.onDiscover(cPeripheral));
+      return;
+   }
+
+   /**
+    * Function called by the transport if the scanning stopped. The coordinator resets bScanning before it stops the
+    * scanning itself, so a stop while bScanning is set comes from another program on the same adapter. The scanning
+    * is restarted for the waiting clients.
+    *
+    * @returns {void}                     Nothing
+    */
+   onScanStop()
+   {
+      var self = this;
+
+      if ((!self.bScanning) || (self.iRestartId != undefined))
+         return;
+      self.bScanning  = false;
+      self.iRestartId = setTimeout(() =>
+      {
+         self.iRestartId = undefined;
+         self.resumeScanning();
+      }, IRESTARTDELAY * 1000);
+      return;
+   }
+
+   /**
+    * Function to start the scanning if a client needs it and nothing speaks against it
+    *
+    * @returns {void}                     Nothing
+    */
+   resumeScanning()
+   {
+      var self = this;
+
+      if ((!self.bScanning) && (self.bHWReady) && (!self.bGattActive) && (self.scScanClients.size > 0))
+      {  // Start the scanning (allow duplicates as clients join running scans)
+         self.bScanning = true;
+         self.cTransport.startScanning([], true);
+      }
+      return;
+   }
+
+   /**
+    * Function to run a job with exclusive access to a peripheral. The jobs are queued, while a job is running
+    * the scanning is paused. The peripheral must have been discovered before.
+    *
+    * @param {string} strMAC              MAC address of the peripheral
+    * @param {function} fJob              Async function called with the peripheral object of the transport
+    * @returns {Promise}                  Resolves with the result of the job, rejects if the job failed
+    */
+   runGattJob(strMAC, fJob)
+   {
+      var self = this;
+      var cResult;
+
+      strMAC  = (strMAC || "").toLowerCase();
+      cResult = self.cGattQueue.then(async () =>
+      {
+         var cPeripheral = self.dcPeripherals[strMAC];
+
+         if (!self.bHWReady)
+            throw new Error(`Bluetooth low energy hardware not ready`);
+         if (cPeripheral == undefined)
+            throw new Error(`Peripheral with MAC ${strMAC} not discovered yet`);
+
+         // Pause the scanning
+         self.bGattActive = true;
+         if (self.bScanning)
+         {
+            self.bScanning = false;
+            self.cTransport.stopScanning();
+         }
+
+         try
+         {
+            return await fJob(cPeripheral);
+         }
+         finally
+         {  // Resume the scanning for the waiting clients
+            self.bGattActive = false;
+            self.resumeScanning();
+         }
+      });
+
+      // The next job waits for this one, no matter if it failed
+      self.cGattQueue = cResult.catch(() => undefined);
+      return cResult;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtScanCoordinator;
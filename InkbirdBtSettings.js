@@ -0,0 +1,155 @@
+// Implements the InkbirdBtSettings class that persists the settings changed in HomeKit
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// Settings changed with the writable characteristics (i.e. in the Eve app) are stored per MAC in the homebridge
+// storage directory. The keys are the names of the config options, so stored values simply override the config
+// file until they are reset:
+//    { "50:51:a9:7d:fc:e9": { "offset_int_temperature": -50, "update_interval": 300, "loglevel": 3 } }
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRSETTINGSFILE       File name of the settings in the storage directory */
+const STRSETTINGSFILE   = "inkbird-bt-thsensor-settings.json";
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const fs       = require('fs');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL }        = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class to store the settings of the sensors on disk
+ */
+class cInkbirdBtSettings
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor initializes the class
+    *
+    * @param {function} fLog              Logging function of the accessory (iLevel, strMessage)
+    * @param {string} strStoragePath      Directory for the settings file
+    * @returns {void}                     nothing
+    */
+   constructor(fLog, strStoragePath)
+   {
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.strSettingsFile          = path.join(strStoragePath, STRSETTINGSFILE);
+   }
+
+   /**
+    * Function to get the stored settings of a sensor
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {Object}                   Settings by config option name (empty if nothing stored)
+    */
+   get(strMAC)
+   {
+      var self = this;
+
+      return self.load()[strMAC.toLowerCase()] || {};
+   }
+
+   /**
+    * Function to store a setting of a sensor
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @param {string} strOption           Name of the config option
+    * @param {*} xValue                   Value
+    * @returns {void}                     nothing
+    */
+   set(strMAC, strOption, xValue)
+   {
+      var self = this;
+      var dcSettings = self.load();
+
+      dcSettings[strMAC.toLowerCase()] = dcSettings[strMAC.toLowerCase()] || {};
+      dcSettings[strMAC.toLowerCase()][strOption] = xValue;
+      self.save(dcSettings);
+      return;
+   }
+
+   /**
+    * Function to delete all stored settings of a sensor (the config file is used again)
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {void}                     nothing
+    */
+   reset(strMAC)
+   {
+      var self = this;
+      var dcSettings = self.load();
+
+      delete dcSettings[strMAC.toLowerCase()];
+      self.save(dcSettings);
+      return;
+   }
+
+   /**
+    * Function to load the settings file
+    *
+    * @returns {Object}                   Settings by MAC (empty if there is no settings file)
+    */
+   load()
+   {
+      var self = this;
+
+      try
+      {
+         return JSON.parse(fs.readFileSync(self.strSettingsFile, 'utf8'));
+      }
+      catch (cError)
+      {
+         if (cError.code != 'ENOENT')
+            self.fLog(ELOGLEVEL.WARNING, `Settings ${self.strSettingsFile} not readable: ${cError.message}`);
+         return {};
+      }
+   }
+
+   /**
+    * Function to save the settings file
+    *
+    * @param {Object} dcSettings          Settings by MAC
+    * @returns {void}                     nothing
+    */
+   save(dcSettings)
+   {
+      var self = this;
+
+      try
+      {
+         fs.writeFileSync(self.strSettingsFile, JSON.stringify(dcSettings, null, 3));
+      }
+      catch (cError)
+      {
+         self.fLog(ELOGLEVEL.WARNING, `Settings ${self.strSettingsFile} not writable: ${cError.message}`);
+      }
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtSettings;
@@ -0,0 +1,178 @@
+// Implements the InkbirdBtSimTransport class, a simulated bluetooth layer replaying a capture file
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// The simulation replays the advertisements of a capture file (see InkbirdBtCaptureFile.js) with the time
+// differences of the recording (divided by the speed). Like real sensors the advertisements are sent all the
+// time, but only reported while scanning. The replay starts with the first scan.
+// Connections (GATT) are not possible with the simulation.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const EventEmitter = require('events');
+
+// from InkbirdBtTHSensor
+const cInkbirdBtCaptureFile = require('./InkbirdBtCaptureFile')
+const { ELOGLEVEL }         = require('./InkbirdBtLogLevel')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Transport replaying recorded advertisements (see InkbirdBtNobleTransport.js for the interface)
+ */
+class cInkbirdBtSimTransport extends EventEmitter
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor reads the capture file
+    *
+    * @param {function} fLog              Logging function (iLevel, strMessage)
+    * @param {string} strFile             Path of the capture file
+    * @param {number} fSpeed              Replay speed (1 = as recorded, 10 = ten times faster)
+    * @param {boolean} bLoop              true to start again at the end of the file
+    * @returns {void}                     nothing
+    */
+   constructor(fLog, strFile, fSpeed, bLoop)
+   {
+      super();
+      var self = this;
+
+      self.fLog                     = fLog;
+      self.fSpeed                   = (fSpeed > 0) ? fSpeed : 1;
+      self.bLoop                    = (bLoop == true);
+      self.adCaptures               = new cInkbirdBtCaptureFile(strFile).read();
+      self.iIndex                   = 0;                                                              // Next capture to be replayed
+      self.iStartTime               = undefined;                                                      // Real time of the start of the replay (ms)
+      self.iTimeoutId               = undefined;                                                      // Timer for the next capture
+      self.bScanning                = false;
+      self.state                    = 'poweredOn';
+
+      self.fLog(ELOGLEVEL.INFO, `Simulation: ${self.adCaptures.length} advertisements from ${strFile}`);
+      // Like noble, the state is reported after the start
+      setImmediate(() => self.emit('stateChange', self.state));
+   }
+
+   /**
+    * Function to start the scanning (and the replay with the first scan)
+    *
+    * @param {Array} astrServiceUuids     Not used
+    * @param {boolean} bAllowDuplicates   Not used (all advertisements are reported)
+    * @returns {void}                     Nothing
+    */
+   startScanning(astrServiceUuids, bAllowDuplicates)
+   {
+      var self = this;
+
+      self.bScanning = true;
+      if (self.iStartTime == undefined)
+      {
+         self.iStartTime = Date.now();
+         self.scheduleNext();
+      }
+      return;
+   }
+
+   /**
+    * Function to stop the scanning. The replay goes on, the advertisements are just not reported.
+    *
+    * @returns {void}                     Nothing
+    */
+   stopScanning()
+   {
+      var self = this;
+
+      self.bScanning = false;
+      return;
+   }
+
+   /**
+    * Function to start the timer for the next capture
+    *
+    * @returns {void}                     Nothing
+    */
+   scheduleNext()
+   {
+      var self = this;
+      var iDelay;
+
+      if (self.iIndex >= self.adCaptures.length)
+      {  // End of file
+         if ((!self.bLoop) || (self.adCaptures.length == 0))
+         {
+            self.fLog(ELOGLEVEL.INFO, `Simulation: end of capture file`);
+            return;
+         }
+         self.iIndex     = 0;
+         self.iStartTime = Date.now();
+      }
+
+      iDelay = (self.adCaptures[self.iIndex].time - self.adCaptures[0].time) / self.fSpeed - (Date.now() - self.iStartTime);
+      self.iTimeoutId = setTimeout(() =>
+      {
+         var dCapture = self.adCaptures[self.iIndex++];
+
+         if (self.bScanning)
+            self.emit('discover', self.getPeripheral(dCapture));
+         self.scheduleNext();
+      }, Math.max(0, iDelay));
+      return;
+   }
+
+   /**
+    * Function to build the peripheral object for a capture
+    *
+    * @param {Object} dCapture            Capture read from the file
+    * @returns {Object}                   Peripheral object (like the one of noble)
+    */
+   getPeripheral(dCapture)
+   {
+      var strMAC = dCapture.mac.toLowerCase();
+
+      return {
+         id                : strMAC.replace(/:/g, ""),
+         address           : strMAC,
+         addressType       : 'public',
+         rssi              : dCapture.rssi,
+         state             : 'disconnected',
+         advertisement     : cInkbirdBtCaptureFile.toAdvertisement(dCapture),
+         connectAsync      : () => Promise.reject(new Error(`Connections are not possible with the simulation`)),
+         disconnectAsync   : () => Promise.resolve()
+      };
+   }
+
+   /**
+    * Function to stop the replay
+    *
+    * @returns {void}                     Nothing
+    */
+   stop()
+   {
+      var self = this;
+
+      clearTimeout(self.iTimeoutId);
+      self.bScanning = false;
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtSimTransport;
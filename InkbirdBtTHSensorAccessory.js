@@ -1,713 +1,2391 @@
-// Implements the InkbirdBtTHSensorAccessory class that manages the bluetooth sensor
-//
-//-----------------------------------------------------------------------
-// Date        Author      Change
-//-----------------------------------------------------------------------
-// 04.06.2020  D. Steidl   Created
-// 06.06.2020  D. Steidl   First working version
-// 07.06.2020  D. Steidl   CRC16 Modbus, plausibility checks and easy to configure features implemented
-// 14.06.2020  D. Steidl   Added Eve history for temperature and relative humidity, bug fix cyclic read
-// 15.06.2020  D. Steidl   Added log level
-// 16.06.2020  D. Steidl   Bugfix: Reference error Characteristic (fixed in 0.3.1)
-// 25.06.2020  D. Steidl   Actualization also in cyclic mode, info internal/external sensor as CustomCharacteristic
-// 07.02.2021  D. Steidl   Bugfix Issue #4: Incorrect temperature, "not in list - try it anyway" improved
-// 01.05.2021  D. Steidl   Bugfix Issue #7: Incorrect temperature (fixed in 0.4.1)
-// 09.07.2021  D. Steidl   Support for sensor types IBS-TH1-Plus, IBS-TH2 and IBS-TH2-Plus added
-//                         Selection of internal or external sensor
-//                         Offset for internal, external temperature sensor added
-//                         Offset for internal humidity added
-//-----------------------------------------------------------------------
-
-//-----------------------------------------------------------------------
-// Global variables
-//-----------------------------------------------------------------------
-
-// variables have to be declared explicitly
-'use strict'
-
-/** @const {Object} ESTATES               Enumeration for state machine */
-const ESTATES = {NOT_READY: 1, STATUS_INVALID: 2, SCANNING: 3, READY4ANSWER: 4}
-/** @const {Object} DDMODELS              Dictionary of models containing a dictionary with the config data of a model */
-const DDMODELS = {"IBS-TH1"                     : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : false},
-                  "IBS-TH1-Plus"                : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : true},
-                  "IBS-TH2"                     : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : false},
-                  "IBS-TH2-Plus"                : {datalength : 9, localName : "sps", serviceDat : undefined, serviceUuids : "fff0", dualView : true},
-                  "not in list - try it anyway" : 0}
-/** @const {Object} ELOGLEVEL              Enumeration for log levels */
-const ELOGLEVEL = {MIN:0, FATAL: 0, ERROR: 1, WARNING: 2, INFO: 3, DEBUG: 4, MAX:4}
-/** @const {Object} STRLOGLEVEL            Strings for log levels */
-const STRLOGLEVEL = ["Fatal", "Error", "Warning", "Info", "Debug"];
-
-//-----------------------------------------------------------------------
-// Imports
-//-----------------------------------------------------------------------
-
-// from JavaScript
-const noble    = require('@abandonware/noble/index');                                              // for bluetooth low energy
-const moment   = require('moment');                                                                // for timestamps for Eve history
-const inherits = require('util').inherits;                                                         // for custom characteristic/service definition
-
-// from InkbirdBtTHSensor
-const CRC16_0x18005 = require('./CRC16_0x18005')
-
-//-----------------------------------------------------------------------
-// Classes 
-//-----------------------------------------------------------------------
-
-/**
- * Main class for the management of the Inkbird temperature and humidity sensors accessory
- */
-class cInkbirdBtTHSensorAccessory
-{
-   //-----------------------------------------------------------------------
-   /**
-    * The accessory constructor initializes the class, loads the config, creates the required services
-    * and starts the auto-refresh feature if configured.
-    * 
-    * @param {Object} cLog                Pointer to logging class
-    * @param {Object} dConfig             Configuration for the plugin
-    * @returns {void}                     nothing
-    */
-   constructor(cLog, dConfig)
-   {
-      var self = this;
-      if (dConfig.loglevel >= ELOGLEVEL.DEBUG)
-         cLog("Start Initialization");
-
-      // Store and initialize values
-      self.cLog                     = cLog;
-      self.dConfig                  = dConfig;
-      self.cRawStatus               = undefined;                                                      // Cached raw status from doCyclicGetStatus
-      self.fTemperature             = undefined;                                                      // Temperature in degree Celsius
-      self.fIntTemperature          = undefined;                                                      // Internal temperature in degree Celsius
-      self.fExtTemperature          = undefined;                                                      // External temperature in degree Celsius
-      self.fIntHumidity             = undefined;                                                      // Internal relative humidity in %
-      self.bExternalSensor          = undefined;                                                      // true, if external sensor is connected
-      self.fBatteryLevel            = undefined;                                                      // Battery level in %
-      self.eState                   = ESTATES.NOT_READY;                                              // State of the state machine (Hardware not ready)
-      self.eOldState                = undefined;                                                      // State of the state machine in last call
-      self.iTimeoutId               = undefined;                                                      // Id of a started timeout to find it again (No Timeout started yet)
-      self.fCallbackTemperature     = undefined;                                                      // Callback for temperature
-      self.fCallbackHumidity        = undefined;                                                      // Callback for humidity
-      self.fCallbackExtSensor       = undefined;                                                      // Callback for external sensor
-      self.fCallbackBatteryLevel    = undefined;                                                      // Callback for battery level
-      self.fCallbackLowBattery      = undefined;                                                      // Callback for low battery
-      self.bQueryStarted            = false;                                                          // true if a query was started to read a value
-      self.bHWReady                 = false;                                                          // Shows if hardware is ready
-      self.bDualViewSensor          = false;                                                          // Shows if the sensor supports dual view of the internal and the external temperature  
-      self.dcCustomCharacteristic   = {};                                                             // Self-defined characteristics
-
-      // Analyse config, use config first, if not set then fall back to default values
-      self.iLogLevel                = dConfig.loglevel || ELOGLEVEL.INFO;                             // Show infos, warnings, errors and fatal
-      self.strName                  = dConfig.name;
-      self.strModel                 = dConfig.model || "";
-      self.dSensorCfg               = DDMODELS[self.strModel];
-      if (self.dSensorCfg == undefined)
-         self.Log(ELOGLEVEL.ERROR, `Invalid sensor type ${self.strModel}. See README.md for valid types!`);
-      else if (self.dSensorCfg != 0)
-         self.bDualViewSensor       = self.dSensorCfg.dualView;
-
-      self.strSensor                = (self.bDualViewSensor ? (dConfig.sensor || "auto") : "auto");
-      self.Log(ELOGLEVEL.DEBUG, `Using sensor: ${self.strSensor}.`);
-      self.strMAC                   = (dConfig.mac_address || "").toLowerCase();
-      self.iUpdateInt               = dConfig.update_interval;
-      self.fOffsetIntTemperature    = dConfig.offset_int_temperature || 0.0;
-      self.fOffsetExtTemperature    = dConfig.offset_ext_temperature || 0.0;
-      self.fOffsetIntHumidity       = dConfig.offset_int_humidity    || 0.0;
-
-      // Create services and characteristics
-      // LogLevel
-      self.dcCustomCharacteristic.LogLevel = function ()
-      {
-         cCharacteristic.call(this, "Log Level", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.LogLevel"));
-         this.setProps(
-         {
-            format: cCharacteristic.Formats.UINT8,
-            maxValue: ELOGLEVEL.MAX,
-            minValue: ELOGLEVEL.MIN,
-            minStep: 1,
-            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
-         });
-         this.value = 2;
-      };
-      inherits(self.dcCustomCharacteristic.LogLevel, cCharacteristic);
-
-      // External sensor
-      self.dcCustomCharacteristic.ExternalSensor = function ()
-      {
-         cCharacteristic.call(this, "External Sensor", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ExternalSensor"));
-         this.setProps(
-         {
-            format: cCharacteristic.Formats.BOOL,
-            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
-         });
-         this.value = undefined;
-      };
-      inherits(self.dcCustomCharacteristic.ExternalSensor, cCharacteristic);
-
-      self.cAccessoryInfo                 = new cService.AccessoryInformation();
-      self.cTemperatureService            = new cService.TemperatureSensor(self.strName);
-      self.cHumidityService               = new cService.HumiditySensor(self.strName);
-      self.cBatteryService                = new cService.BatteryService(self.strName);
-      self.cEveHistoryService             = new cFakeGatoHistoryService("weather", this, (dConfig.storage != 'googleDrive' ? { storage: 'fs' } : { storage: 'googleDrive', path: 'homebridge' }));
-      
-      // Set Noble events
-      noble.on('stateChange', state => self.bHWReady = (state === 'poweredOn'));
-      noble.on('discover', cPeripheral => self.RunStatemachine(false, true, cPeripheral));
-
-      // Start the autorefresh if configured
-      if (self.iUpdateInt != undefined)
-      {  // If interval is set then 
-         // Set minimum to 5 seconds
-         self.iUpdateInt = Math.max(5,self.iUpdateInt);
-         self.Log(ELOGLEVEL.INFO, `Update Intervall ${self.iUpdateInt}s.`);
-      }
-      self.RunStatemachine(false, false, undefined);
-      self.Log(ELOGLEVEL.DEBUG, "End Initialization");
-   }
-
-   /**
-    * Function to get the current temperature of the sensor.
-    * 
-    * @param {function} fCallback         Callback function pointer to give back the value once you got it
-    * @returns {void}                     Nothing (value is given back via callback function) 
-    */
-   getTemperature(fCallback)
-   {
-      var self = this;
-      self.Log(ELOGLEVEL.DEBUG, `Start getting temperature`);
-
-      // Store callback function and run statemachine
-      self.fCallbackTemperature     = fCallback;
-      self.bQueryStarted            = true;
-      self.RunStatemachine(false, false, undefined);
-      return;
-   }
-
-   /**
-    * Function to update the current temperature of the sensor.
-    * 
-    * @param {Object} cError              Error. Not used here. Only for equivalent parameters to homebridge callback function
-    * @param {boolean} fValue             Value to be set
-    * @returns {void}                     Nothing
-    */
-   updateTemperature(cError, fValue)
-   {
-      var self = this;
-
-      if (cError == null)
-         self.cTemperatureService.updateCharacteristic(global.cCharacteristic.CurrentTemperature, fValue);
-      return;
-   }
- 
-    /**
-    * Function to get the current relative humidity of the sensor.
-    * 
-    * @param {function} fCallback         Callback function pointer to give back the value once you got it
-    * @returns {void}                     Nothing (value is given back via callback function) 
-    */
-   getHumidity(fCallback)
-   {
-      var self       = this;
-      self.Log(ELOGLEVEL.DEBUG, `Start getting humidity`);
-
-      // Store callback function and run statemachine
-      self.fCallbackHumidity  = fCallback;
-      self.bQueryStarted      = true;
-      self.RunStatemachine(false, false, undefined);
-      return;
-   }
-
-   /**
-    * Function to update the current relative humidity of the sensor.
-    * 
-    * @param {Object} cError              Error. Not used here. Only for equivalent parameters to homebridge callback function
-    * @param {boolean} fValue             Value to be set
-    * @returns {void}                     Nothing
-    */
-   updateHumidity(cError, fValue)
-   {
-      var self = this;
-
-      if (cError == null)
-         self.cHumidityService.updateCharacteristic(global.cCharacteristic.CurrentRelativeHumidity, fValue);
-      return;
-   }
-
-   /**
-    * Function to get the external sensor flag of the sensor.
-    * 
-    * @param {function} fCallback         Callback function pointer to give back the value once you got it
-    * @returns {void}                     Nothing (value is given back via callback function) 
-    */
-   getExternalSensor(fCallback)
-   {
-      var self = this;
-      self.Log(ELOGLEVEL.DEBUG, `Start getting external sensor flag`);
-
-      // Store callback function and run statemachine
-      self.fCallbackExtSensor = fCallback;
-      self.bQueryStarted      = true;
-      self.RunStatemachine(false, false, undefined);
-      return;
-   }
-
-   /**
-    * Function to update the external sensor flag of the sensor.
-    * 
-    * @param {Object} cError              Error. Not used here. Only for equivalent parameters to homebridge callback function
-    * @param {boolean} bValue             Value to be set
-    * @returns {void}                     Nothing 
-    */
-   updateExternalSensor(cError, bValue)
-   {
-      var self = this;
-
-      if (cError == null)
-         self.cTemperatureService.updateCharacteristic(self.dcCustomCharacteristic.ExternalSensor, bValue);
-      return;
-   }
-
-   /**
-    * Function to get the battery level of the sensor.
-    * 
-    * @param {function} fCallback         Callback function pointer to give back the value once you got it
-    * @returns {void}                     Nothing (value is given back via callback function) 
-    */
-   getBatteryLevel(fCallback)
-   {
-      var self = this;
-      self.Log(ELOGLEVEL.DEBUG, `Start getting battery level`);
-
-      // Store callback function and run statemachine
-      self.fCallbackBatteryLevel = fCallback;
-      self.bQueryStarted         = true;
-      self.RunStatemachine(false, false, undefined);
-      return;
-   }
-
-   /**
-    * Function to update the battery level of the sensor.
-    * 
-    * @param {Object} cError              Error. Not used here. Only for equivalent parameters to homebridge callback function
-    * @param {boolean} fValue             Value to be set
-    * @returns {void}                     Nothing
-    */
-   updateBatteryLevel(cError, fValue)
-   {
-      var self = this;
-
-      if (cError == null)
-         self.cBatteryService.updateCharacteristic(global.cCharacteristic.BatteryLevel, fValue);
-      return;
-   }
-
-   /**
-    * Function to get the low battery status of the sensor.
-    * 
-    * @param {function} fCallback         Callback function pointer to give back the value once you got it
-    * @returns {void}                     Nothing (value is given back via callback function) 
-    */
-   getLowBatteryStatus(fCallback)
-   {
-      var self = this;
-      self.Log(ELOGLEVEL.DEBUG, `Start getting battery low status`);
-
-      // Store callback function and run statemachine
-      self.fCallbackLowBattery   = fCallback;
-      self.bQueryStarted         = true;
-      self.RunStatemachine(false, false, undefined);
-      return;
-   }
-
-   /**
-    * Function to update the low battery status of the sensor.
-    * 
-    * @param {Object} cError              Error. Not used here. Only for equivalent parameters to homebridge callback function
-    * @param {boolean} bValue             Value to be set
-    * @returns {void}                     Nothing 
-    */
-   updateLowBatteryStatus(cError, bValue)
-   {
-      var self = this;
-
-      if (cError == null)
-         self.cBatteryService.updateCharacteristic(global.cCharacteristic.StatusLowBattery, bValue);
-      return;
-   }
-
-   /**
-    * Function to set the log level
-    * 
-    * @param {number} iLogLevel           New log level to be set
-    * @param {function} fCallback         Callback function pointer to give back the value set
-    * @returns {void}                     Nothing
-    */
-   setLogLevel(iLogLevel, fCallback)
-   {
-      var self = this;
-      if (iLogLevel < ELOGLEVEL.MIN)
-      {  // Log level to low
-         self.Log(ELOGLEVEL.WARNING, `Log level ${iLogLevel} too low. Setting to ${ELOGLEVEL.MIN} (${STRLOGLEVEL[ELOGLEVEL.MIN]}).`)
-         self.iLogLevel = ELOGLEVEL.MIN;
-      }
-      else if (iLogLevel > ELOGLEVEL.MAX)
-      {  // Log level to high
-         self.Log(ELOGLEVEL.WARNING, `Log level ${iLogLevel} too high. Setting to ${ELOGLEVEL.MAX} (${STRLOGLEVEL[ELOGLEVEL.MAX]}).`)
-         self.iLogLevel = ELOGLEVEL.MAX;
-      }
-      else
-      {  // Ok. Always print log
-         self.cLog(`Setting log level to ${STRLOGLEVEL[iLogLevel]}.`);
-         self.iLogLevel = iLogLevel;
-      }
-
-      fCallback(null, self.iLogLevel);
-      return;
-   }
-
-   /**
-    * Function called by homebridge to get the services of the accessory
-    * 
-    * @returns {Object}                   A list of the available services
-    */
-   getServices()
-   {
-      var self = this;
-      self.Log(ELOGLEVEL.DEBUG, "Getting available services");
-
-      //-----------------------------------------------------------
-      // Accessory Info service
-      //------------------------
-      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Manufacturer     , "INKBIRD");
-      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.SerialNumber     , self.strMAC);
-      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Identify         , false);
-      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Name             , self.strName);
-      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Model            , self.strModel);
-      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.FirmwareRevision , global.strFWVersion);
-
-      //-----------------------------------------------------------
-      // Temperature service
-      //------------------------
-      self.cTemperatureService
-          .getCharacteristic(global.cCharacteristic.CurrentTemperature)
-          .setProps({minValue: -273.15, maxValue: 1000.0})
-          .on("get", self.getTemperature.bind(self));
-      self.cTemperatureService
-          .addCharacteristic(self.dcCustomCharacteristic.ExternalSensor)
-          .on("get", self.getExternalSensor.bind(self))
-
-      //-----------------------------------------------------------
-      // Humidity service
-      //------------------------
-      self.cHumidityService
-          .getCharacteristic(global.cCharacteristic.CurrentRelativeHumidity)
-          .on("get", self.getHumidity.bind(self));
-      self.cHumidityService
-          .addCharacteristic(self.dcCustomCharacteristic.LogLevel)
-          .on("get", (fCallback => fCallback(null, self.iLogLevel)).bind(self))
-          .on("set", self.setLogLevel.bind(self));
-
-      //-----------------------------------------------------------
-      // Battery service
-      //------------------------
-      self.cBatteryService
-          .getCharacteristic(global.cCharacteristic.BatteryLevel)
-          .on("get", self.getBatteryLevel.bind(self));
-      self.cBatteryService
-          .getCharacteristic(global.cCharacteristic.ChargingState)
-          .on("get", (fCallback => fCallback(null, false)).bind(self));
-      self.cBatteryService
-          .getCharacteristic(global.cCharacteristic.StatusLowBattery)
-          .on("get", self.getLowBatteryStatus.bind(self));
-
-      //-----------------------------------------------------------
-      // Eve history service
-      //------------------------
-      // Nothing to do
-
-      return [self.cAccessoryInfo, self.cTemperatureService, self.cHumidityService, self.cBatteryService, self.cEveHistoryService];
-   }
-
-   /**
-    * Function log a message to the homebridge log if it is important enough
-    * 
-    * @param {*} iLevel                   Maximum log level that will be logged
-    * @param {*} strMessage               Message
-    * @returns {void}                     Nothing
-    */
-   Log(iLevel, strMessage)
-   {
-      var self = this;
-
-      if (iLevel <= self.iLogLevel)
-         self.cLog(`${STRLOGLEVEL[iLevel]} - ${strMessage}`);
-      return;
-   }
-
-   /**
-    * Function parses the status and stores the values.
-    * 
-    * @returns {void}                     Nothing
-    */
-   parseStatus()
-   {
-      var self = this;
-
-      self.fIntTemperature       = undefined;
-      self.fExtTemperature       = undefined;
-      self.fTemperature          = undefined;
-      self.fIntHumidity          = undefined;
-      self.bExternalSensor       = undefined;
-      self.fBatteryLevel         = undefined;
-
-      // Check if value is present
-      if (self.cRawStatus != undefined)
-      {  // Calculate CRC16 ModBus
-         self.bExternalSensor    = self.cRawStatus.readUIntLE(4, 1) == 1;
-         self.fIntHumidity       = (self.cRawStatus.readUIntLE(2, 2) + self.fOffsetIntHumidity)/100;
-         if (self.fIntHumidity < 0.0)     self.fIntHumidity = 0.0;
-         if (self.fIntHumidity > 100.0)   self.fIntHumidity = 100.0;
-         self.fBatteryLevel      = self.cRawStatus.readUIntLE(7, 1);
-
-         if ((self.bDualViewSensor) && (self.bExternalSensor))
-         {
-            self.fIntTemperature    = (self.cRawStatus.readIntLE(5, 2) + self.fOffsetIntTemperature)/100;
-            if (self.fIntTemperature < -273.15) self.fIntTemperature = -273.15;
-            self.fExtTemperature    = (self.cRawStatus.readIntLE(0, 2) + self.fOffsetExtTemperature)/100;
-            if (self.fExtTemperature < -273.15) self.fExtTemperature = -273.15;
-            self.Log(ELOGLEVEL.DEBUG, `Dual view sensor - no CRC, internal temperature ${self.fIntTemperature}°C, external temperature ${self.fExtTemperature}°C, internal relative humidity ${self.fIntHumidity}%`);
-            // Store values in for Eve history function
-         }
-         else {
-            self.iCRC               = CRC16_0x18005(self.cRawStatus, 0, 4, true, true, 0xFFFF, 0x0);
-            if ((self.dSensorCfg != 0) && (self.iCRC != self.cRawStatus.readUIntLE(5, 2)))
-            {
-               self.Log(ELOGLEVEL.WARNING, `CRC Error (expected ${self.iCRC.toString(16)}, found ${self.cRawStatus.readUIntLE(5, 2).toString(16)}). Ignoring data!!`)
-               return;
-            }
-
-            if (self.bExternalSensor)
-            {
-               self.fIntTemperature    = undefined;
-               self.fExtTemperature    = (self.cRawStatus.readIntLE(0, 2) + self.fOffsetExtTemperature)/100;
-               if (self.fExtTemperature < -273.15) self.fExtTemperature = -273.15;
-            }
-            else {
-               self.fIntTemperature    = (self.cRawStatus.readIntLE(0, 2) + self.fOffsetIntTemperature)/100;
-               if (self.fIntTemperature < -273.15) self.fIntTemperature = -273.15;
-               self.fExtTemperature    = undefined;
-            }
-
-            self.Log(ELOGLEVEL.DEBUG, `CRC Ok (${self.iCRC.toString(16)}), temperature ${self.fIntTemperature}°C, internal relative humidity ${self.fIntHumidity}%, ${self.bExternalSensor ? `external` : `internal`} sensor`);
-         }
-         if (self.strSensor == "auto")
-            self.fTemperature = self.bExternalSensor ? self.fExtTemperature : self.fIntTemperature;
-         else {
-            if  (self.strSensor == "internal")
-            {
-               self.bExternalSensor = false;
-               self.fTemperature    = self.fIntTemperature;
-            }
-            else {
-               self.bExternalSensor = true;
-               self.fTemperature    = self.fExtTemperature;
-            }
-         }
-         // Store values in for Eve history function
-         self.cEveHistoryService.addEntry({ time: moment().unix(), temp: self.fTemperature, humidity: self.fIntHumidity, pressure: 0.0});
-         self.Log(ELOGLEVEL.DEBUG, `battery level ${self.fBatteryLevel}%, battery ${self.fBatteryLevel < 10 ? `low` : `ok`}`);
-
-      }
-      return;
-   }
-
-   /**
-    * Function that stops a running timeout
-    * 
-    * @returns {void}                     Nothing
-    */
-   stopTimeout()
-   {
-      var self = this;
-
-      if (self.iTimeoutId != undefined)
-      {  // If there's still a timeout running, then stop it
-         clearTimeout(self.iTimeoutId);
-         self.iTimeoutId = undefined;
-      }
-      return;
-   }
-
-   /**
-    * State machine to do the reading / cyclic reading via BLE
-    * 
-    * @param {boolean} bTimeout           Will be set if the statemachine is run by the runout timeout, otherwise it's false
-    * @param {boolean} bDiscover          Will be set if the statemachine is run by the discover of a peripheral
-    * @param {Object}  cPeripheral        Object with the data of the discovered peripheral
-    * @returns {void}                     Nothing
-    */
-   RunStatemachine(bTimeout, bDiscover, cPeripheral)
-   {
-      var self = this;
-
-      if (bTimeout)
-         self.stopTimeout();
-
-      if ((!self.bHWReady) && (self.eState != ESTATES.NOT_READY))
-      {  // If hardware not ready, then reset
-         self.Log(ELOGLEVEL.FATAL, `Bluetooth low energy hardware went off`);
-         noble.stopScanning();
-         self.eState = ESTATES.NOT_READY;
-      }
-
-      do
-      {  // Store actual state to see any change later
-         self.eOldState = self.eState;
-         // The state machine
-         switch (self.eState)
-         {
-            case ESTATES.NOT_READY:
-               // The bluetooth hardware is not ready
-               self.stopTimeout();
-
-               if (self.bHWReady)
-               {  // If the hardware is ready, go to status invalid
-                  self.Log(ELOGLEVEL.DEBUG, `Bluetooth low energy hardware powered on`);
-                  self.eState       = ESTATES.STATUS_INVALID;
-               }
-               else
-               {  // If the hardware is not ready, then try again later (5s)
-                  self.Log(ELOGLEVEL.WARNING, `Waiting for bluetooth low energy hardware to power on`);
-                  self.iTimeoutId   = setInterval(self.RunStatemachine.bind(self), 5000, true, false, undefined);
-               }
-               break;
-
-            case ESTATES.STATUS_INVALID:
-               // The status is invalid
-               self.stopTimeout();
-
-               if ((self.bQueryStarted) || (self.iUpdateInt != undefined))
-               {  // If a callback is waiting to be answered, or the auto-update is enabled, then start scanning (Timeout 5s)
-                  self.Log(ELOGLEVEL.DEBUG, `Start scanning for bluetooth sensor`);
-                  noble.startScanning();
-                  self.iTimeoutId   = setInterval(self.RunStatemachine.bind(self), 15000, true, false, undefined);
-                  self.eState       = ESTATES.SCANNING;
-               }
-               break;
-
-            case ESTATES.SCANNING:
-               // Bluetooth adapter is scanning
-
-               // Reset Status
-               self.cRawStatus   = undefined;
-
-               if ((bDiscover) && (self.dSensorCfg != undefined))
-               {  // Discover - found a BLE device
-                  if ((cPeripheral.address === self.strMAC) || (self.strMAC == ""))
-                  {  // If MAC-address fits, or MAC not set
-                     // Plausibility check
-                     if ((self.dSensorCfg == 0) ||
-                        ((cPeripheral.advertisement.manufacturerData.length  == self.dSensorCfg.datalength) &&
-                         (cPeripheral.advertisement.localName                == self.dSensorCfg.localName) && 
-                         (cPeripheral.advertisement.serviceDat               == self.dSensorCfg.serviceDat) && 
-                         (cPeripheral.advertisement.serviceUuids             == self.dSensorCfg.serviceUuids)))
-                     {  // If type is invalid, no check possible but let it through to easily support new compatible types
-                        // Otherwise check the values for plausibility
-                        // Store manufacturer data
-                        self.cRawStatus   = cPeripheral.advertisement.manufacturerData;
-                        self.Log(ELOGLEVEL.INFO, `Peripheral with MAC ${cPeripheral.address} found - stop scanning`);
-                        self.Log(ELOGLEVEL.DEBUG,`ManufacturerData is ${self.cRawStatus.toString('hex')}`);
-                     }
-                     else if (self.strMAC != "")
-                     {
-                        let strExpected = `(${self.dSensorCfg.datalength}, ${self.dSensorCfg.localName}, ${JSON.stringify(self.dSensorCfg.serviceDat, null, 2)}, ${self.dSensorCfg.serviceUuids})`;
-                        let strFound = `(${cPeripheral.advertisement.manufacturerData.length}, ${cPeripheral.advertisement.localName}, ${JSON.stringify(cPeripheral.advertisement.serviceDat, null, 2)}, ${cPeripheral.advertisement.serviceUuids})`;
-                        self.Log(ELOGLEVEL.ERROR, `Peripheral with MAC ${cPeripheral.address} found, but plausibility check failed. Expected ${strExpected}, but found ${strFound}`);
-                     }
-                  }
-               }
-
-               if ((bTimeout) || (self.cRawStatus != undefined))
-               {  // Timeout or finished
-
-                  if (self.cRawStatus == undefined)
-                     self.Log(ELOGLEVEL.WARNING, `Peripheral NOT found - stop scanning`);
-
-                  // Stop scanning
-                  noble.stopScanning();
-                  self.stopTimeout();
-
-                  // Store manufacturer data, update Apple Home and set query finished 
-                  self.parseStatus();
-                  self.fCallbackTemperature  = self.fCallbackTemperature   || self.updateTemperature;
-                  self.fCallbackHumidity     = self.fCallbackHumidity      || self.updateHumidity;
-                  self.fCallbackExtSensor    = self.fCallbackExtSensor     || self.updateExternalSensor;
-                  self.fCallbackBatteryLevel = self.fCallbackBatteryLevel  || self.updateBatteryLevel;
-                  self.fCallbackLowBattery   = self.fCallbackLowBattery    || self.updateLowBatteryStatus;
-                  self.bQueryStarted   = false;
-
-                  // start timeout for validity of data and go to next state
-                  self.iTimeoutId      = setInterval(self.RunStatemachine.bind(self), (self.iUpdateInt || 10) * 1000, true, false, undefined);
-                  self.eState          = ESTATES.READY4ANSWER;
-               }
-
-               break;
-
-            case ESTATES.READY4ANSWER:
-               // Status is read or device unreachable
-
-               // Do all the callbacks
-               if (self.fCallbackTemperature != undefined)
-               {  // Temperature callback
-                  self.Log(ELOGLEVEL.INFO, `Sending temperature ${self.fTemperature}°C`);
-                  self.fCallbackTemperature(null, self.fTemperature);
-                  self.fCallbackTemperature = undefined;
-               }
-               if (self.fCallbackHumidity != undefined)
-               {  // Humidity callback
-                  self.Log(ELOGLEVEL.INFO, `Sending relative humidity ${self.fIntHumidity}%`);
-                  self.fCallbackHumidity(null, self.fIntHumidity);
-                  self.fCallbackHumidity = undefined;
-               }
-               if (self.fCallbackExtSensor != undefined)
-               {  // External sensor callback
-                  self.Log(ELOGLEVEL.INFO, self.bExternalSensor ? `Sending external sensor` : `Sending internal sensor`);
-                  self.fCallbackExtSensor(null, self.bExternalSensor);
-                  self.fCallbackExtSensor = undefined;
-               }
-               if (self.fCallbackBatteryLevel != undefined)
-               {  // BatteryLevel callback
-                  self.Log(ELOGLEVEL.INFO, `Sending battery level ${self.fBatteryLevel}%`);
-                  self.fCallbackBatteryLevel(null, self.fBatteryLevel);
-                  self.fCallbackBatteryLevel = undefined;
-               }
-               if (self.fCallbackLowBattery != undefined)
-               {  // Low battery callback
-                  self.Log(ELOGLEVEL.INFO, self.fBatteryLevel < 10 ? `Sending battery low` : `Sending battery ok`);
-                  self.fCallbackLowBattery(null, self.fBatteryLevel < 10);
-                  self.fCallbackLowBattery = undefined;
-               }
-
-               // After valid time for value or if new query started go back to invalid
-               // If we already have values from cyclic update, this bQueryStarted will lead to an extra update.
-               // In this way it's possible to get updated values even though you have the cyclic feature activated.
-               if ((bTimeout) || (self.bQueryStarted))
-                  self.eState = ESTATES.STATUS_INVALID;
-               break;
-         }
-         bTimeout  = false;
-         bDiscover = false;
-      }
-      // when state changed, then run it again
-      while (self.eState != self.eOldState);
-
-      return;
-   }
-}
-
-//-----------------------------------------------------------------------
-// Exports
-//-----------------------------------------------------------------------
-
-module.exports = cInkbirdBtTHSensorAccessory;
+// Implements the InkbirdBtTHSensorAccessory class that manages the bluetooth sensor
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 04.06.2020  D. Steidl   Created
+// 06.06.2020  D. Steidl   First working version
+// 07.06.2020  D. Steidl   CRC16 Modbus, plausibility checks and easy to configure features implemented
+// 14.06.2020  D. Steidl   Added Eve history for temperature and relative humidity, bug fix cyclic read
+// 15.06.2020  D. Steidl   Added log level
+// 16.06.2020  D. Steidl   Bugfix: Reference error Characteristic (fixed in 0.3.1)
+// 25.06.2020  D. Steidl   Actualization also in cyclic mode, info internal/external sensor as CustomCharacteristic
+// 07.02.2021  D. Steidl   Bugfix Issue #4: Incorrect temperature, "not in list - try it anyway" improved
+// 01.05.2021  D. Steidl   Bugfix Issue #7: Incorrect temperature (fixed in 0.4.1)
+// 09.07.2021  D. Steidl   Support for sensor types IBS-TH1-Plus, IBS-TH2 and IBS-TH2-Plus added
+//                         Selection of internal or external sensor
+//                         Offset for internal, external temperature sensor added
+//                         Offset for internal humidity added
+// 19.10.2026  D. Steidl   Dynamic platform: services on platform accessories, scanning via shared scan coordinator
+//                         Models moved to InkbirdBtModels.js
+//                         Continuous mode (listening to all advertisements instead of start/stop scan cycles)
+//                         Backfill of the Eve history from the history stored in the sensor
+//                         Recording interval and recorder of the sensor configurable
+//                         Accessory information from the Device Information service of the sensor
+//                         Internal sensor and external probe at the same time (sensor "both")
+//                         Model optional, detected from the advertisement
+//                         Decoding by the decoder of the model (InkbirdBtDecoders.js), services depending on the model
+//                         onGet handlers with waiters per value, answers from readings younger than max_age
+//                         StatusActive / StatusFault after a grace period without valid values, probe unplugged detection
+//                         Limit alarms as contact, leak or motion sensor
+//                         Derived climate values (dew point, absolute humidity, heat index, VPD, condensation risk)
+//                         Calibration tables with linear interpolation (instead of the offsets)
+//                         Offsets, update interval and log level changeable in HomeKit, persisted per MAC
+//                         Filter stage: impossible values and too fast changes rejected, median / EMA smoothing
+//                         Listeners for the readings (i.e. MQTT publisher), signal strength of the last frame
+//                         Counters for scans, scan timeouts, CRC errors and plausibility failures (metrics)
+//                         Refresh and history range for the REST API
+//                         Import of the Eve history from CSV
+//                         Battery model: low battery threshold, smoothing, remaining days (see InkbirdBtBattery.js)
+//                         Link quality: RSSI and reception rate as characteristics, warning if too low
+//-----------------------------------------------------------------------
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {Object} ESTATES               Enumeration for state machine */
+const ESTATES = {NOT_READY: 1, STATUS_INVALID: 2, SCANNING: 3, READY4ANSWER: 4, LISTENING: 5}
+/** @const {number} IDEFMINUPDATEINT      Default minimum time between two updates in continuous mode in seconds */
+const IDEFMINUPDATEINT = 10;
+/** @const {number} IDEFMAXAGE            Default maximum age of a reading to answer a read from Apple Home without scan in seconds */
+const IDEFMAXAGE = 10;
+/** @const {number} IHISTORYGAP           Time without valid values after which the history is read from the sensor in s */
+const IHISTORYGAP = 1800;
+/** @const {number} IDEFGRACEPERIOD       Default time without valid values after which the sensor is shown as faulty in s */
+const IDEFGRACEPERIOD = 600;
+/** @const {number} IFAULTCHECKINT        Interval of the check for missing frames in continuous mode in s */
+const IFAULTCHECKINT = 60;
+/** @const {number} ISCANTIMEOUT          Timeout of a scan in cyclic mode in s */
+const ISCANTIMEOUT = 15;
+/** @const {number} IREADTIMEOUT          Maximum time a read waits for the next reading in s (HAP-NodeJS answers by itself after 10s) */
+const IREADTIMEOUT = 8;
+/** @const {number} IREFRESHTIMEOUT       Maximum time a refresh (REST API) waits for a new reading in s (longer than a scan) */
+const IREFRESHTIMEOUT = ISCANTIMEOUT + 5;
+/** @const {Array} ASTRCALIBRATIONS       Values that can be calibrated (keys of config option "calibration") */
+const ASTRCALIBRATIONS = ["int_temperature", "ext_temperature", "int_humidity"];
+/** @const {number} IMINRSSI              Minimum of the signal strength in HomeKit (shown if there's no frame yet) */
+const IMINRSSI = -127;
+/** @const {number} IMAXBATTERYDAYS       Maximum of the remaining battery days in HomeKit (shown if there's no estimation yet) */
+const IMAXBATTERYDAYS = 3650;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const moment   = require('moment');                                                                // for timestamps for Eve history
+const inherits = require('util').inherits;                                                         // for custom characteristic/service definition
+const fs       = require('fs');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const { ELOGLEVEL, STRLOGLEVEL } = require('./InkbirdBtLogLevel')
+const { DDMODELS, STRAMBIGUOUS, isPlausible, findModelByName, detectModel, getCandidateCfg, isCompatible, getModelEntry, getDecodeCfg } = require('./InkbirdBtModels')
+const cInkbirdBtHistoryReader = require('./InkbirdBtHistoryReader')
+const cInkbirdBtHistoryExport = require('./InkbirdBtHistoryExport')
+const cInkbirdBtDeviceConfig  = require('./InkbirdBtDeviceConfig')
+const cInkbirdBtDeviceInfo    = require('./InkbirdBtDeviceInfo')
+const cInkbirdBtAlarm         = require('./InkbirdBtAlarm')
+const cInkbirdBtCalibration   = require('./InkbirdBtCalibration')
+const cInkbirdBtFilter        = require('./InkbirdBtFilter')
+const cInkbirdBtBattery       = require('./InkbirdBtBattery')
+const cInkbirdBtLinkQuality   = require('./InkbirdBtLinkQuality')
+const cInkbirdBtSettings      = require('./InkbirdBtSettings')
+const { ASTRCLIMATEVALUES, dewPoint, absoluteHumidity, heatIndex, vapourPressureDeficit } = require('./InkbirdBtClimate')
+
+//-----------------------------------------------------------------------
+// Classes 
+//-----------------------------------------------------------------------
+
+/**
+ * Main class for the management of the Inkbird temperature and humidity sensors accessory
+ */
+class cInkbirdBtTHSensorAccessory
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The accessory constructor initializes the class, loads the config, creates the required services
+    * and starts the auto-refresh feature if configured.
+    * Called by homebridge for the (deprecated) accessory configuration, or by the platform with the
+    * platform accessory the services are created on.
+    * 
+    * @param {Object} cLog                Pointer to logging class
+    * @param {Object} dConfig             Configuration for the sensor
+    * @param {Object} cAPI                Pointer to homebridge API
+    * @param {Object} cPlatformAccessory  Platform accessory to create the services on (undefined in accessory configuration)
+    * @param {Object} cProbeAccessory     Platform accessory for the external probe (only for sensor "both")
+    * @returns {void}                     nothing
+    */
+   constructor(cLog, dConfig, cAPI, cPlatformAccessory, cProbeAccessory)
+   {
+      var self = this;
+      if (dConfig.loglevel >= ELOGLEVEL.DEBUG)
+         cLog("Start Initialization");
+
+      // Store and initialize values
+      self.cLog                     = cLog;
+      self.dConfig                  = dConfig;
+      self.cAPI                     = cAPI;
+      self.cPlatformAccessory       = cPlatformAccessory;                                             // Platform accessory (undefined in accessory configuration)
+      self.cProbeAccessory          = cProbeAccessory;                                                // Platform accessory of the external probe (undefined if not shown separately)
+      self.cScanCoordinator         = global.cScanCoordinator;                                        // Shared BLE scanner
+      self.cRawStatus               = undefined;                                                      // Cached raw status from doCyclicGetStatus
+      self.fTemperature             = undefined;                                                      // Temperature in degree Celsius
+      self.fIntTemperature          = undefined;                                                      // Internal temperature in degree Celsius
+      self.fExtTemperature          = undefined;                                                      // External temperature in degree Celsius
+      self.fIntHumidity             = undefined;                                                      // Internal relative humidity in %
+      self.bExternalSensor          = undefined;                                                      // true, if external sensor is connected
+      self.fBatteryLevel            = undefined;                                                      // Battery level in % (smoothed)
+      self.eState                   = ESTATES.NOT_READY;                                              // State of the state machine (Hardware not ready)
+      self.eOldState                = undefined;                                                      // State of the state machine in last call
+      self.iTimeoutId               = undefined;                                                      // Id of a started timeout to find it again (No Timeout started yet)
+      self.dWaiters                 =                                                                 // Reads waiting for the next reading per value
+      {
+         temperature       : [],
+         humidity          : [],
+         externalSensor    : [],
+         probeTemperature  : [],
+         batteryLevel      : [],
+         lowBattery        : [],
+         dewPoint          : [],
+         absoluteHumidity  : [],
+         heatIndex         : [],
+         vpd               : [],
+         condensationRisk  : []
+      };
+      self.bQueryStarted            = false;                                                          // true if a query was started to read a value
+      self.bRefreshStarted          = false;                                                          // true if a refresh waits for a new frame (continuous mode)
+      self.iLastFrameTime           = undefined;                                                      // Time of the last valid frame in continuous mode (ms)
+      self.iLastValidTime           = undefined;                                                      // Time of the last valid values (ms)
+      self.iReadingTime             = undefined;                                                      // Time of the last valid reading (ms, undefined if no valid values yet)
+      self.iStartTime               = Date.now();                                                     // Start time, for the grace period if there was no valid reading yet (ms)
+      self.iLastSeenTime            = undefined;                                                      // Time the sensor was seen the last time in continuous mode (ms)
+      self.iMisses                  = 0;                                                              // Consecutive scans without the sensor
+      self.iDecodeFailures          = 0;                                                              // Consecutive frames that couldn't be decoded or were rejected
+      self.iRejectedFrames          = 0;                                                              // Frames rejected by the filter since start
+      self.iScansStarted            = 0;                                                              // Scans started since start
+      self.iScanTimeouts            = 0;                                                              // Scans that ended without the sensor since start
+      self.iCRCErrors               = 0;                                                              // Frames with CRC error since start
+      self.iPlausibilityFailures    = 0;                                                              // Advertisements failing the plausibility check since start
+      self.bFault                   = false;                                                          // true if the sensor is shown as faulty
+      self.bProbeConnected          = undefined;                                                      // true if the external probe is connected (undefined until first reading)
+      self.fDewPoint                = undefined;                                                      // Dew point in degree Celsius
+      self.fAbsoluteHumidity        = undefined;                                                      // Absolute humidity in g/m³
+      self.fHeatIndex               = undefined;                                                      // Heat index in degree Celsius
+      self.fVPD                     = undefined;                                                      // Vapour-pressure deficit in kPa
+      self.bCondensationRisk        = undefined;                                                      // true if the surface temperature is below the dew point
+      self.bBackfillRunning         = false;                                                          // true while the history is read from the sensor
+      self.bDeviceConfigDone        = false;                                                          // true if the config of the sensor was applied / read
+      self.iRecordingInterval       = undefined;                                                      // Recording interval of the sensor in s (as read from sensor)
+      self.bRecorderRunning         = undefined;                                                      // true if the recorder of the sensor runs (as read from sensor)
+      self.bDeviceInfoDone          = false;                                                          // true if the device information was read (or cached)
+      self.bHWReady                 = false;                                                          // Shows if hardware is ready
+      self.bDualViewSensor          = false;                                                          // Shows if the sensor supports dual view of the internal and the external temperature  
+      self.strReportedModel         = undefined;                                                      // Model name reported by the sensor (device information)
+      self.bCompatibleLogged        = false;                                                          // true if the DDMODELS entry for an unknown sensor was logged
+      self.dcCustomCharacteristic   = {};                                                             // Self-defined characteristics
+      self.iRSSI                    = undefined;                                                      // Signal strength of the last frame in dBm
+      self.afReadingListeners       = [];                                                             // Functions called with every valid reading (cSensor, dReading)
+      self.afModelListeners         = [];                                                             // Functions called when the model is detected (cSensor, strModel)
+
+      // Analyse config, use config first, if not set then fall back to default values
+      self.iLogLevel                = dConfig.loglevel || ELOGLEVEL.INFO;                             // Show infos, warnings, errors and fatal
+      self.strName                  = dConfig.name;
+      self.bAutoModel               = !dConfig.model;                                                 // Model is detected from the advertisement
+      self.strCfgSensor             = dConfig.sensor || "auto";
+      // Without model in config start with the model detected at the last start
+      self.setModel(dConfig.model || ((cPlatformAccessory != undefined) && (cPlatformAccessory.context.strDetectedModel)) || "");
+      self.astrServices             = getDecodeCfg(self.dSensorCfg).services;                         // Services needed by the model
+      if ((!self.bAutoModel) && (self.dSensorCfg == undefined))
+         self.Log(ELOGLEVEL.ERROR, `Invalid sensor type ${self.strModel}. See README.md for valid types or leave it empty for auto-detection!`);
+      self.strMAC                   = (dConfig.mac_address || "").toLowerCase();
+      self.iUpdateInt               = dConfig.update_interval;
+      self.bContinuous              = (dConfig.mode == "continuous");                                 // Listen to all advertisements
+      self.iMinUpdateInt            = Math.max(0, (dConfig.min_update_interval != undefined) ? dConfig.min_update_interval : IDEFMINUPDATEINT);
+      self.iMaxAge                  = Math.max(0, (dConfig.max_age != undefined) ? dConfig.max_age : IDEFMAXAGE);
+      self.iGracePeriod             = (dConfig.fault_grace_period != undefined) ? Math.max(0, dConfig.fault_grace_period) : Math.max(IDEFGRACEPERIOD, 3 * (dConfig.update_interval || 0));
+      self.bHistoryBackfill         = (dConfig.history_backfill == true);                             // Read the history of the sensor after start / outage
+      self.strHistoryImport         = dConfig.history_import;                                         // CSV file imported into the Eve history at start
+      self.iCfgRecordingInterval    = dConfig.recording_interval;                                     // Recording interval to be set in the sensor
+      self.strCfgRecorder           = dConfig.recorder;                                               // "run" or "stop" the recorder of the sensor
+      self.bDeviceSettings          = (dConfig.device_settings == true);                              // Characteristics for the sensor config
+      self.fOffsetIntTemperature    = dConfig.offset_int_temperature || 0.0;
+      self.fOffsetExtTemperature    = dConfig.offset_ext_temperature || 0.0;
+      self.fOffsetIntHumidity       = dConfig.offset_int_humidity    || 0.0;
+      self.bRuntimeSettings         = (dConfig.runtime_settings == true);                             // Characteristics for offsets and update interval
+      self.strMqttTopic             = dConfig.mqtt_topic;                                             // Topic of the readings below the MQTT topic prefix
+      self.cSettings                = new cInkbirdBtSettings(self.Log.bind(self), global.strStoragePath);
+      if ((self.bRuntimeSettings) && (self.strMAC == ""))
+      {
+         self.Log(ELOGLEVEL.WARNING, `Settings changeable in HomeKit need the MAC address of the sensor`);
+         self.bRuntimeSettings      = false;
+      }
+      if (self.bRuntimeSettings)
+      {  // Settings changed in HomeKit override the config
+         let dSettings = self.cSettings.get(self.strMAC);
+
+         if (Object.keys(dSettings).length > 0)
+            self.Log(ELOGLEVEL.INFO, `Settings changed in HomeKit used instead of the config: ${JSON.stringify(dSettings)}`);
+         self.applySettings(dSettings);
+      }
+      self.dcCalibrations           = {};                                                             // Calibration tables (used instead of the offsets)
+      Object.keys(dConfig.calibration || {}).forEach(strValue =>
+      {
+         if (!ASTRCALIBRATIONS.includes(strValue))
+         {
+            self.Log(ELOGLEVEL.ERROR, `Invalid calibration ${strValue} (${ASTRCALIBRATIONS.join(", ")}). Ignored!`);
+            return;
+         }
+         try
+         {
+            self.dcCalibrations[strValue] = new cInkbirdBtCalibration(dConfig.calibration[strValue]);
+         }
+         catch (cError)
+         {
+            self.Log(ELOGLEVEL.ERROR, `Calibration ${strValue}: ${cError.message}. Using the offset!`);
+         }
+      });
+      self.dcFilters                = {};                                                             // Filter stage per value (see InkbirdBtFilter.js)
+      try
+      {
+         ASTRCALIBRATIONS.forEach(strValue =>
+            self.dcFilters[strValue] = new cInkbirdBtFilter(dConfig.filter, strValue.endsWith("humidity") ? "humidity" : "temperature"));
+      }
+      catch (cError)
+      {
+         self.Log(ELOGLEVEL.ERROR, `Filter: ${cError.message}. Only impossible values are rejected!`);
+         ASTRCALIBRATIONS.forEach(strValue =>
+            self.dcFilters[strValue] = new cInkbirdBtFilter(undefined, strValue.endsWith("humidity") ? "humidity" : "temperature"));
+      }
+      self.cBattery                 = new cInkbirdBtBattery(dConfig, self.Log.bind(self), global.strStoragePath,
+                                                            (self.strMAC != "") ? self.strMAC : self.strName);
+      self.cLinkQuality             = new cInkbirdBtLinkQuality(dConfig.link_quality, self.Log.bind(self));
+      self.astrClimate              = (dConfig.climate || []).filter(strClimate =>                    // Derived climate values
+      {
+         if (ASTRCLIMATEVALUES.includes(strClimate))
+            return true;
+         self.Log(ELOGLEVEL.ERROR, `Invalid climate value ${strClimate} (${ASTRCLIMATEVALUES.join(", ")}). Ignored!`);
+         return false;
+      });
+      self.bDewPointService         = (dConfig.dew_point_service == true);                            // Dew point as own temperature service
+      self.fSurfaceOffset           = dConfig.surface_offset || 0.0;                                  // Surface temperature - air temperature for condensation risk
+      if (((self.astrClimate.length > 0) || (self.bDewPointService)) && (!self.astrServices.includes("humidity")))
+      {  // Everything is derived from the humidity
+         self.Log(ELOGLEVEL.WARNING, `Climate values need a sensor with humidity. Ignored!`);
+         self.astrClimate           = [];
+         self.bDewPointService      = false;
+      }
+      self.acAlarms                 = [];                                                             // Limit alarms
+      (dConfig.alarms || []).forEach(dAlarm =>
+      {
+         try
+         {
+            self.acAlarms.push(new cInkbirdBtAlarm(dAlarm, self.Log.bind(self)));
+         }
+         catch (cError)
+         {
+            self.Log(ELOGLEVEL.ERROR, `${cError.message}. Alarm ignored!`);
+         }
+      });
+
+      // Create services and characteristics
+      // LogLevel
+      self.dcCustomCharacteristic.LogLevel = function ()
+      {
+         cCharacteristic.call(this, "Log Level", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.LogLevel"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.UINT8,
+            maxValue: ELOGLEVEL.MAX,
+            minValue: ELOGLEVEL.MIN,
+            minStep: 1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = 2;
+      };
+      inherits(self.dcCustomCharacteristic.LogLevel, cCharacteristic);
+      self.dcCustomCharacteristic.LogLevel.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.LogLevel");
+
+      // External sensor
+      self.dcCustomCharacteristic.ExternalSensor = function ()
+      {
+         cCharacteristic.call(this, "External Sensor", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ExternalSensor"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.BOOL,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = undefined;
+      };
+      inherits(self.dcCustomCharacteristic.ExternalSensor, cCharacteristic);
+      self.dcCustomCharacteristic.ExternalSensor.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ExternalSensor");
+
+      // Recording interval of the sensor
+      self.dcCustomCharacteristic.RecordingInterval = function ()
+      {
+         cCharacteristic.call(this, "Recording Interval", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.RecordingInterval"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.UINT32,
+            unit: cCharacteristic.Units.SECONDS,
+            maxValue: cInkbirdBtDeviceConfig.IMAXINTERVAL,
+            minValue: cInkbirdBtDeviceConfig.IMININTERVAL,
+            minStep: 1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = this.getDefaultValue();
+      };
+      inherits(self.dcCustomCharacteristic.RecordingInterval, cCharacteristic);
+      self.dcCustomCharacteristic.RecordingInterval.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.RecordingInterval");
+
+      // Recorder of the sensor running
+      self.dcCustomCharacteristic.RecorderRunning = function ()
+      {
+         cCharacteristic.call(this, "Recorder Running", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.RecorderRunning"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.BOOL,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = this.getDefaultValue();
+      };
+      inherits(self.dcCustomCharacteristic.RecorderRunning, cCharacteristic);
+      self.dcCustomCharacteristic.RecorderRunning.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.RecorderRunning");
+
+      // Clear the recorder of the sensor (switches back to false)
+      self.dcCustomCharacteristic.ClearRecorder = function ()
+      {
+         cCharacteristic.call(this, "Clear Recorder", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ClearRecorder"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.BOOL,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = false;
+      };
+      inherits(self.dcCustomCharacteristic.ClearRecorder, cCharacteristic);
+      self.dcCustomCharacteristic.ClearRecorder.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ClearRecorder");
+
+      // Dew point
+      self.dcCustomCharacteristic.DewPoint = function ()
+      {
+         cCharacteristic.call(this, "Dew Point", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.DewPoint"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            unit: cCharacteristic.Units.CELSIUS,
+            maxValue: 100,
+            minValue: -100,
+            minStep: 0.1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = this.getDefaultValue();
+      };
+      inherits(self.dcCustomCharacteristic.DewPoint, cCharacteristic);
+      self.dcCustomCharacteristic.DewPoint.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.DewPoint");
+
+      // Absolute humidity
+      self.dcCustomCharacteristic.AbsoluteHumidity = function ()
+      {
+         cCharacteristic.call(this, "Absolute Humidity (g/m³)", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.AbsoluteHumidity"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            maxValue: 1000,
+            minValue: 0,
+            minStep: 0.01,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = this.getDefaultValue();
+      };
+      inherits(self.dcCustomCharacteristic.AbsoluteHumidity, cCharacteristic);
+      self.dcCustomCharacteristic.AbsoluteHumidity.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.AbsoluteHumidity");
+
+      // Heat index
+      self.dcCustomCharacteristic.HeatIndex = function ()
+      {
+         cCharacteristic.call(this, "Heat Index", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.HeatIndex"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            unit: cCharacteristic.Units.CELSIUS,
+            maxValue: 150,
+            minValue: -100,
+            minStep: 0.1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = this.getDefaultValue();
+      };
+      inherits(self.dcCustomCharacteristic.HeatIndex, cCharacteristic);
+      self.dcCustomCharacteristic.HeatIndex.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.HeatIndex");
+
+      // Vapour-pressure deficit
+      self.dcCustomCharacteristic.VPD = function ()
+      {
+         cCharacteristic.call(this, "VPD (kPa)", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.VPD"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            maxValue: 100,
+            minValue: 0,
+            minStep: 0.01,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = this.getDefaultValue();
+      };
+      inherits(self.dcCustomCharacteristic.VPD, cCharacteristic);
+      self.dcCustomCharacteristic.VPD.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.VPD");
+
+      // Condensation risk
+      self.dcCustomCharacteristic.CondensationRisk = function ()
+      {
+         cCharacteristic.call(this, "Condensation Risk", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.CondensationRisk"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.BOOL,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = false;
+      };
+      inherits(self.dcCustomCharacteristic.CondensationRisk, cCharacteristic);
+      self.dcCustomCharacteristic.CondensationRisk.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.CondensationRisk");
+
+      // Offsets and update interval changeable in HomeKit
+      self.dcCustomCharacteristic.OffsetIntTemperature = function ()
+      {
+         cCharacteristic.call(this, "Temperature Offset", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.OffsetIntTemperature"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            unit: cCharacteristic.Units.CELSIUS,
+            maxValue: 20,
+            minValue: -20,
+            minStep: 0.01,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = 0;
+      };
+      inherits(self.dcCustomCharacteristic.OffsetIntTemperature, cCharacteristic);
+      self.dcCustomCharacteristic.OffsetIntTemperature.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.OffsetIntTemperature");
+
+      self.dcCustomCharacteristic.OffsetExtTemperature = function ()
+      {
+         cCharacteristic.call(this, "External Temperature Offset", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.OffsetExtTemperature"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            unit: cCharacteristic.Units.CELSIUS,
+            maxValue: 20,
+            minValue: -20,
+            minStep: 0.01,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = 0;
+      };
+      inherits(self.dcCustomCharacteristic.OffsetExtTemperature, cCharacteristic);
+      self.dcCustomCharacteristic.OffsetExtTemperature.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.OffsetExtTemperature");
+
+      self.dcCustomCharacteristic.OffsetIntHumidity = function ()
+      {
+         cCharacteristic.call(this, "Humidity Offset", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.OffsetIntHumidity"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.FLOAT,
+            unit: cCharacteristic.Units.PERCENTAGE,
+            maxValue: 50,
+            minValue: -50,
+            minStep: 0.01,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = 0;
+      };
+      inherits(self.dcCustomCharacteristic.OffsetIntHumidity, cCharacteristic);
+      self.dcCustomCharacteristic.OffsetIntHumidity.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.OffsetIntHumidity");
+
+      self.dcCustomCharacteristic.UpdateInterval = function ()
+      {
+         cCharacteristic.call(this, "Update Interval", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.UpdateInterval"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.UINT32,
+            unit: cCharacteristic.Units.SECONDS,
+            maxValue: 86400,
+            minValue: 0,
+            minStep: 1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = 0;
+      };
+      inherits(self.dcCustomCharacteristic.UpdateInterval, cCharacteristic);
+      self.dcCustomCharacteristic.UpdateInterval.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.UpdateInterval");
+
+      // Reset the settings to the config file (switches back to false)
+      self.dcCustomCharacteristic.ResetSettings = function ()
+      {
+         cCharacteristic.call(this, "Reset Settings", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ResetSettings"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.BOOL,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.WRITE, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = false;
+      };
+      inherits(self.dcCustomCharacteristic.ResetSettings, cCharacteristic);
+      self.dcCustomCharacteristic.ResetSettings.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ResetSettings");
+
+      // Signal strength of the last frame (IMINRSSI if no frame received yet)
+      self.dcCustomCharacteristic.SignalStrength = function ()
+      {
+         cCharacteristic.call(this, "Signal Strength", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.SignalStrength"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.INT,
+            maxValue: 20,
+            minValue: IMINRSSI,
+            minStep: 1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = IMINRSSI;
+      };
+      inherits(self.dcCustomCharacteristic.SignalStrength, cCharacteristic);
+      self.dcCustomCharacteristic.SignalStrength.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.SignalStrength");
+
+      // Reception rate (frames seen / frames expected, see InkbirdBtLinkQuality.js)
+      self.dcCustomCharacteristic.ReceptionRate = function ()
+      {
+         cCharacteristic.call(this, "Reception Rate", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ReceptionRate"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.UINT8,
+            unit: cCharacteristic.Units.PERCENTAGE,
+            maxValue: 100,
+            minValue: 0,
+            minStep: 1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = 0;
+      };
+      inherits(self.dcCustomCharacteristic.ReceptionRate, cCharacteristic);
+      self.dcCustomCharacteristic.ReceptionRate.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.ReceptionRate");
+
+      // Estimated remaining days of the battery (IMAXBATTERYDAYS if no estimation is possible yet)
+      self.dcCustomCharacteristic.BatteryDaysRemaining = function ()
+      {
+         cCharacteristic.call(this, "Battery Days Remaining", global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.BatteryDaysRemaining"));
+         this.setProps(
+         {
+            format: cCharacteristic.Formats.UINT32,
+            maxValue: IMAXBATTERYDAYS,
+            minValue: 0,
+            minStep: 1,
+            perms: [cCharacteristic.Perms.READ, cCharacteristic.Perms.NOTIFY]
+         });
+         this.value = IMAXBATTERYDAYS;
+      };
+      inherits(self.dcCustomCharacteristic.BatteryDaysRemaining, cCharacteristic);
+      self.dcCustomCharacteristic.BatteryDaysRemaining.UUID = global.cUUIDGen.generate("InkbirdBtTHSensorAccessory.BatteryDaysRemaining");
+
+      // Characteristics of the climate values (config name, custom characteristic, name of the value)
+      self.adClimateCharacteristics =
+      [
+         { strClimate: "dew_point",          fCharacteristic: self.dcCustomCharacteristic.DewPoint,          strValue: "dewPoint"          },
+         { strClimate: "absolute_humidity",  fCharacteristic: self.dcCustomCharacteristic.AbsoluteHumidity,  strValue: "absoluteHumidity"  },
+         { strClimate: "heat_index",         fCharacteristic: self.dcCustomCharacteristic.HeatIndex,         strValue: "heatIndex"         },
+         { strClimate: "vpd",                fCharacteristic: self.dcCustomCharacteristic.VPD,               strValue: "vpd"               },
+         { strClimate: "condensation_risk",  fCharacteristic: self.dcCustomCharacteristic.CondensationRisk,  strValue: "condensationRisk"  }
+      ];
+
+      if (cPlatformAccessory == undefined)
+      {  // Accessory configuration - create own services
+         self.Log(ELOGLEVEL.WARNING, `The accessory configuration is deprecated. Please move the sensor into the "sensors" of the InkbirdBtTHSensor platform (see README.md).`);
+         self.cAccessoryInfo              = new cService.AccessoryInformation();
+         self.cTemperatureService         = new cService.TemperatureSensor(self.strName);
+         if (self.astrServices.includes("humidity"))
+            self.cHumidityService         = new cService.HumiditySensor(self.strName);
+         if (self.astrServices.includes("battery"))
+            self.cBatteryService          = new cService.BatteryService(self.strName);
+         self.cEveHistoryService          = new cFakeGatoHistoryService("weather", this, self.getHistoryOptions());
+         self.acAlarmServices             = self.acAlarms.map((cAlarm, iIndex) => new cAlarm.cServiceType(cAlarm.strName, `alarm${iIndex}`));
+         if (self.bDewPointService)
+            self.cDewPointService         = new cService.TemperatureSensor(`${self.strName} Dew Point`, "dewpoint");
+      }
+      else
+      {  // Platform - use the services of the (maybe cached) platform accessory
+         self.cAccessoryInfo              = cPlatformAccessory.getService(cService.AccessoryInformation);
+         self.cTemperatureService         = cPlatformAccessory.getService(cService.TemperatureSensor) || cPlatformAccessory.addService(cService.TemperatureSensor, self.strName);
+         self.cHumidityService            = self.getOptionalService(cService.HumiditySensor, "humidity");
+         self.cBatteryService             = self.getOptionalService(cService.BatteryService, "battery");
+         self.cEveHistoryService          = new cFakeGatoHistoryService("weather", cPlatformAccessory, self.getHistoryOptions());
+         self.acAlarmServices             = self.getAlarmServices();
+         self.cDewPointService            = cPlatformAccessory.getServiceById(cService.TemperatureSensor, "dewpoint");
+         if ((self.bDewPointService) && (self.cDewPointService == undefined))
+            self.cDewPointService         = cPlatformAccessory.addService(cService.TemperatureSensor, `${self.strName} Dew Point`, "dewpoint");
+         else if ((!self.bDewPointService) && (self.cDewPointService != undefined))
+         {  // Switched off - remove it from the cached accessory
+            cPlatformAccessory.removeService(self.cDewPointService);
+            self.cDewPointService         = undefined;
+         }
+      }
+      self.initServices();
+      self.setProbeAccessory(cProbeAccessory);
+
+      // Register at the shared scanner
+      self.cScanCoordinator.register(self);
+      self.cHistoryReader           = new cInkbirdBtHistoryReader(self.Log.bind(self), self.cScanCoordinator, global.strStoragePath);
+      self.cDeviceConfig            = new cInkbirdBtDeviceConfig(self.Log.bind(self), self.cScanCoordinator);
+      self.cDeviceInfo              = new cInkbirdBtDeviceInfo(self.Log.bind(self), self.cScanCoordinator, global.strStoragePath);
+      if (self.strMAC != "")
+      {  // Show the device information of an earlier start
+         let dDeviceInfo = self.cDeviceInfo.getCached(self.strMAC);
+
+         if (dDeviceInfo != undefined)
+         {
+            self.bDeviceInfoDone = true;
+            self.applyDeviceInfo(dDeviceInfo);
+         }
+      }
+      if (self.strHistoryImport)
+         self.importHistoryFile(path.resolve(global.strStoragePath, self.strHistoryImport));
+      if ((self.bHistoryBackfill) && (self.strMAC == ""))
+         self.Log(ELOGLEVEL.WARNING, `History backfill needs the MAC address of the sensor`);
+      if ((self.isDeviceConfigNeeded()) && (self.strMAC == ""))
+         self.Log(ELOGLEVEL.WARNING, `Configuration of the sensor needs the MAC address of the sensor`);
+
+      // Start the autorefresh if configured
+      if (self.bContinuous)
+         self.Log(ELOGLEVEL.INFO, `Continuous mode, minimum update intervall ${self.iMinUpdateInt}s.`);
+      else if (self.iUpdateInt != undefined)
+      {  // If interval is set then 
+         // Set minimum to 5 seconds
+         self.iUpdateInt = Math.max(5,self.iUpdateInt);
+         self.Log(ELOGLEVEL.INFO, `Update Intervall ${self.iUpdateInt}s.`);
+      }
+      self.RunStatemachine(false, false, undefined);
+      self.Log(ELOGLEVEL.DEBUG, "End Initialization");
+   }
+
+   /**
+    * Function to set the model of the sensor (from config or detected) and the sensor to be shown
+    * 
+    * @param {string} strModel            Name of the model (key of DDMODELS, "" if not known yet)
+    * @returns {void}                     Nothing
+    */
+   setModel(strModel)
+   {
+      var self = this;
+
+      self.strModel                 = strModel;
+      self.dSensorCfg               = DDMODELS[self.strModel];
+      self.dCandidateCfg            = undefined;                                                      // Config of the fitting models while the model is ambiguous
+      self.bDualViewSensor          = ((self.dSensorCfg != undefined) && (self.dSensorCfg != 0) && (self.dSensorCfg.dualView));
+
+      self.strSensor                = (self.bDualViewSensor ? self.strCfgSensor : "auto");
+      if ((self.strSensor == "both") && (self.cProbeAccessory == undefined) && (self.cPlatformAccessory == undefined))
+      {  // The probe needs an own accessory for its Eve history
+         self.Log(ELOGLEVEL.WARNING, `Sensor "both" is only possible in the platform configuration. Showing the internal sensor only!`);
+         self.strSensor             = "internal";
+      }
+      self.Log(ELOGLEVEL.DEBUG, `Using sensor: ${self.strSensor}.`);
+      return;
+   }
+
+   /**
+    * Function to get the config of the model to decode the frames with (the fitting models while the model is ambiguous)
+    * 
+    * @returns {Object}                   Entry of DDMODELS (undefined if the model isn't known yet)
+    */
+   getSensorCfg()
+   {
+      var self = this;
+
+      return (self.dSensorCfg != undefined) ? self.dSensorCfg : self.dCandidateCfg;
+   }
+
+   /**
+    * Function to detect the model of the sensor from the advertisement (if not configured). Logs the detected
+    * model and updates the accessory information if it changes. An ambiguous result isn't taken, the detection
+    * waits for more evidence (model name reported by the sensor, external probe plugged in). Until then the
+    * frames are decoded like the fitting models do.
+    * 
+    * @param {Object} cPeripheral         Object with the data of the discovered peripheral
+    * @returns {void}                     Nothing
+    */
+   checkModel(cPeripheral)
+   {
+      var self = this;
+      var strModel;
+
+      if (!self.bAutoModel)
+         return;
+
+      strModel = detectModel(cPeripheral.advertisement, self.strReportedModel, self.strModel);
+      if ((strModel == STRAMBIGUOUS) && (self.dSensorCfg == undefined))
+      {  // Several models fit, decode like them until the model name reported by the sensor tells which one it is
+         self.dCandidateCfg = getCandidateCfg(cPeripheral.advertisement);
+         return;
+      }
+      if ((strModel == undefined) || (strModel == STRAMBIGUOUS) || (strModel == self.strModel))
+         return;
+
+      self.Log(ELOGLEVEL.INFO, `Model of sensor ${cPeripheral.address} detected: ${strModel}`);
+      self.afModelListeners.forEach(fListener => fListener(self, strModel));                         // i.e. the platform adds / removes the probe accessory
+      self.setModel(strModel);
+      if (self.cPlatformAccessory != undefined)
+      {  // Remember the model for the next start (the services are created before the first advertisement)
+         self.cPlatformAccessory.context.strDetectedModel = strModel;
+         self.cAPI.updatePlatformAccessories([self.cPlatformAccessory]);
+         if (getDecodeCfg(self.dSensorCfg).services.join() != self.astrServices.join())
+            self.Log(ELOGLEVEL.INFO, `The services of ${strModel} (${getDecodeCfg(self.dSensorCfg).services.join(", ")}) will be used after the next restart of homebridge`);
+      }
+      if (self.strReportedModel == undefined)
+      {  // Sensor didn't report its model name
+         self.cAccessoryInfo.updateCharacteristic(global.cCharacteristic.Model, strModel);
+         if (self.cProbeAccessory != undefined)
+            self.cProbeAccessoryInfo.updateCharacteristic(global.cCharacteristic.Model, strModel);
+      }
+      return;
+   }
+
+   /**
+    * Function to set the platform accessory of the external probe (sensor "both"). The platform adds it at start
+    * or when a dual view model is detected and removes it if the detected model isn't one.
+    * 
+    * @param {Object} cProbeAccessory     Platform accessory of the external probe (undefined to remove it)
+    * @returns {void}                     Nothing
+    */
+   setProbeAccessory(cProbeAccessory)
+   {
+      var self = this;
+
+      self.cProbeAccessory = cProbeAccessory;
+      if (cProbeAccessory == undefined)
+      {
+         self.cProbeAccessoryInfo         = undefined;
+         self.cProbeTemperatureService    = undefined;
+         self.cProbeEveHistoryService     = undefined;
+         return;
+      }
+
+      // External probe with own temperature service and Eve history, it's a part of the same sensor
+      self.cProbeAccessoryInfo            = cProbeAccessory.getService(cService.AccessoryInformation);
+      self.cProbeTemperatureService       = cProbeAccessory.getService(cService.TemperatureSensor) || cProbeAccessory.addService(cService.TemperatureSensor, cProbeAccessory.displayName);
+      self.cProbeEveHistoryService        = new cFakeGatoHistoryService("weather", cProbeAccessory, { storage: self.getHistoryOptions().storage });
+      [global.cCharacteristic.Manufacturer, global.cCharacteristic.SerialNumber, global.cCharacteristic.Model, global.cCharacteristic.FirmwareRevision]
+         .forEach(fCharacteristic => self.cProbeAccessoryInfo.setCharacteristic(fCharacteristic, self.cAccessoryInfo.getCharacteristic(fCharacteristic).value));
+      self.cProbeTemperatureService
+          .getCharacteristic(global.cCharacteristic.CurrentTemperature)
+          .setProps({minValue: -273.15, maxValue: 1000.0})
+          .onGet(() => self.readValue("probeTemperature"));
+      self.updateFault();
+      return;
+   }
+
+   /**
+    * Function to add a listener that is called when the model of the sensor is detected (auto-detection only)
+    * 
+    * @param {function} fListener         Listener (cSensor, strModel)
+    * @returns {void}                     Nothing
+    */
+   addModelListener(fListener)
+   {
+      var self = this;
+
+      self.afModelListeners.push(fListener);
+      return;
+   }
+
+   /**
+    * Function to get the services of the alarms on the platform accessory. Alarm services of a cached accessory
+    * that are not configured anymore (or with another service type) are removed.
+    * 
+    * @returns {Array}                    Services of the alarms (same order as acAlarms)
+    */
+   getAlarmServices()
+   {
+      var self = this;
+      var acAlarmServices = self.acAlarms.map((cAlarm, iIndex) =>
+         self.cPlatformAccessory.getServiceById(cAlarm.cServiceType, `alarm${iIndex}`) ||
+         self.cPlatformAccessory.addService(cAlarm.cServiceType, cAlarm.strName, `alarm${iIndex}`));
+
+      self.cPlatformAccessory.services
+         .filter(cFoundService => (/^alarm\d+$/.test(cFoundService.subtype || "")) && (!acAlarmServices.includes(cFoundService)))
+         .forEach(cFoundService => self.cPlatformAccessory.removeService(cFoundService));
+      return acAlarmServices;
+   }
+
+   /**
+    * Function to get a service of the platform accessory the model may not need. If the model needs it, it's
+    * added if not there yet, else it's removed (i.e. from a cached accessory).
+    * 
+    * @param {function} fService          Constructor of the service
+    * @param {string} strService          Name of the service in the services of the model
+    * @returns {Object}                   Service (undefined if not needed)
+    */
+   getOptionalService(fService, strService)
+   {
+      var self = this;
+      var cFoundService = self.cPlatformAccessory.getService(fService);
+
+      if (self.astrServices.includes(strService))
+         return cFoundService || self.cPlatformAccessory.addService(fService, self.strName);
+      if (cFoundService != undefined)
+         self.cPlatformAccessory.removeService(cFoundService);
+      return undefined;
+   }
+
+   /**
+    * Function to get the options for the Eve history. The history file can be set in the config to keep the
+    * history of an accessory configuration.
+    * 
+    * @returns {Object}                   Options for the fakegato history service
+    */
+   getHistoryOptions()
+   {
+      var self = this;
+      var dOptions = (self.dConfig.storage != 'googleDrive' ? { storage: 'fs' } : { storage: 'googleDrive', path: 'homebridge' });
+
+      if (self.dConfig.history_file)
+         dOptions.filename = self.dConfig.history_file;
+      return dOptions;
+   }
+
+   /**
+    * Function called by the scan coordinator if the state of the bluetooth hardware changes
+    * 
+    * @param {boolean} bHWReady           true if hardware is ready
+    * @returns {void}                     Nothing
+    */
+   onStateChange(bHWReady)
+   {
+      var self = this;
+
+      self.bHWReady = bHWReady;
+      return;
+   }
+
+   /**
+    * Function called by the scan coordinator if an advertisement for this sensor was received
+    * 
+    * @param {Object} cPeripheral         Object with the data of the discovered peripheral
+    * @returns {void}                     Nothing
+    */
+   onDiscover(cPeripheral)
+   {
+      var self = this;
+
+      self.RunStatemachine(false, true, cPeripheral);
+      return;
+   }
+
+   /**
+    * Function to get a value of the sensor for Apple Home (onGet handler of the characteristics).
+    * A reading younger than the maximum age is answered immediately, else the read waits for the next
+    * reading. All reads waiting at the same time are answered by the same scan.
+    * 
+    * @param {string} strValue            Name of the value (key of dWaiters)
+    * @returns {Promise}                  Resolves with the value, rejects with a HapStatusError if no value is available
+    *                                     (at the latest after IREADTIMEOUT)
+    */
+   readValue(strValue)
+   {
+      var self = this;
+      self.Log(ELOGLEVEL.DEBUG, `Start getting ${strValue}`);
+
+      if ((self.iReadingTime != undefined) && (Date.now() - self.iReadingTime < self.iMaxAge * 1000))
+      {  // Cached reading is young enough
+         try
+         {
+            return Promise.resolve(self.getAnswer(strValue));
+         }
+         catch (cError)
+         {
+            return Promise.reject(cError);
+         }
+      }
+
+      // Store the waiter and run statemachine
+      return new Promise((fResolve, fReject) =>
+      {
+         self.addWaiter(strValue, fResolve, fReject);
+         self.bQueryStarted = true;
+         self.RunStatemachine(false, false, undefined);
+      });
+   }
+
+   /**
+    * Function to store a read waiting for the next reading. If it's not answered within IREADTIMEOUT, it's removed
+    * and rejected with a HapStatusError (Apple Home shows "No Response"). A scan can take longer, it goes on and
+    * sends its values to Apple Home with updateValues.
+    * 
+    * @param {string} strValue            Name of the value (key of dWaiters)
+    * @param {function} fResolve          Function to answer the read with the value
+    * @param {function} fReject           Function to reject the read with an error
+    * @returns {void}                     Nothing
+    */
+   addWaiter(strValue, fResolve, fReject)
+   {
+      var self = this;
+      var dWaiter = {};
+
+      dWaiter.iTimeoutId = setTimeout(() =>
+      {
+         self.dWaiters[strValue] = self.dWaiters[strValue].filter(dOther => dOther !== dWaiter);
+         self.Log(ELOGLEVEL.INFO, `No ${strValue} value within ${IREADTIMEOUT}s - answered as "No Response", values sent when available`);
+         fReject(new global.cHapStatusError(global.dHAPStatus.SERVICE_COMMUNICATION_FAILURE));
+      }, IREADTIMEOUT * 1000);
+      dWaiter.fResolve = (xValue =>
+      {
+         clearTimeout(dWaiter.iTimeoutId);
+         fResolve(xValue);
+      });
+      dWaiter.fReject  = (cError =>
+      {
+         clearTimeout(dWaiter.iTimeoutId);
+         fReject(cError);
+      });
+      self.dWaiters[strValue].push(dWaiter);
+      return;
+   }
+
+   /**
+    * Function to get the actual value for an answer to Apple Home
+    * 
+    * @param {string} strValue            Name of the value (key of dWaiters)
+    * @returns {*}                        The value, throws a HapStatusError if no value is available
+    */
+   getAnswer(strValue)
+   {
+      var self = this;
+      var xValue;
+      var strMessage;
+
+      switch (strValue)
+      {
+         case "temperature":
+            xValue     = self.fTemperature;
+            strMessage = `Sending temperature ${xValue}°C`;
+            break;
+         case "humidity":
+            xValue     = self.fIntHumidity;
+            strMessage = `Sending relative humidity ${xValue}%`;
+            break;
+         case "externalSensor":
+            xValue     = self.bExternalSensor;
+            strMessage = xValue ? `Sending external sensor` : `Sending internal sensor`;
+            break;
+         case "probeTemperature":
+            xValue     = self.fExtTemperature;
+            strMessage = `Sending temperature of external probe ${xValue}°C`;
+            if ((xValue == undefined) && (self.iReadingTime != undefined))
+            {  // Sensor found, but the probe is not plugged in
+               self.Log(ELOGLEVEL.INFO, `External probe not connected`);
+               throw new global.cHapStatusError(global.dHAPStatus.SERVICE_COMMUNICATION_FAILURE);
+            }
+            break;
+         case "batteryLevel":
+            xValue     = self.fBatteryLevel;
+            strMessage = `Sending battery level ${xValue}%`;
+            break;
+         case "lowBattery":
+            xValue     = self.cBattery.isLow();
+            strMessage = xValue ? `Sending battery low` : `Sending battery ok`;
+            break;
+         case "dewPoint":
+            xValue     = self.fDewPoint;
+            strMessage = `Sending dew point ${xValue}°C`;
+            break;
+         case "absoluteHumidity":
+            xValue     = self.fAbsoluteHumidity;
+            strMessage = `Sending absolute humidity ${xValue}g/m³`;
+            break;
+         case "heatIndex":
+            xValue     = self.fHeatIndex;
+            strMessage = `Sending heat index ${xValue}°C`;
+            break;
+         case "vpd":
+            xValue     = self.fVPD;
+            strMessage = `Sending vapour-pressure deficit ${xValue}kPa`;
+            break;
+         case "condensationRisk":
+            xValue     = self.bCondensationRisk;
+            strMessage = xValue ? `Sending condensation risk` : `Sending no condensation risk`;
+            break;
+      }
+
+      if ((xValue == undefined) || (self.bFault))
+      {  // No reading (sensor not found) or last reading older than the grace period - Apple Home shows "No Response"
+         self.Log(ELOGLEVEL.WARNING, `No ${strValue} value available`);
+         throw new global.cHapStatusError(global.dHAPStatus.SERVICE_COMMUNICATION_FAILURE);
+      }
+      self.Log(ELOGLEVEL.INFO, strMessage);
+      return xValue;
+   }
+
+   /**
+    * Function to set the log level
+    * 
+    * @param {number} iLogLevel           New log level to be set
+    * @returns {void}                     Nothing
+    */
+   setLogLevel(iLogLevel)
+   {
+      var self = this;
+      if (iLogLevel < ELOGLEVEL.MIN)
+      {  // Log level to low
+         self.Log(ELOGLEVEL.WARNING, `Log level ${iLogLevel} too low. Setting to ${ELOGLEVEL.MIN} (${STRLOGLEVEL[ELOGLEVEL.MIN]}).`)
+         self.iLogLevel = ELOGLEVEL.MIN;
+      }
+      else if (iLogLevel > ELOGLEVEL.MAX)
+      {  // Log level to high
+         self.Log(ELOGLEVEL.WARNING, `Log level ${iLogLevel} too high. Setting to ${ELOGLEVEL.MAX} (${STRLOGLEVEL[ELOGLEVEL.MAX]}).`)
+         self.iLogLevel = ELOGLEVEL.MAX;
+      }
+      else
+      {  // Ok. Always print log
+         self.cLog(`Setting log level to ${STRLOGLEVEL[iLogLevel]}.`);
+         self.iLogLevel = iLogLevel;
+      }
+      if (self.bRuntimeSettings)
+         self.cSettings.set(self.strMAC, "loglevel", self.iLogLevel);
+      return;
+   }
+
+   /**
+    * Function to change a setting in HomeKit. It's stored and overrides the config file until it's reset.
+    * 
+    * @param {string} strOption           Name of the config option (offset_int_temperature, ..., update_interval)
+    * @param {number} iValue              New value (in the units of the config)
+    * @returns {void}                     Nothing
+    */
+   setSetting(strOption, iValue)
+   {
+      var self = this;
+      var dSettings = {};
+
+      dSettings[strOption] = iValue;
+      self.applySettings(dSettings);
+      self.cSettings.set(self.strMAC, strOption, iValue);
+      self.Log(ELOGLEVEL.INFO, `Setting ${strOption} changed to ${iValue} (stored, overrides the config until reset)`);
+      return;
+   }
+
+   /**
+    * Function to reset the settings changed in HomeKit to the values of the config file
+    * 
+    * @returns {void}                     Nothing
+    */
+   resetSettings()
+   {
+      var self = this;
+
+      self.cSettings.reset(self.strMAC);
+      self.applySettings(
+      {
+         loglevel                : self.dConfig.loglevel || ELOGLEVEL.INFO,
+         update_interval         : self.dConfig.update_interval || 0,
+         offset_int_temperature  : self.dConfig.offset_int_temperature || 0.0,
+         offset_ext_temperature  : self.dConfig.offset_ext_temperature || 0.0,
+         offset_int_humidity     : self.dConfig.offset_int_humidity    || 0.0
+      });
+      self.Log(ELOGLEVEL.INFO, `Settings reset to the config`);
+
+      self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.LogLevel, self.iLogLevel);
+      self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.OffsetIntTemperature, self.fOffsetIntTemperature/100);
+      self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.OffsetExtTemperature, self.fOffsetExtTemperature/100);
+      if (self.cHumidityService != undefined)
+         self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.OffsetIntHumidity, self.fOffsetIntHumidity/100);
+      self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.UpdateInterval, self.iUpdateInt || 0);
+      // Switch off again after HAP has stored the value written
+      setImmediate(() => self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.ResetSettings, false));
+      return;
+   }
+
+   /**
+    * Function to apply settings (stored or changed in HomeKit). The offsets are used with the next reading,
+    * a new update interval right away.
+    * 
+    * @param {Object} dSettings           Settings by config option name
+    * @returns {void}                     Nothing
+    */
+   applySettings(dSettings)
+   {
+      var self = this;
+
+      if (dSettings.loglevel != undefined)
+         self.iLogLevel = dSettings.loglevel;
+      if (dSettings.offset_int_temperature != undefined)
+         self.fOffsetIntTemperature = dSettings.offset_int_temperature;
+      if (dSettings.offset_ext_temperature != undefined)
+         self.fOffsetExtTemperature = dSettings.offset_ext_temperature;
+      if (dSettings.offset_int_humidity != undefined)
+         self.fOffsetIntHumidity = dSettings.offset_int_humidity;
+      if (dSettings.update_interval != undefined)
+      {  // 0 switches the cyclic update off, minimum 5 seconds
+         self.iUpdateInt = (dSettings.update_interval > 0) ? Math.max(5, dSettings.update_interval) : undefined;
+         if (self.eState == ESTATES.READY4ANSWER)
+            self.RunStatemachine(true, false, undefined);                                             // Restart the update with the new interval
+      }
+      return;
+   }
+
+   /**
+    * Function to set the recording interval of the sensor (written over GATT in the background)
+    * 
+    * @param {number} iInterval           New recording interval in s
+    * @returns {void}                     Nothing
+    */
+   setRecordingInterval(iInterval)
+   {
+      var self = this;
+
+      self.cDeviceConfig.setInterval(self.strMAC, iInterval)
+         .then(iReadBack =>
+         {
+            self.Log(ELOGLEVEL.INFO, `Recording interval of sensor set to ${iReadBack}s`);
+            self.iRecordingInterval = iReadBack;
+         })
+         .catch(cError => self.Log(ELOGLEVEL.ERROR, `Setting recording interval of sensor failed: ${cError.message}`))
+         .finally(() => self.updateDeviceSettings());
+      return;
+   }
+
+   /**
+    * Function to run, stop or clear the recorder of the sensor (written over GATT in the background)
+    * 
+    * @param {string} strCommand          "run", "stop" or "clear"
+    * @returns {void}                     Nothing
+    */
+   setRecorder(strCommand)
+   {
+      var self = this;
+
+      self.cDeviceConfig.setRecorder(self.strMAC, strCommand)
+         .then(bRunning =>
+         {
+            self.Log(ELOGLEVEL.INFO, `Recorder of sensor: ${strCommand} done, recorder ${bRunning ? `running` : `stopped`}`);
+            self.bRecorderRunning = bRunning;
+         })
+         .catch(cError => self.Log(ELOGLEVEL.ERROR, `Recorder of sensor: ${strCommand} failed: ${cError.message}`))
+         .finally(() => self.updateDeviceSettings());
+      return;
+   }
+
+   /**
+    * Function to update the characteristics of the sensor config with the values read from the sensor
+    * 
+    * @returns {void}                     Nothing
+    */
+   updateDeviceSettings()
+   {
+      var self = this;
+
+      if (!self.bDeviceSettings)
+         return;
+      if (self.iRecordingInterval != undefined)
+         self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.RecordingInterval, self.iRecordingInterval);
+      if (self.bRecorderRunning != undefined)
+         self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.RecorderRunning, self.bRecorderRunning);
+      self.cSettingsService.updateCharacteristic(self.dcCustomCharacteristic.ClearRecorder, false);
+      return;
+   }
+
+   /**
+    * Function to get a custom characteristic of a service. If the service doesn't have it yet (new or cached
+    * accessory without it), then it will be added.
+    * 
+    * @param {Object} cServiceToUse       Service the characteristic belongs to
+    * @param {function} fCharacteristic   Constructor of the custom characteristic
+    * @returns {Object}                   The characteristic
+    */
+   getCustomCharacteristic(cServiceToUse, fCharacteristic)
+   {
+      if (cServiceToUse.testCharacteristic(fCharacteristic))
+         return cServiceToUse.getCharacteristic(fCharacteristic);
+      return cServiceToUse.addCharacteristic(fCharacteristic);
+   }
+
+   /**
+    * Function to remove a custom characteristic from a service (i.e. a cached accessory, if the feature was switched off)
+    * 
+    * @param {Object} cServiceToUse       Service the characteristic belongs to
+    * @param {function} fCharacteristic   Constructor of the custom characteristic
+    * @returns {void}                     Nothing
+    */
+   removeCustomCharacteristic(cServiceToUse, fCharacteristic)
+   {
+      if (cServiceToUse.testCharacteristic(fCharacteristic))
+         cServiceToUse.removeCharacteristic(cServiceToUse.getCharacteristic(fCharacteristic));
+      return;
+   }
+
+   /**
+    * Function to initialize the characteristics of the services and set the handlers
+    * 
+    * @returns {void}                     Nothing
+    */
+   initServices()
+   {
+      var self = this;
+      self.Log(ELOGLEVEL.DEBUG, "Initializing services");
+
+      //-----------------------------------------------------------
+      // Accessory Info service
+      //------------------------
+      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Manufacturer     , "INKBIRD");
+      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.SerialNumber     , self.strMAC);
+      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Identify         , false);
+      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Name             , self.strName);
+      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.Model            , self.strModel || "IBS-TH");
+      self.cAccessoryInfo.setCharacteristic(global.cCharacteristic.FirmwareRevision , global.strFWVersion);
+
+      //-----------------------------------------------------------
+      // Temperature service
+      //------------------------
+      self.cTemperatureService
+          .getCharacteristic(global.cCharacteristic.CurrentTemperature)
+          .setProps({minValue: -273.15, maxValue: 1000.0})
+          .onGet(() => self.readValue("temperature"));
+      self.getCustomCharacteristic(self.cTemperatureService, self.dcCustomCharacteristic.ExternalSensor)
+          .onGet(() => self.readValue("externalSensor"));
+      self.getCustomCharacteristic(self.cTemperatureService, self.dcCustomCharacteristic.SignalStrength)
+          .onGet(() => (self.iRSSI != undefined) ? self.iRSSI : IMINRSSI);
+      self.getCustomCharacteristic(self.cTemperatureService, self.dcCustomCharacteristic.ReceptionRate)
+          .onGet(() => self.cLinkQuality.getReceptionRate() || 0);
+
+      //-----------------------------------------------------------
+      // Humidity service
+      //------------------------
+      if (self.cHumidityService != undefined)
+         self.cHumidityService
+             .getCharacteristic(global.cCharacteristic.CurrentRelativeHumidity)
+             .onGet(() => self.readValue("humidity"));
+
+      //-----------------------------------------------------------
+      // Settings (on the humidity service, temperature service for the temperature only models)
+      //------------------------
+      self.cSettingsService = self.cHumidityService || self.cTemperatureService;
+      self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.LogLevel)
+          .onGet(() => self.iLogLevel)
+          .onSet(async iLogLevel => self.setLogLevel(iLogLevel));
+      if (self.bDeviceSettings)
+      {  // Config of the sensor
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.RecordingInterval)
+             .onSet(async iInterval => self.setRecordingInterval(iInterval));
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.RecorderRunning)
+             .onSet(async bRunning => self.setRecorder(bRunning ? "run" : "stop"));
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.ClearRecorder)
+             .onSet(async bClear => bClear ? self.setRecorder("clear") : undefined);
+      }
+      else
+      {
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.RecordingInterval);
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.RecorderRunning);
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.ClearRecorder);
+      }
+      if (self.bRuntimeSettings)
+      {  // Offsets and update interval (in °C / % / s, stored like the config in 0,01°C / 0,01%)
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.OffsetIntTemperature)
+             .onGet(() => self.fOffsetIntTemperature/100)
+             .onSet(async fValue => self.setSetting("offset_int_temperature", Math.round(fValue * 100)));
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.OffsetExtTemperature)
+             .onGet(() => self.fOffsetExtTemperature/100)
+             .onSet(async fValue => self.setSetting("offset_ext_temperature", Math.round(fValue * 100)));
+         if (self.cHumidityService != undefined)
+            self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.OffsetIntHumidity)
+                .onGet(() => self.fOffsetIntHumidity/100)
+                .onSet(async fValue => self.setSetting("offset_int_humidity", Math.round(fValue * 100)));
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.UpdateInterval)
+             .onGet(() => self.iUpdateInt || 0)
+             .onSet(async iValue => self.setSetting("update_interval", iValue));
+         self.getCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.ResetSettings)
+             .onSet(async bReset => bReset ? self.resetSettings() : undefined);
+      }
+      else
+      {
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.OffsetIntTemperature);
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.OffsetExtTemperature);
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.OffsetIntHumidity);
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.UpdateInterval);
+         self.removeCustomCharacteristic(self.cSettingsService, self.dcCustomCharacteristic.ResetSettings);
+      }
+
+      //-----------------------------------------------------------
+      // Battery service
+      //------------------------
+      if (self.cBatteryService != undefined)
+      {
+         self.cBatteryService
+             .getCharacteristic(global.cCharacteristic.BatteryLevel)
+             .onGet(() => self.readValue("batteryLevel"));
+         self.cBatteryService
+             .getCharacteristic(global.cCharacteristic.ChargingState)
+             .onGet(() => global.cCharacteristic.ChargingState.NOT_CHARGEABLE);
+         self.cBatteryService
+             .getCharacteristic(global.cCharacteristic.StatusLowBattery)
+             .onGet(() => self.readValue("lowBattery"));
+         self.getCustomCharacteristic(self.cBatteryService, self.dcCustomCharacteristic.BatteryDaysRemaining)
+             .onGet(() => self.getBatteryDays());
+      }
+
+      //-----------------------------------------------------------
+      // Climate values (on the humidity service) and dew point service
+      //------------------------
+      if (self.cHumidityService != undefined)
+         self.adClimateCharacteristics.forEach(dClimate =>
+         {
+            if (self.astrClimate.includes(dClimate.strClimate))
+               self.getCustomCharacteristic(self.cHumidityService, dClimate.fCharacteristic)
+                   .onGet(() => self.readValue(dClimate.strValue));
+            else
+               self.removeCustomCharacteristic(self.cHumidityService, dClimate.fCharacteristic);
+         });
+      if (self.cDewPointService != undefined)
+         self.cDewPointService
+             .getCharacteristic(global.cCharacteristic.CurrentTemperature)
+             .setProps({minValue: -273.15, maxValue: 1000.0})
+             .onGet(() => self.readValue("dewPoint"));
+
+      //-----------------------------------------------------------
+      // Alarm services
+      //------------------------
+      self.acAlarms.forEach((cAlarm, iIndex) =>
+      {
+         if ((cAlarm.strValue == "humidity") && (self.cHumidityService == undefined))
+            self.Log(ELOGLEVEL.WARNING, `Alarm ${cAlarm.strName}: the sensor has no humidity`);
+         self.acAlarmServices[iIndex]
+             .getCharacteristic(cAlarm.cCharacteristicType)
+             .onGet(() => cAlarm.getState());
+      });
+
+      //-----------------------------------------------------------
+      // Status of the sensor services (no fault until the grace period is over)
+      //------------------------
+      self.updateFault();
+
+      //-----------------------------------------------------------
+      // Eve history service
+      //------------------------
+      // Nothing to do
+
+      return;
+   }
+
+   /**
+    * Function called by homebridge to get the services of the accessory (only in accessory configuration)
+    * 
+    * @returns {Object}                   A list of the available services
+    */
+   getServices()
+   {
+      var self = this;
+      self.Log(ELOGLEVEL.DEBUG, "Getting available services");
+
+      return [self.cAccessoryInfo, self.cTemperatureService, self.cHumidityService, self.cBatteryService, self.cEveHistoryService]
+         .concat([self.cDewPointService], self.acAlarmServices).filter(cService => cService != undefined);
+   }
+
+   /**
+    * Function log a message to the homebridge log if it is important enough
+    * 
+    * @param {*} iLevel                   Maximum log level that will be logged
+    * @param {*} strMessage               Message
+    * @returns {void}                     Nothing
+    */
+   Log(iLevel, strMessage)
+   {
+      var self = this;
+
+      if (iLevel <= self.iLogLevel)
+         self.cLog(`${STRLOGLEVEL[iLevel]} - ${strMessage}`);
+      return;
+   }
+
+   /**
+    * Function parses the status and stores the values. Without valid status the last values are kept and the
+    * miss / decode failure is counted.
+    * 
+    * @returns {boolean}                  true if the status was valid
+    */
+   parseStatus()
+   {
+      var self = this;
+      var dSensorCfg = self.getSensorCfg();
+      var dDecodeCfg = getDecodeCfg(dSensorCfg);
+      var dValues;
+
+      // Check if value is present, else keep the last values for the grace period
+      if (self.cRawStatus == undefined)
+      {
+         self.iMisses++;
+         return false;
+      }
+
+      // Decode with the decoder of the model (CRC only checked for known models)
+      try
+      {
+         dValues = dDecodeCfg.decode(self.cRawStatus, dDecodeCfg, (dSensorCfg != 0));
+      }
+      catch (cError)
+      {
+         self.iDecodeFailures++;
+         if (cError.code == "ECRC")
+            self.iCRCErrors++;
+         self.Log(ELOGLEVEL.WARNING, `${cError.message}. Ignoring data!!`)
+         return false;
+      }
+      if (!self.filterValues(dValues))
+      {
+         self.iDecodeFailures++;
+         return false;
+      }
+      self.iMisses               = 0;
+      self.iDecodeFailures       = 0;
+      self.checkProbe(dValues.bExternalSensor);
+
+      self.fIntTemperature       = undefined;
+      self.fExtTemperature       = undefined;
+      self.fTemperature          = undefined;
+      self.fIntHumidity          = undefined;
+      self.bExternalSensor       = undefined;
+      self.fBatteryLevel         = undefined;
+
+      self.bExternalSensor    = dValues.bExternalSensor;
+      self.fBatteryLevel      = (dValues.iBatteryLevel != undefined) ? self.cBattery.update(dValues.iBatteryLevel) : undefined;
+      self.Log(ELOGLEVEL.DEBUG, `raw internal temperature ${(dValues.iIntTemperature != undefined) ? dValues.iIntTemperature/100 : undefined}°C, ` +
+                                `raw external temperature ${(dValues.iExtTemperature != undefined) ? dValues.iExtTemperature/100 : undefined}°C, ` +
+                                `raw internal relative humidity ${(dValues.iIntHumidity != undefined) ? dValues.iIntHumidity/100 : undefined}%`);
+      if (dValues.iIntHumidity != undefined)
+      {
+         self.fIntHumidity    = self.calibrate("int_humidity", dValues.iIntHumidity);
+         if (self.fIntHumidity < 0.0)     self.fIntHumidity = 0.0;
+         if (self.fIntHumidity > 100.0)   self.fIntHumidity = 100.0;
+      }
+      if (dValues.iIntTemperature != undefined)
+      {
+         self.fIntTemperature = self.calibrate("int_temperature", dValues.iIntTemperature);
+         if (self.fIntTemperature < -273.15) self.fIntTemperature = -273.15;
+      }
+      if (dValues.iExtTemperature != undefined)
+      {
+         self.fExtTemperature = self.calibrate("ext_temperature", dValues.iExtTemperature);
+         if (self.fExtTemperature < -273.15) self.fExtTemperature = -273.15;
+      }
+      self.Log(ELOGLEVEL.DEBUG, `${dValues.strInfo}, internal temperature ${self.fIntTemperature}°C, external temperature ${self.fExtTemperature}°C, internal relative humidity ${self.fIntHumidity}%, ${self.bExternalSensor ? `external` : `internal`} sensor`);
+
+      if (self.strSensor == "auto")
+         self.fTemperature = self.bExternalSensor ? self.fExtTemperature : self.fIntTemperature;
+      else if (self.strSensor == "both")
+      {  // External probe has an own accessory
+         self.fTemperature = self.fIntTemperature;
+         if ((self.fExtTemperature != undefined) && (self.cProbeEveHistoryService != undefined))
+            self.cProbeEveHistoryService.addEntry({ time: moment().unix(), temp: self.fExtTemperature, humidity: 0.0, pressure: 0.0});
+      }
+      else {
+         if  (self.strSensor == "internal")
+         {
+            self.bExternalSensor = false;
+            self.fTemperature    = self.fIntTemperature;
+         }
+         else {
+            self.bExternalSensor = true;
+            self.fTemperature    = self.fExtTemperature;
+         }
+      }
+      // Store values in for Eve history function (not without temperature, i.e. probe unplugged)
+      if (self.fTemperature != undefined)
+         self.cEveHistoryService.addEntry({ time: moment().unix(), temp: self.fTemperature, humidity: (self.fIntHumidity != undefined) ? self.fIntHumidity : 0.0, pressure: 0.0});
+      self.Log(ELOGLEVEL.DEBUG, `raw battery level ${dValues.iBatteryLevel}%, battery level ${self.fBatteryLevel}%, battery ${self.cBattery.isLow() ? `low` : `ok`}`);
+      self.calculateClimate();
+      self.checkAlarms();
+      self.iReadingTime = Date.now();
+      self.afReadingListeners.forEach(fListener => fListener(self, self.getReading()));
+      return true;
+   }
+
+   /**
+    * Function to finish an interval of the link quality (a scan or a check for missing frames) and update HomeKit
+    * 
+    * @param {number} iSeconds            Length of the interval in s (undefined for a scan)
+    * @returns {void}                     Nothing
+    */
+   endLinkInterval(iSeconds)
+   {
+      var self = this;
+
+      self.cLinkQuality.endInterval(iSeconds);
+      self.cTemperatureService.updateCharacteristic(self.dcCustomCharacteristic.ReceptionRate, self.cLinkQuality.getReceptionRate());
+      return;
+   }
+
+   /**
+    * Function to get the estimated remaining days of the battery for HomeKit
+    * 
+    * @returns {number}                   Remaining days (IMAXBATTERYDAYS if no estimation is possible yet)
+    */
+   getBatteryDays()
+   {
+      var self = this;
+      var iDays = self.cBattery.getDaysRemaining();
+
+      return (iDays != undefined) ? Math.min(iDays, IMAXBATTERYDAYS) : IMAXBATTERYDAYS;
+   }
+
+   /**
+    * Function to add a listener that is called with every valid reading (i.e. the MQTT publisher)
+    * 
+    * @param {function} fListener         Listener (cSensor, dReading)
+    * @returns {void}                     Nothing
+    */
+   addReadingListener(fListener)
+   {
+      var self = this;
+
+      self.afReadingListeners.push(fListener);
+      return;
+   }
+
+   /**
+    * Function to remove a listener added with addReadingListener
+    * 
+    * @param {function} fListener         Listener to be removed
+    * @returns {void}                     Nothing
+    */
+   removeReadingListener(fListener)
+   {
+      var self = this;
+
+      self.afReadingListeners = self.afReadingListeners.filter(fOther => fOther !== fListener);
+      return;
+   }
+
+   /**
+    * Function to get the last reading for other systems (values rounded to 0.01, null if not available)
+    * 
+    * @returns {Object}                   Reading {temperature, int_temperature, ext_temperature, humidity, battery,
+    *                                     external_sensor, rssi, reception_rate, time}
+    */
+   getReading()
+   {
+      var self = this;
+      var fRound = (fValue => (fValue != undefined) ? Math.round(fValue * 100) / 100 : null);
+
+      return {
+         temperature       : fRound(self.fTemperature),
+         int_temperature   : fRound(self.fIntTemperature),
+         ext_temperature   : fRound(self.fExtTemperature),
+         humidity          : fRound(self.fIntHumidity),
+         battery           : fRound(self.fBatteryLevel),
+         external_sensor   : (self.bExternalSensor != undefined) ? self.bExternalSensor : null,
+         rssi              : (self.iRSSI != undefined) ? self.iRSSI : null,
+         reception_rate    : (self.cLinkQuality.getReceptionRate() != undefined) ? self.cLinkQuality.getReceptionRate() : null,
+         time              : (self.iReadingTime != undefined) ? new Date(self.iReadingTime).toISOString() : null
+      };
+   }
+
+   /**
+    * Function to read the sensor now, regardless of max_age. Cyclic mode: a scan is started (or the running one is
+    * taken). Continuous mode: the next valid frame is taken, regardless of min_update_interval. The last values are
+    * never used.
+    * 
+    * @returns {Promise}                  Resolves with the new reading (see getReading), rejects with a HapStatusError
+    *                                     if there's no new reading within IREFRESHTIMEOUT
+    */
+   refresh()
+   {
+      var self = this;
+
+      return new Promise((fResolve, fReject) =>
+      {
+         var fListener;
+         var iTimeoutId = setTimeout(() =>
+         {
+            self.removeReadingListener(fListener);
+            self.Log(ELOGLEVEL.INFO, `Refresh: no valid values within ${IREFRESHTIMEOUT}s`);
+            fReject(new global.cHapStatusError(global.dHAPStatus.SERVICE_COMMUNICATION_FAILURE));
+         }, IREFRESHTIMEOUT * 1000);
+
+         fListener = ((cSensor, dReading) =>
+         {
+            clearTimeout(iTimeoutId);
+            self.removeReadingListener(fListener);
+            fResolve(dReading);
+         });
+         self.addReadingListener(fListener);
+         self.bRefreshStarted = self.bContinuous;
+         self.bQueryStarted   = true;
+         self.RunStatemachine(false, false, undefined);
+      });
+   }
+
+   /**
+    * Function to get the entries of the Eve history in a time range
+    * 
+    * @param {number} iFrom               Start of the range (unix)
+    * @param {number} iTo                 End of the range (unix)
+    * @param {boolean} bProbe             true for the history of the external probe accessory (sensor "both")
+    * @returns {Array}                    Entries [{time, temp, humidity}], undefined if there's no such history
+    */
+   getHistory(iFrom, iTo, bProbe)
+   {
+      var self = this;
+      var cHistoryService = bProbe ? self.cProbeEveHistoryService : self.cEveHistoryService;
+
+      if (cHistoryService == undefined)
+         return undefined;
+      return cInkbirdBtHistoryReader.getEntries(cHistoryService, iFrom, iTo);
+   }
+
+   /**
+    * Function to add entries to the Eve history. Only entries newer than the last entry of the history are added,
+    * so importing the same entries again does nothing.
+    * 
+    * @param {Array} adEntries            Entries [{time, temp, humidity}] sorted by time
+    * @param {boolean} bProbe             true for the history of the external probe accessory (sensor "both")
+    * @returns {Promise}                  Resolves with the number of entries added
+    */
+   importHistory(adEntries, bProbe)
+   {
+      var self = this;
+      var cHistoryService = bProbe ? self.cProbeEveHistoryService : self.cEveHistoryService;
+
+      if (cHistoryService == undefined)
+         return Promise.reject(new Error(`No history of an external probe`));
+      return self.cHistoryReader.addToHistory(cHistoryService, adEntries);
+   }
+
+   /**
+    * Function to import a CSV file into the Eve history (see InkbirdBtHistoryExport.js)
+    * 
+    * @param {string} strFile             CSV file
+    * @returns {void}                     Nothing (result is logged)
+    */
+   importHistoryFile(strFile)
+   {
+      var self = this;
+      var adEntries;
+
+      try
+      {
+         adEntries = cInkbirdBtHistoryExport.parseCSV(fs.readFileSync(strFile, 'utf8'));
+      }
+      catch (cError)
+      {
+         self.Log(ELOGLEVEL.ERROR, `History import from ${strFile} failed: ${cError.message}`);
+         return;
+      }
+      self.importHistory(adEntries, false)
+         .then(iAdded => self.Log(ELOGLEVEL.INFO, `History imported from ${strFile}, ${iAdded} of ${adEntries.length} entries added to Eve history`))
+         .catch(cError => self.Log(ELOGLEVEL.ERROR, `History import from ${strFile} failed: ${cError.message}`));
+      return;
+   }
+
+   /**
+    * Function to get the counters since start (i.e. for the metrics)
+    * 
+    * @returns {Object}                   Counters {scans_started, scan_timeouts, crc_errors, plausibility_failures,
+    *                                     rejected_frames}
+    */
+   getCounters()
+   {
+      var self = this;
+
+      return {
+         scans_started           : self.iScansStarted,
+         scan_timeouts           : self.iScanTimeouts,
+         crc_errors              : self.iCRCErrors,
+         plausibility_failures   : self.iPlausibilityFailures,
+         rejected_frames         : self.iRejectedFrames
+      };
+   }
+
+   /**
+    * Function to calculate the climate values from the internal temperature and humidity (the temperature
+    * where the humidity is measured)
+    * 
+    * @returns {void}                     Nothing
+    */
+   calculateClimate()
+   {
+      var self = this;
+
+      self.fDewPoint          = undefined;
+      self.fAbsoluteHumidity  = undefined;
+      self.fHeatIndex         = undefined;
+      self.fVPD               = undefined;
+      self.bCondensationRisk  = undefined;
+      if ((self.fIntTemperature == undefined) || (self.fIntHumidity == undefined))
+         return;
+
+      self.fDewPoint          = dewPoint(self.fIntTemperature, self.fIntHumidity);
+      self.fAbsoluteHumidity  = absoluteHumidity(self.fIntTemperature, self.fIntHumidity);
+      self.fHeatIndex         = heatIndex(self.fIntTemperature, self.fIntHumidity);
+      self.fVPD               = vapourPressureDeficit(self.fIntTemperature, self.fIntHumidity);
+      self.bCondensationRisk  = (self.fIntTemperature + self.fSurfaceOffset < self.fDewPoint);
+      self.Log(ELOGLEVEL.DEBUG, `dew point ${self.fDewPoint.toFixed(1)}°C, absolute humidity ${self.fAbsoluteHumidity.toFixed(2)}g/m³, ` +
+                                `heat index ${self.fHeatIndex.toFixed(1)}°C, VPD ${self.fVPD.toFixed(2)}kPa, condensation risk ${self.bCondensationRisk}`);
+      return;
+   }
+
+   /**
+    * Function to check the new values against the limits of the alarms and update the alarm services
+    * 
+    * @returns {void}                     Nothing
+    */
+   checkAlarms()
+   {
+      var self = this;
+
+      self.acAlarms.forEach((cAlarm, iIndex) =>
+      {
+         if (cAlarm.check((cAlarm.strValue == "humidity") ? self.fIntHumidity : self.fTemperature))
+            self.acAlarmServices[iIndex].updateCharacteristic(cAlarm.cCharacteristicType, cAlarm.getState());
+      });
+      return;
+   }
+
+   /**
+    * Function to pass the decoded values through the filter stage. If one value is rejected the whole frame is
+    * rejected, otherwise the values are replaced by the smoothed values.
+    * 
+    * @param {Object} dValues             Decoded values (values in 0,01°C / 0,01%)
+    * @returns {boolean}                  true if the values were accepted
+    */
+   filterValues(dValues)
+   {
+      var self = this;
+      var dKeys = { int_temperature: "iIntTemperature", ext_temperature: "iExtTemperature", int_humidity: "iIntHumidity" };
+      var astrReasons = [];
+
+      Object.keys(dKeys).forEach(strValue =>
+      {
+         let strReason;
+
+         if (dValues[dKeys[strValue]] == undefined)
+            return;
+         strReason = self.dcFilters[strValue].check(dValues[dKeys[strValue]]/100);
+         if (strReason != undefined)
+            astrReasons.push(`${strValue} ${strReason}`);
+      });
+      if (astrReasons.length > 0)
+      {
+         self.iRejectedFrames++;
+         self.Log(ELOGLEVEL.WARNING, `Frame rejected (${astrReasons.join(", ")}), ${self.iRejectedFrames} frames rejected since start. Ignoring data!!`);
+         return false;
+      }
+
+      Object.keys(dKeys).forEach(strValue =>
+      {
+         if (dValues[dKeys[strValue]] != undefined)
+            dValues[dKeys[strValue]] = self.dcFilters[strValue].apply(dValues[dKeys[strValue]]/100) * 100;
+      });
+      return true;
+   }
+
+   /**
+    * Function to calibrate a value of the sensor with the calibration table, or the offset if there's no table
+    * 
+    * @param {string} strValue            Value (int_temperature, ext_temperature or int_humidity)
+    * @param {number} iRaw                Value of the sensor in 0,01°C / 0,01%
+    * @returns {number}                   Calibrated value in °C / %
+    */
+   calibrate(strValue, iRaw)
+   {
+      var self = this;
+      var dOffsets = { int_temperature: self.fOffsetIntTemperature, ext_temperature: self.fOffsetExtTemperature, int_humidity: self.fOffsetIntHumidity };
+
+      if (self.dcCalibrations[strValue] != undefined)
+         return self.dcCalibrations[strValue].apply(iRaw/100);
+      return (iRaw + dOffsets[strValue])/100;
+   }
+
+   /**
+    * Function to detect the external probe being plugged in or unplugged (Plus models)
+    * 
+    * @param {boolean} bConnected         true if the sensor reports the external probe
+    * @returns {void}                     Nothing
+    */
+   checkProbe(bConnected)
+   {
+      var self = this;
+
+      if ((self.bProbeConnected == true) && (!bConnected))
+         self.Log(ELOGLEVEL.WARNING, `External probe unplugged`);
+      else if ((self.bProbeConnected == false) && (bConnected))
+         self.Log(ELOGLEVEL.INFO, `External probe connected`);
+      self.bProbeConnected = bConnected;
+      return;
+   }
+
+   /**
+    * Function to check if the sensor is faulty (no valid values for the grace period) and to show it with
+    * StatusActive / StatusFault on the services. The fault is cleared with the next valid values.
+    * 
+    * @returns {void}                     Nothing
+    */
+   updateFault()
+   {
+      var self = this;
+      var bFault = ((self.iMisses > 0) || (self.iDecodeFailures > 0)) &&
+                   (Date.now() - (self.iReadingTime || self.iStartTime) >= self.iGracePeriod * 1000);
+      var bReading = (self.iReadingTime != undefined);
+
+      if ((bFault) && (!self.bFault))
+         self.Log(ELOGLEVEL.ERROR, `No valid values for ${self.iGracePeriod}s (${self.iMisses} scans without sensor, ${self.iDecodeFailures} invalid frames) - sensor faulty`);
+      else if ((!bFault) && (self.bFault))
+         self.Log(ELOGLEVEL.INFO, `Valid values received again - sensor ok`);
+      self.bFault = bFault;
+
+      // A service is faulty as well if the sensor delivers no value for it (i.e. external probe unplugged)
+      self.setServiceStatus(self.cTemperatureService, bFault || ((bReading) && (self.fTemperature == undefined)));
+      if (self.cHumidityService != undefined)
+         self.setServiceStatus(self.cHumidityService, bFault);
+      if (self.cProbeTemperatureService != undefined)
+         self.setServiceStatus(self.cProbeTemperatureService, bFault || ((bReading) && (self.fExtTemperature == undefined)));
+      if (self.cDewPointService != undefined)
+         self.setServiceStatus(self.cDewPointService, bFault);
+      self.acAlarmServices.forEach(cAlarmService => self.setServiceStatus(cAlarmService, bFault));
+      return;
+   }
+
+   /**
+    * Function to set StatusActive and StatusFault of a service
+    * 
+    * @param {Object} cServiceToUse       Service to set the status on
+    * @param {boolean} bFault             true if the service is faulty
+    * @returns {void}                     Nothing
+    */
+   setServiceStatus(cServiceToUse, bFault)
+   {
+      cServiceToUse.updateCharacteristic(global.cCharacteristic.StatusActive, !bFault);
+      cServiceToUse.updateCharacteristic(global.cCharacteristic.StatusFault,
+                                         bFault ? global.cCharacteristic.StatusFault.GENERAL_FAULT : global.cCharacteristic.StatusFault.NO_FAULT);
+      return;
+   }
+
+   /**
+    * Function checks if a discovered peripheral is the sensor and plausible
+    * 
+    * @param {Object}  cPeripheral        Object with the data of the discovered peripheral
+    * @returns {Object}                   Manufacturer data of the sensor (undefined if it's not the sensor)
+    */
+   checkPeripheral(cPeripheral)
+   {
+      var self = this;
+      var dSensorCfg;
+
+      if ((cPeripheral.address !== self.strMAC) && (self.strMAC != ""))
+         return undefined;
+      self.checkModel(cPeripheral);
+      dSensorCfg = self.getSensorCfg();
+      if (dSensorCfg == undefined)
+      {  // Unknown model (auto-detection found nothing yet)
+         self.checkCompatible(cPeripheral);
+         return undefined;
+      }
+
+      // Plausibility check
+      if (isPlausible(dSensorCfg, cPeripheral.advertisement))
+      {  // If type is invalid, no check possible but let it through to easily support new compatible types
+         // Otherwise check the values for plausibility
+         self.Log(ELOGLEVEL.DEBUG,`ManufacturerData is ${cPeripheral.advertisement.manufacturerData.toString('hex')}, RSSI ${cPeripheral.rssi}dBm`);
+         self.iRSSI = cPeripheral.rssi;
+         self.cLinkQuality.addFrame(cPeripheral.rssi);
+         return cPeripheral.advertisement.manufacturerData;
+      }
+
+      if (self.strMAC != "")
+      {
+         let strExpected = `(${dSensorCfg.datalength}, ${dSensorCfg.localName}, ${JSON.stringify(dSensorCfg.serviceDat, null, 2)}, ${dSensorCfg.serviceUuids})`;
+         let strFound = `(${(cPeripheral.advertisement.manufacturerData || []).length}, ${cPeripheral.advertisement.localName}, ${JSON.stringify(cPeripheral.advertisement.serviceDat, null, 2)}, ${cPeripheral.advertisement.serviceUuids})`;
+         self.iPlausibilityFailures++;
+         self.Log(ELOGLEVEL.ERROR, `Peripheral with MAC ${cPeripheral.address} found, but plausibility check failed. Expected ${strExpected}, but found ${strFound}`);
+         self.checkCompatible(cPeripheral);
+      }
+      return undefined;
+   }
+
+   /**
+    * Function to log the DDMODELS entry for a sensor that is compatible, but not known (once). Only done
+    * for the configured MAC, other devices around are none of our business.
+    * 
+    * @param {Object} cPeripheral         Object with the data of the discovered peripheral
+    * @returns {void}                     Nothing
+    */
+   checkCompatible(cPeripheral)
+   {
+      var self = this;
+
+      if ((self.bCompatibleLogged) || (self.strMAC == "") || (!isCompatible(cPeripheral.advertisement)))
+         return;
+      self.bCompatibleLogged = true;
+      self.Log(ELOGLEVEL.WARNING, `Peripheral with MAC ${cPeripheral.address} looks like a compatible sensor of an unknown model. ` +
+                                  `Please report this entry for DDMODELS in InkbirdBtModels.js: ${getModelEntry(cPeripheral.advertisement)}`);
+      return;
+   }
+
+   /**
+    * Function to be called after valid values were received. Now the peripheral is known to the scanner, so
+    * the GATT connections can be started.
+    * 
+    * @returns {void}                     Nothing
+    */
+   onValidValues()
+   {
+      var self = this;
+
+      // The backfill first, it needs the recording interval the records were made with
+      self.checkHistoryBackfill();
+      self.checkDeviceConfig();
+      self.checkDeviceInfo();
+      return;
+   }
+
+   /**
+    * Function to read the device information from the sensor (once, if it isn't cached yet)
+    * 
+    * @returns {void}                     Nothing
+    */
+   checkDeviceInfo()
+   {
+      var self = this;
+
+      if ((self.bDeviceInfoDone) || (self.strMAC == ""))
+         return;
+      self.bDeviceInfoDone = true;
+
+      self.cDeviceInfo.read(self.strMAC)
+         .then(dDeviceInfo =>
+         {
+            self.Log(ELOGLEVEL.INFO, `Device information read from sensor: ${JSON.stringify(dDeviceInfo)}`);
+            self.applyDeviceInfo(dDeviceInfo);
+         })
+         .catch(cError => self.Log(ELOGLEVEL.WARNING, `Reading device information of sensor failed, trying again at next start: ${cError.message}`));
+      return;
+   }
+
+   /**
+    * Function to show the device information of the sensor in the accessory information service.
+    * Values the sensor doesn't report stay as they are (from config / defaults).
+    * 
+    * @param {Object} dDeviceInfo         Device information (see InkbirdBtDeviceInfo.read)
+    * @returns {void}                     Nothing
+    */
+   applyDeviceInfo(dDeviceInfo)
+   {
+      var self = this;
+      var strFirmware = dDeviceInfo.firmware_revision || dDeviceInfo.software_revision;
+      var acInfoServices = (self.cProbeAccessory != undefined) ? [self.cAccessoryInfo, self.cProbeAccessoryInfo] : [self.cAccessoryInfo];
+
+      if (dDeviceInfo.manufacturer != undefined)
+         acInfoServices.forEach(cInfo => cInfo.updateCharacteristic(global.cCharacteristic.Manufacturer, dDeviceInfo.manufacturer));
+      if (dDeviceInfo.serial_number != undefined)
+         acInfoServices.forEach(cInfo => cInfo.updateCharacteristic(global.cCharacteristic.SerialNumber, dDeviceInfo.serial_number));
+      if (dDeviceInfo.model != undefined)
+      {
+         acInfoServices.forEach(cInfo => cInfo.updateCharacteristic(global.cCharacteristic.Model, dDeviceInfo.model));
+         self.strReportedModel = dDeviceInfo.model;
+         if ((!self.bAutoModel) && (self.dSensorCfg) && (findModelByName(dDeviceInfo.model) != self.strModel))
+            self.Log(ELOGLEVEL.WARNING, `Sensor reports model ${dDeviceInfo.model}, but ${self.strModel} is configured. Please check the config!`);
+      }
+      if (strFirmware != undefined)
+      {  // HomeKit needs x[.y[.z]], i.e. "1-1" => "1.1"
+         let astrNumbers = strFirmware.match(/\d+/g);
+
+         if (astrNumbers != null)
+            acInfoServices.forEach(cInfo => cInfo.updateCharacteristic(global.cCharacteristic.FirmwareRevision, astrNumbers.slice(0, 3).join('.')));
+      }
+      if (dDeviceInfo.software_revision != undefined)
+         acInfoServices.forEach(cInfo => cInfo.updateCharacteristic(global.cCharacteristic.SoftwareRevision, dDeviceInfo.software_revision));
+      return;
+   }
+
+   /**
+    * Function to check if the config of the sensor has to be written or read
+    * 
+    * @returns {boolean}                  true if a GATT connection for the config is needed
+    */
+   isDeviceConfigNeeded()
+   {
+      var self = this;
+
+      return ((self.iCfgRecordingInterval != undefined) || (self.strCfgRecorder != undefined) || (self.bDeviceSettings));
+   }
+
+   /**
+    * Function to write the config to the sensor and read the config from the sensor (once after start)
+    * 
+    * @returns {void}                     Nothing
+    */
+   checkDeviceConfig()
+   {
+      var self = this;
+
+      if ((self.bDeviceConfigDone) || (self.strMAC == "") || (!self.isDeviceConfigNeeded()))
+         return;
+      self.bDeviceConfigDone = true;
+
+      if (self.iCfgRecordingInterval != undefined)
+         self.setRecordingInterval(self.iCfgRecordingInterval);
+      if (self.strCfgRecorder != undefined)
+         self.setRecorder(self.strCfgRecorder);
+      if (self.bDeviceSettings)
+      {
+         self.cDeviceConfig.read(self.strMAC)
+            .then(dDeviceConfig =>
+            {
+               self.Log(ELOGLEVEL.INFO, `Recording interval of sensor ${dDeviceConfig.iInterval}s, recorder ${dDeviceConfig.bRunning ? `running` : `stopped`}`);
+               self.iRecordingInterval = dDeviceConfig.iInterval;
+               self.bRecorderRunning   = dDeviceConfig.bRunning;
+               self.updateDeviceSettings();
+            })
+            .catch(cError => self.Log(ELOGLEVEL.ERROR, `Reading config of sensor failed: ${cError.message}`));
+      }
+      return;
+   }
+
+   /**
+    * Function to start the backfill of the Eve history if this is the first time after start or there were
+    * no valid values for a long time.
+    * 
+    * @returns {void}                     Nothing
+    */
+   checkHistoryBackfill()
+   {
+      var self = this;
+      var iNow = Date.now();
+      var iGap = Math.max(IHISTORYGAP, 3 * (self.iUpdateInt || 0)) * 1000;
+
+      if ((self.bHistoryBackfill) && (!self.bBackfillRunning) && (self.strMAC != "") &&
+          ((self.iLastValidTime == undefined) || (iNow - self.iLastValidTime > iGap)))
+         self.backfillHistory();
+      self.iLastValidTime = iNow;
+      return;
+   }
+
+   /**
+    * Function to read the history stored in the sensor and add the missing entries to the Eve history
+    * 
+    * @returns {Promise}                  Resolves when finished (errors are logged)
+    */
+   async backfillHistory()
+   {
+      var self = this;
+      var adRecords;
+      var adEntries;
+      var iAdded;
+
+      self.bBackfillRunning = true;
+      self.Log(ELOGLEVEL.INFO, `Reading history from sensor`);
+      try
+      {
+         adRecords = await self.cHistoryReader.read(self.strMAC);
+         adEntries = adRecords.map(dRecord => (
+         {
+            time     : dRecord.time,
+            temp     : self.calibrate((self.strSensor == "external") ? "ext_temperature" : "int_temperature", dRecord.iTemperature),
+            humidity : Math.min(100.0, Math.max(0.0, self.calibrate("int_humidity", dRecord.iHumidity)))
+         }));
+         iAdded = await self.cHistoryReader.addToHistory(self.cEveHistoryService, adEntries);
+         self.Log(ELOGLEVEL.INFO, `History read from sensor, ${iAdded} of ${adEntries.length} records added to Eve history`);
+      }
+      catch (cError)
+      {
+         self.Log(ELOGLEVEL.WARNING, `Reading history from sensor failed: ${cError.message}`);
+      }
+      self.bBackfillRunning = false;
+      return;
+   }
+
+   /**
+    * Function to send the values to Apple Home without a query (cyclic update). Values not available are
+    * not sent, Apple Home keeps the last ones.
+    * 
+    * @returns {void}                     Nothing
+    */
+   updateValues()
+   {
+      var self = this;
+
+      if (self.fTemperature != undefined)
+         self.cTemperatureService.updateCharacteristic(global.cCharacteristic.CurrentTemperature, self.fTemperature);
+      if (self.bExternalSensor != undefined)
+         self.cTemperatureService.updateCharacteristic(self.dcCustomCharacteristic.ExternalSensor, self.bExternalSensor);
+      if (self.iRSSI != undefined)
+         self.cTemperatureService.updateCharacteristic(self.dcCustomCharacteristic.SignalStrength, self.iRSSI);
+      if ((self.cHumidityService != undefined) && (self.fIntHumidity != undefined))
+         self.cHumidityService.updateCharacteristic(global.cCharacteristic.CurrentRelativeHumidity, self.fIntHumidity);
+      if ((self.cProbeAccessory != undefined) && (self.fExtTemperature != undefined))
+         self.cProbeTemperatureService.updateCharacteristic(global.cCharacteristic.CurrentTemperature, self.fExtTemperature);
+      if ((self.cBatteryService != undefined) && (self.fBatteryLevel != undefined))
+      {
+         self.cBatteryService.updateCharacteristic(global.cCharacteristic.BatteryLevel, self.fBatteryLevel);
+         self.cBatteryService.updateCharacteristic(global.cCharacteristic.StatusLowBattery, self.cBattery.isLow());
+         self.cBatteryService.updateCharacteristic(self.dcCustomCharacteristic.BatteryDaysRemaining, self.getBatteryDays());
+      }
+      if ((self.cHumidityService != undefined) && (self.fDewPoint != undefined))
+      {  // Climate values (all calculated together)
+         let dValues = { dewPoint: self.fDewPoint, absoluteHumidity: self.fAbsoluteHumidity, heatIndex: self.fHeatIndex, vpd: self.fVPD, condensationRisk: self.bCondensationRisk };
+
+         self.adClimateCharacteristics
+            .filter(dClimate => self.astrClimate.includes(dClimate.strClimate))
+            .forEach(dClimate => self.cHumidityService.updateCharacteristic(dClimate.fCharacteristic, dValues[dClimate.strValue]));
+      }
+      if ((self.cDewPointService != undefined) && (self.fDewPoint != undefined))
+         self.cDewPointService.updateCharacteristic(global.cCharacteristic.CurrentTemperature, self.fDewPoint);
+      return;
+   }
+
+   /**
+    * Function to answer all waiting reads with the actual values
+    * 
+    * @returns {void}                     Nothing
+    */
+   answerCallbacks()
+   {
+      var self = this;
+
+      Object.keys(self.dWaiters).forEach(strValue =>
+      {
+         var adWaiters = self.dWaiters[strValue];
+         var xValue;
+
+         if (adWaiters.length == 0)
+            return;
+         self.dWaiters[strValue] = [];
+         try
+         {
+            xValue = self.getAnswer(strValue);
+         }
+         catch (cError)
+         {
+            adWaiters.forEach(dWaiter => dWaiter.fReject(cError));
+            return;
+         }
+         adWaiters.forEach(dWaiter => dWaiter.fResolve(xValue));
+      });
+      return;
+   }
+
+   /**
+    * Function to reject all waiting reads (no valid reading to answer them with)
+    * 
+    * @returns {void}                     Nothing
+    */
+   rejectCallbacks()
+   {
+      var self = this;
+
+      Object.keys(self.dWaiters).forEach(strValue =>
+      {
+         var adWaiters = self.dWaiters[strValue];
+
+         if (adWaiters.length == 0)
+            return;
+         self.Log(ELOGLEVEL.WARNING, `No ${strValue} value available`);
+         self.dWaiters[strValue] = [];
+         adWaiters.forEach(dWaiter => dWaiter.fReject(new global.cHapStatusError(global.dHAPStatus.SERVICE_COMMUNICATION_FAILURE)));
+      });
+      return;
+   }
+
+   /**
+    * Function that stops a running timeout
+    * 
+    * @returns {void}                     Nothing
+    */
+   stopTimeout()
+   {
+      var self = this;
+
+      if (self.iTimeoutId != undefined)
+      {  // If there's still a timeout running, then stop it
+         clearTimeout(self.iTimeoutId);
+         self.iTimeoutId = undefined;
+      }
+      return;
+   }
+
+   /**
+    * State machine to do the reading / cyclic reading via BLE
+    * 
+    * @param {boolean} bTimeout           Will be set if the statemachine is run by the runout timeout, otherwise it's false
+    * @param {boolean} bDiscover          Will be set if the statemachine is run by the discover of a peripheral
+    * @param {Object}  cPeripheral        Object with the data of the discovered peripheral
+    * @returns {void}                     Nothing
+    */
+   RunStatemachine(bTimeout, bDiscover, cPeripheral)
+   {
+      var self = this;
+
+      if (bTimeout)
+         self.stopTimeout();
+
+      if ((!self.bHWReady) && (self.eState != ESTATES.NOT_READY))
+      {  // If hardware not ready, then reset
+         self.Log(ELOGLEVEL.FATAL, `Bluetooth low energy hardware went off`);
+         self.cScanCoordinator.stopScanning(self);
+         self.eState = ESTATES.NOT_READY;
+      }
+
+      do
+      {  // Store actual state to see any change later
+         self.eOldState = self.eState;
+         // The state machine
+         switch (self.eState)
+         {
+            case ESTATES.NOT_READY:
+               // The bluetooth hardware is not ready
+               self.stopTimeout();
+
+               if (self.bHWReady)
+               {  // If the hardware is ready, go to status invalid
+                  self.Log(ELOGLEVEL.DEBUG, `Bluetooth low energy hardware powered on`);
+                  self.eState       = ESTATES.STATUS_INVALID;
+               }
+               else
+               {  // If the hardware is not ready, then try again later (5s)
+                  self.Log(ELOGLEVEL.WARNING, `Waiting for bluetooth low energy hardware to power on`);
+                  self.iTimeoutId   = setInterval(self.RunStatemachine.bind(self), 5000, true, false, undefined);
+                  // Reads can't wait for the hardware, answer them with the last values (or no response)
+                  self.answerCallbacks();
+                  self.bQueryStarted = false;
+               }
+               break;
+
+            case ESTATES.STATUS_INVALID:
+               // The status is invalid
+               self.stopTimeout();
+
+               if (self.bContinuous)
+               {  // Continuous mode - keep the scanning running and listen to all advertisements
+                  self.Log(ELOGLEVEL.DEBUG, `Start listening for bluetooth sensor`);
+                  self.iScansStarted++;
+                  self.cScanCoordinator.startScanning(self);
+                  self.iTimeoutId   = setInterval(self.RunStatemachine.bind(self), IFAULTCHECKINT * 1000, true, false, undefined);
+                  self.eState       = ESTATES.LISTENING;
+               }
+               else if ((self.bQueryStarted) || (self.iUpdateInt != undefined))
+               {  // If a callback is waiting to be answered, or the auto-update is enabled, then start scanning (Timeout 5s)
+                  self.Log(ELOGLEVEL.DEBUG, `Start scanning for bluetooth sensor`);
+                  self.iScansStarted++;
+                  self.cScanCoordinator.startScanning(self);
+                  self.iTimeoutId   = setInterval(self.RunStatemachine.bind(self), ISCANTIMEOUT * 1000, true, false, undefined);
+                  self.eState       = ESTATES.SCANNING;
+               }
+               break;
+
+            case ESTATES.SCANNING:
+               // Bluetooth adapter is scanning
+
+               // Reset Status
+               self.cRawStatus   = undefined;
+
+               if (bDiscover)
+               {  // Discover - found a BLE device, store manufacturer data if it's the sensor
+                  self.cRawStatus   = self.checkPeripheral(cPeripheral);
+                  if (self.cRawStatus != undefined)
+                     self.Log(ELOGLEVEL.INFO, `Peripheral with MAC ${cPeripheral.address} found - stop scanning`);
+               }
+
+               if ((bTimeout) || (self.cRawStatus != undefined))
+               {  // Timeout or finished
+
+                  if (self.cRawStatus == undefined)
+                  {
+                     self.iScanTimeouts++;
+                     self.Log(ELOGLEVEL.WARNING, `Peripheral NOT found - stop scanning`);
+                  }
+
+                  // Stop scanning
+                  self.cScanCoordinator.stopScanning(self);
+                  self.stopTimeout();
+                  self.endLinkInterval(undefined);
+
+                  // Store manufacturer data, update Apple Home and set query finished 
+                  if (self.parseStatus())
+                  {
+                     self.updateValues();
+                     self.onValidValues();
+                  }
+                  self.updateFault();
+                  self.bQueryStarted   = false;
+
+                  // start timeout for validity of data and go to next state
+                  self.iTimeoutId      = setInterval(self.RunStatemachine.bind(self), (self.iUpdateInt || 10) * 1000, true, false, undefined);
+                  self.eState          = ESTATES.READY4ANSWER;
+               }
+
+               break;
+
+            case ESTATES.READY4ANSWER:
+               // Status is read or device unreachable
+
+               // After valid time for value or if new query started go back to invalid
+               // A new query means the values are older than max_age, so it's answered after the next scan.
+               // In this way it's possible to get updated values even though you have the cyclic feature activated.
+               if ((bTimeout) || (self.bQueryStarted))
+                  self.eState = ESTATES.STATUS_INVALID;
+               else
+                  self.answerCallbacks();                                                             // Answer all reads waiting for this scan
+               break;
+
+            case ESTATES.LISTENING:
+               // Continuous mode - bluetooth adapter is scanning all the time
+
+               if (bDiscover)
+               {  // Discover - take the frame if it's the sensor and the minimum update interval is over (or a refresh waits)
+                  let cRawStatus = self.checkPeripheral(cPeripheral);
+
+                  if (cRawStatus != undefined)
+                     self.iLastSeenTime = Date.now();
+                  if ((cRawStatus != undefined) && ((self.bRefreshStarted) ||
+                      (self.iLastFrameTime == undefined) || (Date.now() - self.iLastFrameTime >= self.iMinUpdateInt * 1000)))
+                  {  // Parse and update Apple Home (a wrong frame doesn't count, so the next one is taken immediately)
+                     self.cRawStatus = cRawStatus;
+                     if (self.parseStatus())
+                     {
+                        self.bRefreshStarted = false;
+                        self.iLastFrameTime  = Date.now();
+                        self.updateValues();
+                        self.onValidValues();
+                     }
+                     self.updateFault();
+                  }
+               }
+
+               if (bTimeout)
+               {  // Check for missing frames (counted like a scan without the sensor)
+                  if (Date.now() - (self.iLastSeenTime || self.iStartTime) >= IFAULTCHECKINT * 1000)
+                     self.iMisses++;
+                  self.endLinkInterval(IFAULTCHECKINT);
+                  self.updateFault();
+                  if ((self.iLastFrameTime == undefined) || (self.bFault))
+                     self.rejectCallbacks();                                                          // Reads can't wait for a valid frame any longer
+                  self.iTimeoutId = setInterval(self.RunStatemachine.bind(self), IFAULTCHECKINT * 1000, true, false, undefined);
+               }
+
+               // Queries are answered immediately from the latest frame (or with the first frame, if none received yet)
+               if (self.iLastFrameTime != undefined)
+                  self.answerCallbacks();
+               self.bQueryStarted = false;
+               break;
+         }
+         bTimeout  = false;
+         bDiscover = false;
+      }
+      // when state changed, then run it again
+      while (self.eState != self.eOldState);
+
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtTHSensorAccessory;
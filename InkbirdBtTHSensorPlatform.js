@@ -0,0 +1,563 @@
+// Implements the InkbirdBtTHSensorPlatform class, the dynamic platform managing all sensors
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+// 19.10.2026  D. Steidl   Automatic discovery of new sensors
+//                         Own accessory for the external probe of the Plus models
+//                         Discovered sensors with auto-detected model, DDMODELS entry for unknown compatible sensors
+//                         Accessory of the external probe added when a Plus model is detected
+//                         Simulation transport (replay of a capture file), recording of captures
+//                         MQTT publisher with Home Assistant discovery
+//                         Prometheus metrics listener
+//                         REST API
+//                         Scheduled export of the Eve history
+//                         Discovered sensors with ambiguous model named by the model family
+//-----------------------------------------------------------------------
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {string} STRPLATFORMNAME       Name of the platform (as in config.json) */
+const STRPLATFORMNAME = "InkbirdBtTHSensor";
+/** @const {Array} ASTRPLATFORMDEFAULTS   Config values of the platform used as default for all the sensors */
+const ASTRPLATFORMDEFAULTS = ["storage", "loglevel", "update_interval"];
+/** @const {string} STRMODELFAMILY        Model shown for a discovered sensor if the exact model is ambiguous */
+const STRMODELFAMILY = "IBS-TH";
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const cInkbirdBtTHSensorAccessory   = require('./InkbirdBtTHSensorAccessory')
+const cInkbirdBtSimTransport        = require('./InkbirdBtSimTransport')
+const cInkbirdBtCaptureFile         = require('./InkbirdBtCaptureFile')
+const cInkbirdBtMqtt                = require('./InkbirdBtMqtt')
+const cInkbirdBtMetrics             = require('./InkbirdBtMetrics')
+const cInkbirdBtRestApi             = require('./InkbirdBtRestApi')
+const cInkbirdBtHistoryExport       = require('./InkbirdBtHistoryExport')
+const { ELOGLEVEL, STRLOGLEVEL }    = require('./InkbirdBtLogLevel')
+const { DDMODELS, STRAMBIGUOUS, detectModel, isCompatible, getModelEntry } = require('./InkbirdBtModels')
+const packageJson                   = require('./package.json')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Main class of the dynamic platform that manages all Inkbird temperature and humidity sensors
+ */
+class cInkbirdBtTHSensorPlatform
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The platform constructor initializes the class and waits for homebridge to finish launching.
+    * Until then homebridge hands over the cached accessories via configureAccessory.
+    *
+    * @param {Object} cLog                Pointer to logging class
+    * @param {Object} dConfig             Configuration for the platform
+    * @param {Object} cAPI                Pointer to homebridge API
+    * @returns {void}                     nothing
+    */
+   constructor(cLog, dConfig, cAPI)
+   {
+      var self = this;
+
+      // Store and initialize values
+      self.cLog                     = cLog;
+      self.dConfig                  = dConfig || {};
+      self.cAPI                     = cAPI;
+      self.iLogLevel                = self.dConfig.loglevel || ELOGLEVEL.INFO;                        // Show infos, warnings, errors and fatal
+      self.dcCachedAccessories      = {};                                                             // Platform accessories restored from cache (by UUID)
+      self.dcSensors                = {};                                                             // Sensor accessories (by UUID)
+      self.strMAC                   = "";                                                             // As scan client get all peripherals no sensor is configured for
+      self.bDiscovery               = (self.dConfig.discovery == true);                               // Create accessories for new sensors automatically
+      self.bApprove                 = (self.dConfig.discovery_approve == true);                       // New sensors have to be approved before publishing
+      self.astrIgnoredMACs          = (self.dConfig.discovery_ignore   || []).map(strMAC => strMAC.toLowerCase());
+      self.astrApprovedMACs         = (self.dConfig.discovery_approved || []).map(strMAC => strMAC.toLowerCase());
+      self.scPendingMACs            = new Set();                                                      // New sensors waiting for approval (already logged)
+      self.cMqtt                    = undefined;                                                      // MQTT publisher (undefined if not configured)
+      self.cMetrics                 = undefined;                                                      // Metrics listener (undefined if not configured)
+      self.cRestApi                 = undefined;                                                      // REST API listener (undefined if not configured)
+      self.cHistoryExport           = undefined;                                                      // Scheduled history export (undefined if not configured)
+
+      self.Log(ELOGLEVEL.DEBUG, "Start Initialization");
+      self.initTransport();
+      self.initMqtt();
+      self.initMetrics();
+      self.initRestApi();
+      self.initHistoryExport();
+      self.cAPI.on('didFinishLaunching', self.didFinishLaunching.bind(self));
+   }
+
+   /**
+    * Function to set the transport of the shared scanner (simulation) and the recording as configured.
+    * Relative file names are relative to the homebridge storage directory.
+    *
+    * @returns {void}                     Nothing
+    */
+   initTransport()
+   {
+      var self = this;
+
+      if (self.dConfig.transport == "simulation")
+      {
+         if (!self.dConfig.simulation_file)
+            self.Log(ELOGLEVEL.ERROR, `Transport simulation needs a simulation_file. Using bluetooth!`);
+         else
+         {
+            try
+            {
+               global.cScanCoordinator.setTransport(new cInkbirdBtSimTransport(self.Log.bind(self), path.resolve(global.strStoragePath, self.dConfig.simulation_file),
+                                                                              self.dConfig.simulation_speed, self.dConfig.simulation_loop));
+            }
+            catch (cError)
+            {
+               self.Log(ELOGLEVEL.ERROR, `Simulation not possible: ${cError.message}`);
+            }
+         }
+      }
+      if (self.dConfig.record_file)
+      {
+         self.Log(ELOGLEVEL.INFO, `Recording the advertisements of the sensors to ${path.resolve(global.strStoragePath, self.dConfig.record_file)}`);
+         global.cScanCoordinator.setRecordFile(new cInkbirdBtCaptureFile(path.resolve(global.strStoragePath, self.dConfig.record_file)));
+      }
+      return;
+   }
+
+   /**
+    * Function to start the MQTT publisher if configured. It's closed when homebridge shuts down, so the
+    * availability is set to "offline".
+    *
+    * @returns {void}                     Nothing
+    */
+   initMqtt()
+   {
+      var self = this;
+
+      if (self.dConfig.mqtt == undefined)
+         return;
+      if (!self.dConfig.mqtt.url)
+      {
+         self.Log(ELOGLEVEL.ERROR, `MQTT needs the url of the broker. Not publishing!`);
+         return;
+      }
+      self.cMqtt = new cInkbirdBtMqtt(self.dConfig.mqtt, self.Log.bind(self));
+      self.cMqtt.connect();
+      self.cAPI.on('shutdown', () => self.cMqtt.close());
+      return;
+   }
+
+   /**
+    * Function to start the Prometheus metrics listener if configured
+    *
+    * @returns {void}                     Nothing
+    */
+   initMetrics()
+   {
+      var self = this;
+
+      if (self.dConfig.metrics == undefined)
+         return;
+      self.cMetrics = new cInkbirdBtMetrics(self.dConfig.metrics, self.Log.bind(self), () => Object.values(self.dcSensors));
+      self.cMetrics.start();
+      self.cAPI.on('shutdown', () => self.cMetrics.stop());
+      return;
+   }
+
+   /**
+    * Function to start the REST API listener if configured
+    *
+    * @returns {void}                     Nothing
+    */
+   initRestApi()
+   {
+      var self = this;
+
+      if (self.dConfig.api == undefined)
+         return;
+      self.cRestApi = new cInkbirdBtRestApi(self.dConfig.api, self.Log.bind(self), () => Object.values(self.dcSensors));
+      self.cRestApi.start();
+      self.cAPI.on('shutdown', () => self.cRestApi.stop());
+      return;
+   }
+
+   /**
+    * Function to start the scheduled export of the Eve history if configured. A relative directory is relative
+    * to the homebridge storage directory.
+    *
+    * @returns {void}                     Nothing
+    */
+   initHistoryExport()
+   {
+      var self = this;
+
+      if (self.dConfig.history_export == undefined)
+         return;
+      if (!self.dConfig.history_export.directory)
+      {
+         self.Log(ELOGLEVEL.ERROR, `History export needs a directory. Not exporting!`);
+         return;
+      }
+      self.cHistoryExport = new cInkbirdBtHistoryExport(Object.assign({}, self.dConfig.history_export,
+                                                        { directory: path.resolve(global.strStoragePath, self.dConfig.history_export.directory) }),
+                                                        self.Log.bind(self), () => Object.values(self.dcSensors));
+      self.cHistoryExport.start();
+      self.cAPI.on('shutdown', () => self.cHistoryExport.stop());
+      return;
+   }
+
+   /**
+    * Function called by homebridge for every cached platform accessory at startup
+    *
+    * @param {Object} cPlatformAccessory  The cached platform accessory
+    * @returns {void}                     Nothing
+    */
+   configureAccessory(cPlatformAccessory)
+   {
+      var self = this;
+
+      self.Log(ELOGLEVEL.DEBUG, `Restoring cached accessory ${cPlatformAccessory.displayName}`);
+      self.dcCachedAccessories[cPlatformAccessory.UUID] = cPlatformAccessory;
+      return;
+   }
+
+   /**
+    * Function called by homebridge after all cached accessories are restored. Creates the sensors of the config,
+    * registers the new accessories and removes the cached accessories that are not configured anymore.
+    *
+    * @returns {void}                     Nothing
+    */
+   didFinishLaunching()
+   {
+      var self = this;
+      var acNewAccessories = [];
+      var acOldAccessories;
+      var cPlatformAccessory;
+      var cProbeAccessory;
+
+      (self.dConfig.sensors || []).forEach(dSensorConfig =>
+      {
+         if (!dSensorConfig.name)
+         {  // Name is required
+            self.Log(ELOGLEVEL.ERROR, `Sensor without name in config. Ignoring it!`);
+            return;
+         }
+         dSensorConfig = self.getSensorConfig(dSensorConfig);
+
+         let strUUID = self.getSensorUUID(dSensorConfig);
+         if (self.dcSensors[strUUID] != undefined)
+         {  // Two sensors with the same MAC (or name)
+            self.Log(ELOGLEVEL.ERROR, `Sensor ${dSensorConfig.name} configured twice. Ignoring it!`);
+            return;
+         }
+
+         cPlatformAccessory = self.getPlatformAccessory(strUUID, dSensorConfig.name, acNewAccessories);
+         cProbeAccessory    = undefined;
+         if (dSensorConfig.sensor == "both")
+         {  // External probe as own accessory (so it gets its own Eve history), without model in config only if
+            // a Plus model was detected at the last start (else it's added when the model is detected)
+            if (self.isDualView(dSensorConfig.model || cPlatformAccessory.context.strDetectedModel))
+               cProbeAccessory = self.getPlatformAccessory(self.getSensorUUID(dSensorConfig, "probe"), self.getProbeName(dSensorConfig), acNewAccessories);
+            else if (dSensorConfig.model)
+               self.Log(ELOGLEVEL.ERROR, `Sensor ${dSensorConfig.name}: "both" is only possible for the Plus models. Showing the internal sensor only!`);
+         }
+
+         self.addSensor(strUUID, dSensorConfig, cPlatformAccessory, cProbeAccessory);
+      });
+
+      // Restore the sensors found by the discovery (if still wanted)
+      Object.keys(self.dcCachedAccessories).forEach(strUUID =>
+      {
+         var dDiscoveredConfig = self.dcCachedAccessories[strUUID].context.dDiscoveredConfig;
+
+         if ((self.bDiscovery) && (dDiscoveredConfig != undefined) && (self.dcSensors[strUUID] == undefined) && (self.isPublishable(dDiscoveredConfig.mac_address)))
+         {
+            self.addSensor(strUUID, self.getSensorConfig(dDiscoveredConfig), self.dcCachedAccessories[strUUID]);
+            delete self.dcCachedAccessories[strUUID];
+         }
+      });
+
+      if (acNewAccessories.length > 0)
+         self.cAPI.registerPlatformAccessories(packageJson.name, STRPLATFORMNAME, acNewAccessories);
+
+      // Remove the cached accessories of sensors that were removed from config
+      acOldAccessories = Object.values(self.dcCachedAccessories);
+      acOldAccessories.forEach(cPlatformAccessory => self.Log(ELOGLEVEL.INFO, `Removing sensor ${cPlatformAccessory.displayName}`));
+      if (acOldAccessories.length > 0)
+         self.cAPI.unregisterPlatformAccessories(packageJson.name, STRPLATFORMNAME, acOldAccessories);
+      self.dcCachedAccessories = {};
+
+      if (self.bDiscovery)
+      {  // Scan for new sensors
+         self.Log(ELOGLEVEL.INFO, `Discovery of new sensors enabled${self.bApprove ? ` (approval needed)` : ``}`);
+         global.cScanCoordinator.register(self);
+         global.cScanCoordinator.startScanning(self);
+      }
+
+      self.Log(ELOGLEVEL.DEBUG, "End Initialization");
+      return;
+   }
+
+   /**
+    * Function to get the platform accessory for a UUID. A cached accessory is taken out of the cache, else a new
+    * one is created and added to the list of accessories to be registered.
+    *
+    * @param {string} strUUID             UUID of the platform accessory
+    * @param {string} strName             Name of the accessory
+    * @param {Array} acNewAccessories     New accessories to be registered
+    * @returns {Object}                   Platform accessory
+    */
+   getPlatformAccessory(strUUID, strName, acNewAccessories)
+   {
+      var self = this;
+      var cPlatformAccessory = self.dcCachedAccessories[strUUID];
+
+      if (cPlatformAccessory == undefined)
+      {  // New sensor - create accessory
+         self.Log(ELOGLEVEL.INFO, `Adding sensor ${strName}`);
+         cPlatformAccessory = new self.cAPI.platformAccessory(strName, strUUID);
+         acNewAccessories.push(cPlatformAccessory);
+      }
+      else
+         delete self.dcCachedAccessories[strUUID];
+      return cPlatformAccessory;
+   }
+
+   /**
+    * Function to create the sensor accessory for a platform accessory
+    *
+    * @param {string} strUUID             UUID of the platform accessory
+    * @param {Object} dSensorConfig       Config of the sensor (with the defaults of the platform)
+    * @param {Object} cPlatformAccessory  Platform accessory to create the services on
+    * @param {Object} cProbeAccessory     Platform accessory for the external probe (optional)
+    * @returns {void}                     Nothing
+    */
+   addSensor(strUUID, dSensorConfig, cPlatformAccessory, cProbeAccessory)
+   {
+      var self = this;
+
+      self.dcSensors[strUUID] = new cInkbirdBtTHSensorAccessory(self.getSensorLog(dSensorConfig.name), dSensorConfig, self.cAPI, cPlatformAccessory, cProbeAccessory);
+      if (self.cMqtt != undefined)
+         self.dcSensors[strUUID].addReadingListener(self.cMqtt.publish.bind(self.cMqtt));
+      if ((dSensorConfig.sensor == "both") && (!dSensorConfig.model))
+         self.dcSensors[strUUID].addModelListener((cSensor, strModel) => self.updateProbeAccessory(cSensor, dSensorConfig, strModel));
+      return;
+   }
+
+   /**
+    * Function to add or remove the accessory of the external probe when the model of a sensor "both" is detected.
+    * Only the Plus models (dual view) have an external probe.
+    *
+    * @param {Object} cSensor             Sensor accessory
+    * @param {Object} dSensorConfig       Config of the sensor (with the defaults of the platform)
+    * @param {string} strModel            Detected model (key of DDMODELS)
+    * @returns {void}                     Nothing
+    */
+   updateProbeAccessory(cSensor, dSensorConfig, strModel)
+   {
+      var self = this;
+      var cProbeAccessory = cSensor.cProbeAccessory;
+
+      if ((self.isDualView(strModel)) && (cProbeAccessory == undefined))
+      {
+         cProbeAccessory = new self.cAPI.platformAccessory(self.getProbeName(dSensorConfig), self.getSensorUUID(dSensorConfig, "probe"));
+         self.Log(ELOGLEVEL.INFO, `Adding sensor ${cProbeAccessory.displayName} (external probe of ${strModel})`);
+         cSensor.setProbeAccessory(cProbeAccessory);
+         self.cAPI.registerPlatformAccessories(packageJson.name, STRPLATFORMNAME, [cProbeAccessory]);
+      }
+      else if ((!self.isDualView(strModel)) && (cProbeAccessory != undefined))
+      {
+         self.Log(ELOGLEVEL.INFO, `Removing sensor ${cProbeAccessory.displayName} (${strModel} has no external probe)`);
+         cSensor.setProbeAccessory(undefined);
+         self.cAPI.unregisterPlatformAccessories(packageJson.name, STRPLATFORMNAME, [cProbeAccessory]);
+      }
+      return;
+   }
+
+   /**
+    * Function to check if a model is a dual view model (Plus models with external probe)
+    *
+    * @param {string} strModel            Model (key of DDMODELS, may be undefined)
+    * @returns {boolean}                  true if it's a dual view model
+    */
+   isDualView(strModel)
+   {
+      return ((DDMODELS[strModel] != undefined) && (DDMODELS[strModel] != 0) && (DDMODELS[strModel].dualView == true));
+   }
+
+   /**
+    * Function to check if a discovered sensor may be published to HomeKit
+    *
+    * @param {string} strMAC              MAC address of the sensor
+    * @returns {boolean}                  true if it's not ignored and approved (if approval is needed)
+    */
+   isPublishable(strMAC)
+   {
+      var self = this;
+
+      strMAC = (strMAC || "").toLowerCase();
+      return ((!self.astrIgnoredMACs.includes(strMAC)) && ((!self.bApprove) || (self.astrApprovedMACs.includes(strMAC))));
+   }
+
+   /**
+    * Function called by the scan coordinator if the state of the bluetooth hardware changes
+    *
+    * @param {boolean} bHWReady           true if hardware is ready
+    * @returns {void}                     Nothing
+    */
+   onStateChange(bHWReady)
+   {
+      return;
+   }
+
+   /**
+    * Function called by the scan coordinator for advertisements of peripherals no sensor is configured for.
+    * If it's an Inkbird sensor, an accessory is created for it (or it's logged if it needs approval).
+    *
+    * @param {Object} cPeripheral         Object with the data of the discovered peripheral
+    * @returns {void}                     Nothing
+    */
+   onDiscover(cPeripheral)
+   {
+      var self = this;
+      var strMAC = (cPeripheral.address || "").toLowerCase();
+      var strModel;
+      var dSensorConfig;
+      var strUUID;
+      var cPlatformAccessory;
+
+      if ((strMAC == "") || (self.astrIgnoredMACs.includes(strMAC)) || (self.scPendingMACs.has(strMAC)))
+         return;
+
+      strUUID = self.getSensorUUID({ mac_address: strMAC });
+      if (self.dcSensors[strUUID] != undefined)
+         return;
+
+      strModel = detectModel(cPeripheral.advertisement);
+      if (strModel == STRAMBIGUOUS)
+         strModel = STRMODELFAMILY;                                                                   // The accessory detects the exact model later
+      if (strModel == undefined)
+      {  // Maybe a compatible sensor that is not known yet (log only once)
+         if (isCompatible(cPeripheral.advertisement))
+         {
+            self.scPendingMACs.add(strMAC);
+            self.Log(ELOGLEVEL.INFO, `Found compatible sensor of an unknown model with MAC ${strMAC}. Please report this entry for DDMODELS in InkbirdBtModels.js: ${getModelEntry(cPeripheral.advertisement)}`);
+         }
+         return;
+      }
+
+      if (!self.isPublishable(strMAC))
+      {  // Log only once
+         self.scPendingMACs.add(strMAC);
+         self.Log(ELOGLEVEL.INFO, `Found new sensor ${strModel} with MAC ${strMAC}. Add the MAC to "discovery_approved" to publish it or to "discovery_ignore" to hide this message.`);
+         return;
+      }
+
+      // The model isn't stored, so the accessory can refine it (i.e. the Plus models are recognized with the external probe only)
+      dSensorConfig = { name: `Inkbird ${strModel} ${strMAC.slice(-5).replace(":", "").toUpperCase()}`, mac_address: strMAC };
+      self.Log(ELOGLEVEL.INFO, `Found new sensor ${strModel} with MAC ${strMAC} - adding it as ${dSensorConfig.name}`);
+
+      cPlatformAccessory = new self.cAPI.platformAccessory(dSensorConfig.name, strUUID);
+      cPlatformAccessory.context.dDiscoveredConfig = dSensorConfig;
+      self.addSensor(strUUID, self.getSensorConfig(dSensorConfig), cPlatformAccessory);
+      self.cAPI.registerPlatformAccessories(packageJson.name, STRPLATFORMNAME, [cPlatformAccessory]);
+      return;
+   }
+
+   /**
+    * Function to build the config of a sensor. Values not set for the sensor are taken from the platform.
+    *
+    * @param {Object} dSensorConfig       Config of the sensor as in config.json
+    * @returns {Object}                   Config of the sensor with the defaults of the platform
+    */
+   getSensorConfig(dSensorConfig)
+   {
+      var self = this;
+      var dResult = Object.assign({}, dSensorConfig);
+
+      ASTRPLATFORMDEFAULTS.forEach(strKey =>
+      {
+         if ((dResult[strKey] == undefined) && (self.dConfig[strKey] != undefined))
+            dResult[strKey] = self.dConfig[strKey];
+      });
+      return dResult;
+   }
+
+   /**
+    * Function to get the UUID of a sensor accessory. It's generated from the MAC address (or the name if no MAC
+    * is configured), so the cached accessory will be found again after a restart. If a fixed sensor (internal
+    * or external) is selected, it's part of the UUID, so both sensors of a Plus model can be configured.
+    *
+    * @param {Object} dSensorConfig       Config of the sensor
+    * @param {string} strPart             Part of the sensor with an own accessory (i.e. "probe", optional)
+    * @returns {string}                   UUID of the accessory
+    */
+   getSensorUUID(dSensorConfig, strPart)
+   {
+      var strMAC = (dSensorConfig.mac_address || "").toLowerCase();
+      var strId  = strMAC || dSensorConfig.name;
+
+      if ((dSensorConfig.sensor == "internal") || (dSensorConfig.sensor == "external"))
+         strId += `.${dSensorConfig.sensor}`;
+      if (strPart != undefined)
+         strId += `.${strPart}`;
+      return global.cUUIDGen.generate(`${STRPLATFORMNAME}.${strId}`);
+   }
+
+   /**
+    * Function to get the name of the accessory of the external probe
+    *
+    * @param {Object} dSensorConfig       Config of the sensor
+    * @returns {string}                   Name of the probe accessory
+    */
+   getProbeName(dSensorConfig)
+   {
+      return dSensorConfig.probe_name || `${dSensorConfig.name} Probe`;
+   }
+
+   /**
+    * Function to get a logging function for a sensor. The messages are prefixed with the name of the sensor.
+    *
+    * @param {string} strName             Name of the sensor
+    * @returns {function}                 Logging function
+    */
+   getSensorLog(strName)
+   {
+      var self = this;
+
+      return (strMessage => self.cLog(`[${strName}] ${strMessage}`));
+   }
+
+   /**
+    * Function log a message to the homebridge log if it is important enough
+    *
+    * @param {*} iLevel                   Maximum log level that will be logged
+    * @param {*} strMessage               Message
+    * @returns {void}                     Nothing
+    */
+   Log(iLevel, strMessage)
+   {
+      var self = this;
+
+      if (iLevel <= self.iLogLevel)
+         self.cLog(`${STRLOGLEVEL[iLevel]} - ${strMessage}`);
+      return;
+   }
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = cInkbirdBtTHSensorPlatform;
+module.exports.STRPLATFORMNAME = STRPLATFORMNAME;
@@ -0,0 +1,131 @@
+// Implements the server of the custom settings page for Homebridge Config UI X
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Ambiguous model not added to the config
+//-----------------------------------------------------------------------
+
+// Requests of the page (public/index.html):
+//    /scan { seconds }    Scans for the Inkbird sensors (see scan in InkbirdBtCli.js). Every advertisement of a
+//                         sensor is pushed as event "sensor" while scanning, the request returns the list of all.
+// A sensor is sent as { mac, rssi, model, model_text, dual_view, has_humidity, temperature, ext_temperature, humidity,
+// battery, external_sensor, crc } (values null if the frame is invalid, model null for a compatible but unknown sensor
+// or if several models fit, model_text the model to be shown).
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IDEFSCANTIME          Default scan time in s */
+const IDEFSCANTIME = 5;
+/** @const {number} IMAXSCANTIME          Maximum scan time in s */
+const IMAXSCANTIME = 60;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from Homebridge Config UI X
+const { HomebridgePluginUiServer, RequestError } = require('@homebridge/plugin-ui-utils');
+
+// from InkbirdBtTHSensor
+const { DDMODELS, STRAMBIGUOUS, getDecodeCfg } = require('../InkbirdBtModels')
+const { scan, formatModel } = require('../InkbirdBtCli')
+const cInkbirdBtNobleTransport = require('../InkbirdBtNobleTransport')
+
+//-----------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------
+
+/**
+ * Class for the server of the custom settings page
+ */
+class cInkbirdBtUiServer extends HomebridgePluginUiServer
+{
+   //-----------------------------------------------------------------------
+   /**
+    * The constructor registers the requests. The bluetooth hardware is opened with the first scan.
+    *
+    * @returns {void}                     nothing
+    */
+   constructor()
+   {
+      super();
+      var self = this;
+
+      self.cTransport               = undefined;                                                      // Transport to the bluetooth hardware
+      self.bScanning                = false;                                                          // true while a scan is running
+      self.onRequest('/scan', self.scanSensors.bind(self));
+      self.ready();
+   }
+
+   /**
+    * Function to scan for the sensors (request /scan)
+    *
+    * @param {Object} dPayload            Payload of the request { seconds }
+    * @returns {Promise}                  Sensors found (see above), rejects with a RequestError
+    */
+   async scanSensors(dPayload)
+   {
+      var self = this;
+      var iSeconds = Math.min(IMAXSCANTIME, Math.max(1, (dPayload && dPayload.seconds) || IDEFSCANTIME));
+      var adResults;
+
+      if (self.bScanning)
+         throw new RequestError("A scan is already running", { status: 409 });
+      self.bScanning = true;
+      try
+      {
+         if (self.cTransport == undefined)
+            self.cTransport = new cInkbirdBtNobleTransport();
+         adResults = await scan(self.cTransport, iSeconds, dResult => self.pushEvent('sensor', self.toSensor(dResult)));
+      }
+      catch (cError)
+      {
+         throw new RequestError(`Scan failed: ${cError.message}`, { status: 500 });
+      }
+      finally
+      {
+         self.bScanning = false;
+      }
+      return adResults.map(dResult => self.toSensor(dResult));
+   }
+
+   /**
+    * Function to convert a scan result for the page
+    *
+    * @param {Object} dResult             Result of the scan {strMAC, iRSSI, strModel, dValues, strCRC}
+    * @returns {Object}                   Sensor (see above)
+    */
+   toSensor(dResult)
+   {
+      var dValues = dResult.dValues || {};
+      var fValue = (iValue => (iValue != undefined) ? iValue / 100 : null);
+
+      return {
+         mac               : dResult.strMAC,
+         rssi              : dResult.iRSSI,
+         model             : ((dResult.strModel != undefined) && (dResult.strModel != STRAMBIGUOUS)) ? dResult.strModel : null,
+         model_text        : formatModel(dResult.strModel),
+         dual_view         : getDecodeCfg(DDMODELS[dResult.strModel]).dualView,
+         has_humidity      : getDecodeCfg(DDMODELS[dResult.strModel]).services.includes("humidity"),
+         temperature       : fValue(dValues.iIntTemperature),
+         ext_temperature   : fValue(dValues.iExtTemperature),
+         humidity          : fValue(dValues.iIntHumidity),
+         battery           : (dValues.iBatteryLevel != undefined) ? dValues.iBatteryLevel : null,
+         external_sensor   : (dValues.bExternalSensor != undefined) ? dValues.bExternalSensor : null,
+         crc               : dResult.strCRC
+      };
+   }
+}
+
+//-----------------------------------------------------------------------
+// Start
+//-----------------------------------------------------------------------
+
+(() => new cInkbirdBtUiServer())();
@@ -0,0 +1,296 @@
+// Test of the plugin without bluetooth hardware: replays a capture file through the scan coordinator and the accessories
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Temperature-only model added with registerModel
+//                         Sensors in cyclic mode and without model (auto-detection), checks run by InkbirdBtTestRunner
+//-----------------------------------------------------------------------
+
+// Usage: npm test (node test/InkbirdBtReplayTest.js)
+// The platform is started with the homebridge API (without HAP server) and the simulation transport replaying
+// capture.jsonl (normal frame, frame with CRC error, dual view frame, frame of a temperature-only model registered by
+// the test) in continuous mode, a sensor in cyclic mode and two sensors without model. For one of them the model name
+// reported by the sensor is in the device information cache, the other one stays ambiguous. After the replay the
+// decoded values of the accessories, their services, the detected models and the values read by HomeKit are checked. The storage directory is a temporary
+// directory removed at the end. Exit code 0 if all checks passed, 1 otherwise.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} IREPLAYSPEED          Replay speed of the capture file */
+const IREPLAYSPEED = 10;
+/** @const {number} IREPLAYTIME           Time to wait for the end of the replay in ms */
+const IREPLAYTIME = 1000;
+/** @const {string} STRCAPTUREFILE        Capture file replayed */
+const STRCAPTUREFILE = "capture.jsonl";
+/** @const {string} STRTH1MAC             MAC address of the IBS-TH1 in the capture file */
+const STRTH1MAC = "50:51:a9:7d:fc:e9";
+/** @const {string} STRPLUSMAC            MAC address of the IBS-TH1-Plus (dual view) in the capture file */
+const STRPLUSMAC = "49:22:05:17:0c:2f";
+/** @const {string} STRTEMPMAC            MAC address of the temperature-only sensor in the capture file */
+const STRTEMPMAC = "11:22:33:44:55:66";
+/** @const {string} STRTEMPMODEL          Name of the temperature-only model registered by the test */
+const STRTEMPMODEL = "Test-T";
+/** @const {string} STRCYCLICMAC          MAC address of the IBS-TH1 in cyclic mode in the capture file */
+const STRCYCLICMAC = "50:51:a9:00:00:01";
+/** @const {string} STRAUTOMAC            MAC address of the sensor without model (IBS-TH2 in the device information cache) */
+const STRAUTOMAC = "50:51:a9:00:00:02";
+/** @const {string} STRAMBIGUOUSMAC       MAC address of the sensor without model and without device information */
+const STRAMBIGUOUSMAC = "50:51:a9:00:00:03";
+/** @const {string} STRDEVICEINFOFILE     Cache of the device information in the storage directory (see InkbirdBtDeviceInfo.js) */
+const STRDEVICEINFOFILE = "inkbird-bt-thsensor-deviceinfo.json";
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const assert   = require('assert');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+// from homebridge
+const { HomebridgeAPI } = require('homebridge/lib/api');
+const { User }          = require('homebridge/lib/user');
+
+// from InkbirdBtTHSensor
+const fInitPlugin   = require('..')
+const { registerModel } = require('../InkbirdBtModels')
+const { runChecks }     = require('./InkbirdBtTestRunner')
+
+//-----------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------
+
+/**
+ * Decoder of the temperature-only model registered by the test
+ * - 0xtttt (temperature in 0,01°C)
+ * - 0xbb   (battery value in %)
+ * - 0x00
+ *
+ * @param {Buffer} cData                  Manufacturer data
+ * @returns {Object}                      Decoded values (see InkbirdBtDecoders.js)
+ */
+function decodeTemperature(cData)
+{
+   return {
+      iIntTemperature   : cData.readInt16LE(0),
+      bExternalSensor   : false,
+      iBatteryLevel     : cData.readUIntLE(2, 1),
+      strInfo           : "temperature-only test model"
+   };
+}
+
+/**
+ * Function to get the accessory of a sensor from the platform
+ *
+ * @param {Object} cPlatform              Platform
+ * @param {string} strMAC                 MAC address of the sensor
+ * @returns {Object}                      Accessory of the sensor
+ */
+function getSensor(cPlatform, strMAC)
+{
+   var cSensor = Object.values(cPlatform.dcSensors).find(cSensor => cSensor.strMAC == strMAC);
+
+   assert.ok(cSensor != undefined, `No accessory for ${strMAC}`);
+   return cSensor;
+}
+
+/**
+ * Function to read a characteristic like HomeKit does
+ *
+ * @param {Object} cService               Service of the characteristic
+ * @param {Object} cCharacteristicType    Type of the characteristic (i.e. Characteristic.CurrentTemperature)
+ * @returns {Promise}                     Value read
+ */
+function readCharacteristic(cService, cCharacteristicType)
+{
+   assert.ok(cService != undefined, `Service missing`);
+   return cService.getCharacteristic(cCharacteristicType).handleGetRequest();
+}
+
+/**
+ * Function to check a value read by HomeKit. HomeKit rounds to the minStep of the characteristic.
+ *
+ * @param {number} fActual                Value read
+ * @param {number} fExpected              Value expected
+ * @param {number} fMinStep               minStep of the characteristic
+ * @returns {void}                        Nothing, throws if the value is wrong
+ */
+function checkRounded(fActual, fExpected, fMinStep)
+{
+   assert.ok(Math.abs(fActual - fExpected) <= fMinStep, `${fActual} is not ${fExpected} (minStep ${fMinStep})`);
+   return;
+}
+
+/**
+ * Main function of the test
+ *
+ * @returns {Promise}                     Exit code (0 = all checks passed, 1 = failed)
+ */
+async function main()
+{
+   var strStoragePath = fs.mkdtempSync(path.join(os.tmpdir(), "inkbird-bt-thsensor-"));
+   var astrLog = [];
+   var fLog = (strMessage => astrLog.push(strMessage));
+   var cAPI;
+   var cPlatformConstructor;
+   var cPlatform;
+   var cCharacteristic;
+   var adChecks;
+   var iFailed = 0;
+
+   try
+   {
+      User.setStoragePath(strStoragePath);
+      fs.writeFileSync(path.join(strStoragePath, STRDEVICEINFOFILE), JSON.stringify({ [STRAUTOMAC]: { model: "IBS-TH2" } }));
+      registerModel(STRTEMPMODEL, {
+         match             : (cAdvertisement => (cAdvertisement.localName == "tps") && (cAdvertisement.manufacturerData.length == 4)),
+         decode            : decodeTemperature,
+         services          : ["temperature", "battery"]
+      });
+      cAPI = new HomebridgeAPI();
+      cAPI.on('registerPlatform', (strPlatformName, cConstructor) => cPlatformConstructor = cConstructor);
+      fInitPlugin(cAPI);
+      cCharacteristic = cAPI.hap.Characteristic;
+
+      cPlatform = new cPlatformConstructor(fLog, {
+         platform          : "InkbirdBtTHSensor",
+         transport         : "simulation",
+         simulation_file   : path.join(__dirname, STRCAPTUREFILE),
+         simulation_speed  : IREPLAYSPEED,
+         sensors           : [ { name: "TH1",  model: "IBS-TH1",      mac_address: STRTH1MAC,  mode: "continuous" },
+                               { name: "Plus", model: "IBS-TH1-Plus", mac_address: STRPLUSMAC, mode: "continuous", sensor: "both" },
+                               { name: "Temp", model: STRTEMPMODEL,   mac_address: STRTEMPMAC, mode: "continuous" },
+                               { name: "Cyclic", model: "IBS-TH1",    mac_address: STRCYCLICMAC, update_interval: 60 },
+                               { name: "Auto",                        mac_address: STRAUTOMAC,   mode: "continuous" },
+                               { name: "Ambiguous",                   mac_address: STRAMBIGUOUSMAC, mode: "continuous" } ]
+      }, cAPI);
+      cAPI.emit('didFinishLaunching');
+      await new Promise(fResolve => setTimeout(fResolve, IREPLAYTIME));
+
+      adChecks =
+      [
+         { strName: "IBS-TH1: frame with CRC error ignored", fCheck: async () =>
+            {
+               assert.strictEqual(getSensor(cPlatform, STRTH1MAC).iCRCErrors, 1);
+            } },
+         { strName: "IBS-TH1: values decoded", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRTH1MAC);
+
+               assert.strictEqual(cSensor.fIntTemperature, 19.48);
+               assert.strictEqual(cSensor.fExtTemperature, undefined);
+               assert.strictEqual(cSensor.fIntHumidity, 54.9);
+               assert.strictEqual(cSensor.bExternalSensor, false);
+               assert.strictEqual(cSensor.fBatteryLevel, 63);
+            } },
+         { strName: "IBS-TH1: values read by HomeKit", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRTH1MAC);
+
+               checkRounded(await readCharacteristic(cSensor.cTemperatureService, cCharacteristic.CurrentTemperature), 19.48, 0.1);
+               checkRounded(await readCharacteristic(cSensor.cHumidityService, cCharacteristic.CurrentRelativeHumidity), 54.9, 1);
+            } },
+         { strName: "IBS-TH1-Plus: dual view values decoded", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRPLUSMAC);
+
+               assert.strictEqual(cSensor.iCRCErrors, 0);
+               assert.strictEqual(cSensor.fIntTemperature, 20.9);
+               assert.strictEqual(cSensor.fExtTemperature, 20);
+               assert.strictEqual(cSensor.fIntHumidity, 54.9);
+               assert.strictEqual(cSensor.bExternalSensor, true);
+               assert.strictEqual(cSensor.fBatteryLevel, 80);
+            } },
+         { strName: "IBS-TH1-Plus: internal sensor and probe read by HomeKit", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRPLUSMAC);
+
+               checkRounded(await readCharacteristic(cSensor.cTemperatureService, cCharacteristic.CurrentTemperature), 20.9, 0.1);
+               checkRounded(await readCharacteristic(cSensor.cProbeTemperatureService, cCharacteristic.CurrentTemperature), 20, 0.1);
+            } },
+         { strName: "Registered model: accessory without humidity service", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRTEMPMAC);
+
+               assert.deepStrictEqual(cSensor.astrServices, ["temperature", "battery"]);
+               assert.strictEqual(cSensor.cHumidityService, undefined);
+               assert.strictEqual(cSensor.cPlatformAccessory.getService(cAPI.hap.Service.HumiditySensor), undefined);
+            } },
+         { strName: "Registered model: values decoded by its decoder and read by HomeKit", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRTEMPMAC);
+
+               assert.strictEqual(cSensor.fIntTemperature, 21.5);
+               assert.strictEqual(cSensor.fIntHumidity, undefined);
+               assert.strictEqual(cSensor.fBatteryLevel, 90);
+               checkRounded(await readCharacteristic(cSensor.cTemperatureService, cCharacteristic.CurrentTemperature), 21.5, 0.1);
+            } },
+         { strName: "Cyclic mode: scan stopped after the frame of the sensor", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRCYCLICMAC);
+
+               assert.strictEqual(cSensor.bContinuous, false);
+               assert.strictEqual(cSensor.iScansStarted, 1);
+               assert.strictEqual(cSensor.iScanTimeouts, 0);
+               assert.strictEqual(cSensor.fIntTemperature, 19.48);
+               assert.strictEqual(cSensor.fIntHumidity, 54.9);
+            } },
+         { strName: "Cyclic mode: values of the last scan read by HomeKit", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRCYCLICMAC);
+
+               checkRounded(await readCharacteristic(cSensor.cTemperatureService, cCharacteristic.CurrentTemperature), 19.48, 0.1);
+               assert.strictEqual(cSensor.iScansStarted, 1);
+            } },
+         { strName: "Without model: detected with the model name reported by the sensor", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRAUTOMAC);
+
+               assert.strictEqual(cSensor.strModel, "IBS-TH2");
+               assert.strictEqual(cSensor.cPlatformAccessory.context.strDetectedModel, "IBS-TH2");
+               assert.strictEqual(cSensor.fIntTemperature, 19.48);
+            } },
+         { strName: "Without model: ambiguous model not stored, values decoded anyway", fCheck: async () =>
+            {
+               var cSensor = getSensor(cPlatform, STRAMBIGUOUSMAC);
+
+               assert.strictEqual(cSensor.strModel, "");
+               assert.strictEqual(cSensor.cPlatformAccessory.context.strDetectedModel, undefined);
+               assert.strictEqual(cSensor.fIntTemperature, 19.48);
+               assert.strictEqual(cSensor.fIntHumidity, 54.9);
+            } }
+      ];
+
+      iFailed = await runChecks(adChecks);
+      cAPI.emit('shutdown');
+   }
+   catch (cError)
+   {
+      iFailed++;
+      console.log(`not ok - Start of the platform: ${cError.stack}`);
+   }
+   finally
+   {
+      fs.rmSync(strStoragePath, { recursive: true, force: true });
+   }
+
+   if (iFailed > 0)
+      console.log(`${iFailed} check(s) failed, log of the plugin:\n${astrLog.join("\n")}`);
+   return (iFailed > 0) ? 1 : 0;
+}
+
+//-----------------------------------------------------------------------
+// Start
+//-----------------------------------------------------------------------
+
+// The accessories keep timers running, so the process is ended explicitly
+main().then(iExitCode => process.exit(iExitCode));
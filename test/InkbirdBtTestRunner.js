@@ -0,0 +1,53 @@
+// Runs the checks of the tests and reports them
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//-----------------------------------------------------------------------
+
+// A check is { strName, fCheck }: fCheck is an (async) function throwing (i.e. by assert) if the check fails.
+// Every check is reported as "ok - <name>" or "not ok - <name>: <message>".
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+//-----------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------
+
+/**
+ * Function to run checks one after the other
+ *
+ * @param {Array} adChecks                Checks [{strName, fCheck}]
+ * @returns {Promise}                     Resolves with the number of failed checks
+ */
+async function runChecks(adChecks)
+{
+   var iFailed = 0;
+
+   for (let dCheck of adChecks)
+   {
+      try
+      {
+         await dCheck.fCheck();
+         console.log(`ok - ${dCheck.strName}`);
+      }
+      catch (cError)
+      {
+         iFailed++;
+         console.log(`not ok - ${dCheck.strName}: ${cError.message}`);
+      }
+   }
+   return iFailed;
+}
+
+//-----------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------
+
+module.exports = { runChecks };
@@ -0,0 +1,316 @@
+// Test of the modules without hardware and homebridge (pure functions and classes)
+//
+//-----------------------------------------------------------------------
+// Date        Author      Change
+//-----------------------------------------------------------------------
+// 19.10.2026  D. Steidl   Created
+//                         Checks of the filter, calibration, climate values, alarms, battery model and CSV / InfluxDB export
+//-----------------------------------------------------------------------
+
+// Usage: npm test (node test/InkbirdBtUnitTest.js)
+// Exit code 0 if all checks passed, 1 otherwise.
+
+//-----------------------------------------------------------------------
+// Global variables
+//-----------------------------------------------------------------------
+
+// variables have to be declared explicitly
+'use strict'
+
+/** @const {number} INOW                  Actual time of the checks (unix) */
+const INOW = 1792404000;
+/** @const {string} STRTHFRAME            Manufacturer data of an IBS-TH1 (19.48°C, 54.9%, battery 63%, CRC ok) */
+const STRTHFRAME = "9c077215005be33f08";
+/** @const {string} STRDUALVIEWFRAME      Manufacturer data of a Plus model with probe (20.9°C, probe 20°C, 54.9%, battery 80%) */
+const STRDUALVIEWFRAME = "d0077215012a08500a";
+/** @const {number} IDAY                  Seconds of a day */
+const IDAY = 86400;
+
+//-----------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------
+
+// from JavaScript
+const assert   = require('assert');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+
+// from InkbirdBtTHSensor
+const cInkbirdBtHistoryReader = require('../InkbirdBtHistoryReader')
+const cInkbirdBtHistoryExport = require('../InkbirdBtHistoryExport')
+const cInkbirdBtFilter        = require('../InkbirdBtFilter')
+const cInkbirdBtCalibration   = require('../InkbirdBtCalibration')
+const cInkbirdBtAlarm         = require('../InkbirdBtAlarm')
+const cInkbirdBtBattery       = require('../InkbirdBtBattery')
+const cInkbirdBtClimate       = require('../InkbirdBtClimate')
+const { STRAMBIGUOUS, detectModel } = require('../InkbirdBtModels')
+const { runChecks }           = require('./InkbirdBtTestRunner')
+
+//-----------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------
+
+/**
+ * Function to build the advertisement of an IBS-TH sensor
+ *
+ * @param {string} strData                Manufacturer data as hex string
+ * @returns {Object}                      Advertisement (like the one of noble)
+ */
+function getAdvertisement(strData)
+{
+   return { localName: "sps", serviceUuids: ["fff0"], manufacturerData: Buffer.from(strData, 'hex') };
+}
+
+/**
+ * Function to check a calculated value against a reference value (i.e. from a table)
+ *
+ * @param {number} fActual                Value calculated
+ * @param {number} fExpected              Reference value
+ * @param {number} fTolerance             Maximum difference
+ * @returns {void}                        Nothing, throws if the value is wrong
+ */
+function checkClose(fActual, fExpected, fTolerance)
+{
+   assert.ok(Math.abs(fActual - fExpected) <= fTolerance, `${fActual} is not ${fExpected} (tolerance ${fTolerance})`);
+   return;
+}
+
+/**
+ * Function to run a check with a battery model in a temporary storage directory
+ *
+ * @param {Object} dConfig                Config of the sensor (low_battery, battery_smoothing, battery_warning_days)
+ * @param {Array} adHistory               Battery history stored before (undefined = none)
+ * @param {function} fCheck               Check (cBattery, astrLog)
+ * @returns {void}                        Nothing, throws if the check fails
+ */
+function withBattery(dConfig, adHistory, fCheck)
+{
+   var strStoragePath = fs.mkdtempSync(path.join(os.tmpdir(), "inkbird-bt-thsensor-"));
+   var astrLog = [];
+
+   try
+   {
+      if (adHistory != undefined)
+         fs.writeFileSync(path.join(strStoragePath, "inkbird-bt-thsensor-battery.json"), JSON.stringify({ "50:51:a9:7d:fc:e9": { history: adHistory, warned: false } }));
+      fCheck(new cInkbirdBtBattery(dConfig, (iLevel, strMessage) => astrLog.push(strMessage), strStoragePath, "50:51:A9:7D:FC:E9"), astrLog);
+   }
+   finally
+   {
+      fs.rmSync(strStoragePath, { recursive: true, force: true });
+   }
+   return;
+}
+
+/**
+ * Function to build a battery history of the days before today
+ *
+ * @param {Array} aiLevels                Levels of the days (oldest first, the last one is yesterday)
+ * @returns {Array}                       History [{time, level}]
+ */
+function getBatteryHistory(aiLevels)
+{
+   var iToday = Math.floor(Date.now() / 1000 / IDAY) * IDAY;
+
+   return aiLevels.map((iLevel, iIndex) => ({ time: iToday - (aiLevels.length - iIndex) * IDAY, level: iLevel }));
+}
+
+//-----------------------------------------------------------------------
+// Checks
+//-----------------------------------------------------------------------
+
+/** @const {Array} ADCHECKS               Checks of the modules (see InkbirdBtTestRunner.js) */
+const ADCHECKS =
+[
+   { strName: "Models: same advertisements of several models are ambiguous", fCheck: () =>
+      {
+         assert.strictEqual(detectModel(getAdvertisement(STRTHFRAME)), STRAMBIGUOUS);
+         assert.strictEqual(detectModel(getAdvertisement(STRDUALVIEWFRAME)), STRAMBIGUOUS);
+         assert.strictEqual(detectModel(Object.assign(getAdvertisement(STRTHFRAME), { localName: "other" })), undefined);
+      } },
+   { strName: "Models: detection with the reported model name or the model detected before", fCheck: () =>
+      {
+         assert.strictEqual(detectModel(getAdvertisement(STRTHFRAME), "IBS-TH2"), "IBS-TH2");
+         assert.strictEqual(detectModel(getAdvertisement(STRDUALVIEWFRAME), "IBSTH1Plus"), "IBS-TH1-Plus");
+         assert.strictEqual(detectModel(getAdvertisement(STRDUALVIEWFRAME), "IBS-TH1"), STRAMBIGUOUS);
+         assert.strictEqual(detectModel(getAdvertisement(STRTHFRAME), undefined, "IBS-TH2-Plus"), "IBS-TH2-Plus");
+      } },
+   { strName: "HistoryReader: first read takes all records", fCheck: () =>
+      {
+         assert.strictEqual(cInkbirdBtHistoryReader.checkRecorderState(undefined, 100, 600, true, INOW), undefined);
+         assert.strictEqual(cInkbirdBtHistoryReader.getFirstRecord(undefined, 100, 600, INOW), 0);
+      } },
+   { strName: "HistoryReader: records since the last read", fCheck: () =>
+      {
+         var dLastState = { count: 100, interval: 600, time: INOW - 86400 };
+
+         assert.strictEqual(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 244, 600, true, INOW), undefined);
+         assert.strictEqual(cInkbirdBtHistoryReader.getFirstRecord(dLastState, 244, 600, INOW), 100);
+      } },
+   { strName: "HistoryReader: stopped, cleared, interval changed or records missing", fCheck: () =>
+      {
+         var dLastState = { count: 100, interval: 600, time: INOW - 86400 };
+
+         assert.match(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 244, 600, false, INOW), /stopped/);
+         assert.match(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 50, 600, true, INOW), /cleared/);
+         assert.match(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 244, 300, true, INOW), /interval changed/);
+         assert.match(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 150, 600, true, INOW), /50 new records, 144 expected/);
+      } },
+   { strName: "HistoryReader: full memory used as ring buffer", fCheck: () =>
+      {
+         var dLastState = { count: 16000, interval: 600, time: INOW - 86400 };
+
+         assert.strictEqual(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 16000, 600, true, INOW), undefined);
+         assert.strictEqual(cInkbirdBtHistoryReader.getFirstRecord(dLastState, 16000, 600, INOW), 16000 - 144);
+         assert.strictEqual(cInkbirdBtHistoryReader.checkRecorderState({ count: 16000, interval: 600, time: 0 }, 16000, 600, true, 86400), undefined);
+      } },
+   { strName: "HistoryReader: memory getting full since the last read", fCheck: () =>
+      {
+         var dLastState = { count: 15950, interval: 600, time: INOW - 86400 };
+
+         assert.strictEqual(cInkbirdBtHistoryReader.checkRecorderState(dLastState, 16000, 600, true, INOW), undefined);
+         assert.strictEqual(cInkbirdBtHistoryReader.getFirstRecord(dLastState, 16000, 600, INOW), 16000 - 144);
+      } },
+   { strName: "HistoryExport: CSV without humidity or temperature", fCheck: () =>
+      {
+         assert.deepStrictEqual(cInkbirdBtHistoryExport.parseCSV(`${INOW},20,\n${INOW + 60},20.5\n${INOW + 120},21,NaN\n${INOW + 180},,40`),
+                                [ { time: INOW, temp: 20, humidity: 0 }, { time: INOW + 60, temp: 20.5, humidity: 0 }, { time: INOW + 120, temp: 21, humidity: 0 } ]);
+         assert.throws(() => cInkbirdBtHistoryExport.parseCSV(`${INOW},20,abc`), /Invalid line 1/);
+      } },
+   { strName: "HistoryExport: CSV without entries missing the temperature, read back", fCheck: () =>
+      {
+         var adEntries = [ { time: INOW, temp: 21.5, humidity: 45.3 }, { time: INOW + 600, temp: undefined, humidity: 40 } ];
+         var strCSV = cInkbirdBtHistoryExport.toCSV(adEntries);
+
+         assert.strictEqual(strCSV, "time,temperature,humidity\n2026-10-19T10:00:00.000Z,21.5,45.3\n");
+         assert.deepStrictEqual(cInkbirdBtHistoryExport.parseCSV(strCSV), [ adEntries[0] ]);
+      } },
+   { strName: "HistoryExport: InfluxDB line protocol with escaped tags", fCheck: () =>
+      {
+         var adEntries = [ { time: INOW, temp: 21.5, humidity: 45.3 }, { time: INOW + 600, temp: NaN, humidity: 40 } ];
+         var cSensor = { strName: "Living room", strMAC: "50:51:a9:7d:fc:e9", strModel: "" };
+
+         assert.strictEqual(cInkbirdBtHistoryExport.toInflux(adEntries, cSensor, true),
+                            "inkbird,name=Living\\ room,mac=50:51:a9:7d:fc:e9,model=-,part=probe temperature=21.5,humidity=45.3 1792404000000000000\n");
+      } },
+   { strName: "Filter: impossible values rejected", fCheck: () =>
+      {
+         var cTemperature = new cInkbirdBtFilter(undefined, "temperature");
+         var cHumidity = new cInkbirdBtFilter(undefined, "humidity");
+
+         assert.match(cTemperature.check(130), /impossible value/);
+         assert.strictEqual(cTemperature.check(-20), undefined);
+         assert.match(cHumidity.check(-1), /impossible value/);
+         assert.strictEqual(cHumidity.apply(55), 55);
+      } },
+   { strName: "Filter: too fast changes rejected until taken as new level", fCheck: () =>
+      {
+         var cFilter = new cInkbirdBtFilter({ max_rate_temperature: 1 }, "temperature");
+
+         assert.strictEqual(cFilter.check(20), undefined);
+         assert.strictEqual(cFilter.apply(20), 20);
+         assert.strictEqual(cFilter.check(20.5), undefined);
+         for (let iRejection = 0; iRejection < 3; iRejection++)
+            assert.match(cFilter.check(-18), /faster than 1\/min/);
+         assert.strictEqual(cFilter.check(-18), undefined);
+         assert.strictEqual(cFilter.apply(-18), -18);
+      } },
+   { strName: "Filter: median and exponential moving average", fCheck: () =>
+      {
+         var cMedian = new cInkbirdBtFilter({ smoothing: "median" }, "temperature");
+         var cEma = new cInkbirdBtFilter({ smoothing: "ema", ema_factor: 0.5 }, "temperature");
+
+         assert.deepStrictEqual([20, 30, 21, 22].map(fValue => cMedian.apply(fValue)), [20, 25, 21, 22]);
+         assert.deepStrictEqual([20, 30, 30].map(fValue => cEma.apply(fValue)), [20, 25, 27.5]);
+         assert.throws(() => new cInkbirdBtFilter({ smoothing: "mean" }, "temperature"), /Invalid smoothing/);
+         assert.throws(() => new cInkbirdBtFilter({ smoothing: "ema", ema_factor: 0 }, "temperature"), /Invalid ema_factor/);
+      } },
+   { strName: "Calibration: interpolated between the points, extended outside", fCheck: () =>
+      {
+         var cCalibration = new cInkbirdBtCalibration([ { measured: 30, actual: 31 }, { measured: 10, actual: 10 } ]);
+
+         assert.strictEqual(cCalibration.apply(20), 20.5);
+         assert.strictEqual(cCalibration.apply(0), -0.5);
+         assert.strictEqual(cCalibration.apply(40), 41.5);
+         assert.throws(() => new cInkbirdBtCalibration([ { measured: 10, actual: 10 } ]), /two reference points/);
+         assert.throws(() => new cInkbirdBtCalibration([ { measured: 10, actual: 10 }, { measured: 10, actual: 11 } ]), /measured value 10/);
+      } },
+   { strName: "Climate: values at 20°C / 50% and 32°C / 70% (reference tables)", fCheck: () =>
+      {
+         assert.strictEqual(cInkbirdBtClimate.saturationVapourPressure(0), 6.112);
+         checkClose(cInkbirdBtClimate.dewPoint(20, 50), 9.3, 0.1);
+         checkClose(cInkbirdBtClimate.absoluteHumidity(20, 50), 8.6, 0.1);
+         checkClose(cInkbirdBtClimate.vapourPressureDeficit(20, 50), 1.17, 0.01);
+         checkClose(cInkbirdBtClimate.heatIndex(20, 50), 20, 1);
+         checkClose(cInkbirdBtClimate.heatIndex(32, 70), 41, 1);
+      } },
+   { strName: "Alarm: tripped above the limit, cleared with hysteresis", fCheck: () =>
+      {
+         var cAlarm = new cInkbirdBtAlarm({ name: "Hot", high: 30, hysteresis: 1 }, () => {});
+
+         assert.strictEqual(cAlarm.check(29), false);
+         assert.strictEqual(cAlarm.check(31), true);
+         assert.strictEqual(cAlarm.getState(), 1);
+         assert.strictEqual(cAlarm.check(29.5), false);
+         assert.strictEqual(cAlarm.check(undefined), false);
+         assert.strictEqual(cAlarm.check(28.9), true);
+         assert.strictEqual(cAlarm.getState(), 0);
+      } },
+   { strName: "Alarm: minimum duration, service and invalid configs", fCheck: () =>
+      {
+         var cAlarm = new cInkbirdBtAlarm({ name: "Frost", low: 5, duration: 60, service: "motion" }, () => {});
+
+         assert.strictEqual(cAlarm.check(4), false);
+         assert.strictEqual(cAlarm.getState(), false);
+         assert.throws(() => new cInkbirdBtAlarm({ high: 30 }, () => {}), /without name/);
+         assert.throws(() => new cInkbirdBtAlarm({ name: "Hot" }, () => {}), /high or low limit needed/);
+         assert.throws(() => new cInkbirdBtAlarm({ name: "Hot", high: 30, service: "door" }, () => {}), /invalid service door/);
+      } },
+   { strName: "Battery: smoothed level and low battery", fCheck: () =>
+      {
+         withBattery({}, undefined, cBattery =>
+         {
+            assert.strictEqual(cBattery.isLow(), undefined);
+            assert.strictEqual(cBattery.update(80), 80);
+            assert.strictEqual(cBattery.update(60), 80);
+            assert.strictEqual(cBattery.isLow(), false);
+            assert.strictEqual(cBattery.getDaysRemaining(), undefined);
+         });
+         withBattery({ low_battery: 90, battery_smoothing: 0 }, undefined, cBattery =>
+         {
+            assert.strictEqual(cBattery.update(80), 80);
+            assert.strictEqual(cBattery.update(60), 60);
+            assert.strictEqual(cBattery.isLow(), true);
+         });
+      } },
+   { strName: "Battery: remaining days estimated from the history, warning once", fCheck: () =>
+      {
+         withBattery({ battery_smoothing: 0 }, getBatteryHistory([60, 59, 58, 57, 56, 55, 54, 53, 52, 51]), (cBattery, astrLog) =>
+         {
+            assert.strictEqual(cBattery.update(50), 50);
+            assert.strictEqual(cBattery.getDaysRemaining(), 50);
+            assert.strictEqual(astrLog.length, 0);
+         });
+         withBattery({ battery_smoothing: 0 }, getBatteryHistory([29, 28, 27, 26, 25, 24, 23, 22, 21, 20]), (cBattery, astrLog) =>
+         {
+            assert.strictEqual(cBattery.update(19), 19);
+            assert.strictEqual(cBattery.getDaysRemaining(), 19);
+            assert.strictEqual(astrLog.filter(strMessage => /run out in 19 days/.test(strMessage)).length, 1);
+         });
+      } },
+   { strName: "Battery: rising level taken as new battery", fCheck: () =>
+      {
+         withBattery({ battery_smoothing: 0 }, getBatteryHistory([52, 51, 50]), (cBattery, astrLog) =>
+         {
+            assert.strictEqual(cBattery.update(95), 95);
+            assert.deepStrictEqual(cBattery.adHistory.map(dPoint => dPoint.level), [95]);
+            assert.match(astrLog[0], /new battery/);
+         });
+      } }
+];
+
+//-----------------------------------------------------------------------
+// Start
+//-----------------------------------------------------------------------
+
+runChecks(ADCHECKS).then(iFailed => process.exit((iFailed > 0) ? 1 : 0));